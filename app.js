@@ -1,23 +1,214 @@
 import { DataLoader } from './data-loader.js';
 import { StockGRUModel } from './gru.js';
+import { runWalkForward } from './walk-forward.js';
+import { WorkerTrainer } from './worker-trainer.js';
+import { trainingHistoryToCSV, trainingHistoryToJSON } from './training-history.js';
+import { BASELINES, evaluatePredictions } from './metrics.js';
+import { applyCalibration, fitCalibration, reliabilityReport } from './calibration.js';
+import { STRATEGIES, runBacktest, signalScores } from './backtest.js';
+import { TASK_MODES, architectureLabel } from './architectures.js';
+import { COLUMN_ROLES, DATE_FORMATS, DELIMITERS, LAYOUTS } from './csv-parser.js';
+import { ALIGNMENT_POLICIES } from './data-quality.js';
+import { HttpSource, SOURCE_FORMATS } from './data-sources.js';
+import { BACKENDS, describeRuntime, formatRuntime, getTF, setBackend } from './tf-runtime.js';
+import { ATTRIBUTION_METHODS, attributeWindow, featureGroups, meanBaseline, permutationImportance } from './explain.js';
+import { CONFIDENCE_BANDS, buildTimeline, confidenceCutoffs, filterTimeline } from './timeline.js';
+import {
+  compareRuns,
+  createRun,
+  deleteRuns,
+  evaluationMetrics,
+  hashRecords,
+  listRuns,
+  runsFromJSON,
+  runsToJSON,
+  saveRuns,
+} from './experiment-log.js';
+import { parseHolidays } from './market-calendar.js';
+import { SEARCH_OBJECTIVES, SEARCH_STRATEGIES, compareTrials, runSearch } from './hyperparameter-search.js';
+import {
+  deleteModel,
+  downloadModel,
+  listSavedModels,
+  loadModel,
+  renameModel,
+  saveModel,
+  uploadModel,
+} from './model-store.js';
 
 const dom = {
   fileInput: document.getElementById('file-input'),
+  dropZone: document.getElementById('drop-zone'),
+  sourceUrlInput: document.getElementById('source-url-input'),
+  sourceSymbolsInput: document.getElementById('source-symbols-input'),
+  loadUrlButton: document.getElementById('load-url-btn'),
+  columnMappingSection: document.getElementById('column-mapping-section'),
+  columnMappingCaption: document.getElementById('column-mapping-caption'),
+  mappingLayoutSelect: document.getElementById('mapping-layout-select'),
+  mappingDelimiterSelect: document.getElementById('mapping-delimiter-select'),
+  mappingDateFormatSelect: document.getElementById('mapping-date-format-select'),
+  mappingSymbolInput: document.getElementById('mapping-symbol-input'),
+  mappingColumns: document.getElementById('mapping-columns'),
+  mappingPreview: document.getElementById('mapping-preview'),
+  applyMappingButton: document.getElementById('apply-mapping-btn'),
   trainButton: document.getElementById('train-btn'),
   evaluateButton: document.getElementById('evaluate-btn'),
+  pauseTrainingButton: document.getElementById('pause-training-btn'),
+  stopTrainingButton: document.getElementById('stop-training-btn'),
+  earlyStoppingInput: document.getElementById('early-stopping-input'),
+  earlyStoppingPatienceInput: document.getElementById('early-stopping-patience-input'),
+  reduceLRInput: document.getElementById('reduce-lr-input'),
+  reduceLRFactorInput: document.getElementById('reduce-lr-factor-input'),
+  reduceLRPatienceInput: document.getElementById('reduce-lr-patience-input'),
+  restoreBestInput: document.getElementById('restore-best-input'),
+  workerTrainingInput: document.getElementById('worker-training-input'),
+  backendSelect: document.getElementById('backend-select'),
+  forecastCalendarSelect: document.getElementById('forecast-calendar-select'),
+  forecastHolidaysInput: document.getElementById('forecast-holidays-input'),
   epochsInput: document.getElementById('epochs-input'),
+  architectureSelect: document.getElementById('architecture-select'),
+  taskModeSelect: document.getElementById('task-mode-select'),
+  lossWeightsInput: document.getElementById('loss-weights-input'),
+  sequenceLengthInput: document.getElementById('sequence-length-input'),
+  horizonInput: document.getElementById('horizon-input'),
+  unitsFirstInput: document.getElementById('units-first-input'),
+  unitsSecondInput: document.getElementById('units-second-input'),
+  dropoutInput: document.getElementById('dropout-input'),
+  learningRateInput: document.getElementById('learning-rate-input'),
+  searchStrategySelect: document.getElementById('search-strategy-select'),
+  searchObjectiveSelect: document.getElementById('search-objective-select'),
+  searchTrialsInput: document.getElementById('search-trials-input'),
+  searchEpochsInput: document.getElementById('search-epochs-input'),
+  searchValidationInput: document.getElementById('search-validation-input'),
+  searchSpace: document.getElementById('search-space'),
+  searchButton: document.getElementById('search-btn'),
+  stopSearchButton: document.getElementById('stop-search-btn'),
+  promoteBestButton: document.getElementById('promote-best-btn'),
+  searchSection: document.getElementById('search-section'),
+  searchCaption: document.getElementById('search-caption'),
+  searchLeaderboard: document.getElementById('search-leaderboard'),
   batchSizeInput: document.getElementById('batch-input'),
+  scalerSelect: document.getElementById('scaler-select'),
+  scalerWindowInput: document.getElementById('scaler-window-input'),
+  featurePicker: document.getElementById('feature-picker'),
+  targetModeSelect: document.getElementById('target-mode-select'),
+  deadBandInput: document.getElementById('dead-band-input'),
+  regressionLossSelect: document.getElementById('regression-loss-select'),
+  calibrationSelect: document.getElementById('calibration-select'),
+  calibrationPanel: document.getElementById('calibration-panel'),
+  calibrationCaption: document.getElementById('calibration-caption'),
+  calibrationTable: document.getElementById('calibration-table'),
+  reliabilitySymbolSelect: document.getElementById('reliability-symbol-select'),
+  reliabilityCanvas: document.getElementById('reliability-chart'),
+  backtestSection: document.getElementById('backtest-section'),
+  backtestStrategySelect: document.getElementById('backtest-strategy-select'),
+  backtestHorizonSelect: document.getElementById('backtest-horizon-select'),
+  backtestThresholdInput: document.getElementById('backtest-threshold-input'),
+  backtestMinReturnInput: document.getElementById('backtest-min-return-input'),
+  backtestTopKInput: document.getElementById('backtest-topk-input'),
+  backtestCostInput: document.getElementById('backtest-cost-input'),
+  backtestButton: document.getElementById('backtest-btn'),
+  backtestCaption: document.getElementById('backtest-caption'),
+  backtestCanvas: document.getElementById('backtest-chart'),
+  backtestTable: document.getElementById('backtest-table'),
+  explainSection: document.getElementById('explain-section'),
+  explainAnchorSelect: document.getElementById('explain-anchor-select'),
+  explainSymbolSelect: document.getElementById('explain-symbol-select'),
+  explainHorizonSelect: document.getElementById('explain-horizon-select'),
+  explainMethodSelect: document.getElementById('explain-method-select'),
+  explainButton: document.getElementById('explain-btn'),
+  importanceButton: document.getElementById('importance-btn'),
+  explainCaption: document.getElementById('explain-caption'),
+  explainHeatmap: document.getElementById('explain-heatmap'),
+  importanceCaption: document.getElementById('importance-caption'),
+  importanceTable: document.getElementById('importance-table'),
+  accuracyTitle: document.getElementById('accuracy-title'),
+  crossEnabledInput: document.getElementById('xcorr-enabled-input'),
+  crossWindowInput: document.getElementById('xcorr-window-input'),
+  crossLagInput: document.getElementById('xcorr-lag-input'),
+  crossPairsInput: document.getElementById('xcorr-pairs-input'),
+  correlationViewSelect: document.getElementById('correlation-view-select'),
+  correlationCaption: document.getElementById('correlation-caption'),
+  correlationHeatmap: document.getElementById('correlation-heatmap'),
   statusLog: document.getElementById('status-log'),
+  trainingSection: document.getElementById('training-section'),
+  trainingCanvas: document.getElementById('training-chart'),
+  batchResolutionInput: document.getElementById('batch-resolution-input'),
+  exportHistoryCsvButton: document.getElementById('export-history-csv-btn'),
+  exportHistoryJsonButton: document.getElementById('export-history-json-btn'),
   datasetSummary: document.getElementById('dataset-summary'),
+  dataQualityReport: document.getElementById('data-quality-report'),
   metricsSection: document.getElementById('metrics-section'),
   accuracyCanvas: document.getElementById('accuracy-chart'),
+  classificationCaption: document.getElementById('classification-caption'),
+  classificationTable: document.getElementById('classification-table'),
+  timelineSymbolSelect: document.getElementById('timeline-symbol-select'),
+  timelineHorizonSelect: document.getElementById('timeline-horizon-select'),
+  timelineBandSelect: document.getElementById('timeline-band-select'),
+  timelineCaption: document.getElementById('timeline-caption'),
+  timelineCanvas: document.getElementById('timeline-chart'),
   timelineContainer: document.getElementById('timeline-container'),
+  timelineWindowCaption: document.getElementById('timeline-window-caption'),
+  timelineWindow: document.getElementById('timeline-window'),
+  walkForwardButton: document.getElementById('walk-forward-btn'),
+  walkForwardModeSelect: document.getElementById('wf-mode-select'),
+  walkForwardTestSizeInput: document.getElementById('wf-test-size-input'),
+  walkForwardRefitSelect: document.getElementById('wf-refit-select'),
+  walkForwardFineTuneInput: document.getElementById('wf-finetune-input'),
+  walkForwardSection: document.getElementById('walk-forward-section'),
+  walkForwardCanvas: document.getElementById('walk-forward-chart'),
+  walkForwardTable: document.getElementById('walk-forward-table'),
+  modelNameInput: document.getElementById('model-name-input'),
+  modelStorageSelect: document.getElementById('model-storage-select'),
+  saveModelButton: document.getElementById('save-model-btn'),
+  downloadModelButton: document.getElementById('download-model-btn'),
+  modelUploadInput: document.getElementById('model-upload-input'),
+  compareRunsButton: document.getElementById('compare-runs-btn'),
+  exportRunsButton: document.getElementById('export-runs-btn'),
+  deleteRunsButton: document.getElementById('delete-runs-btn'),
+  importRunsInput: document.getElementById('import-runs-input'),
+  experimentLog: document.getElementById('experiment-log'),
+  comparisonPanel: document.getElementById('comparison-panel'),
+  comparisonCaption: document.getElementById('comparison-caption'),
+  comparisonTable: document.getElementById('comparison-table'),
+  comparisonHistoryCanvas: document.getElementById('comparison-history-chart'),
+  comparisonAccuracyCanvas: document.getElementById('comparison-accuracy-chart'),
+  modelLibrary: document.getElementById('model-library'),
+  appendInput: document.getElementById('append-input'),
+  alignmentSelect: document.getElementById('alignment-select'),
+  forecastButton: document.getElementById('forecast-btn'),
+  forecastSection: document.getElementById('forecast-section'),
+  forecastCaption: document.getElementById('forecast-caption'),
+  forecastTable: document.getElementById('forecast-table'),
 };
 
+const VALIDATION_SPLIT = 0.1;
+const PERMUTATION_REPEATS = 3;
+
 const dataLoader = new DataLoader();
 let dataset = null;
 let model = null;
 let accuracyChart = null;
+let walkForwardChart = null;
+let activeTrainer = null;
+let trainingStopRequested = false;
+let trainingChart = null;
+let reliabilityChart = null;
+let reliability = null;
+let backtestChart = null;
+let evaluatedPredictions = null;
+let timeline = null;
+let timelineChart = null;
+let currentRun = null;
+let experimentRuns = [];
+const selectedRunIds = new Set();
+let comparisonHistoryChart = null;
+let comparisonAccuracyChart = null;
+let liveHistory = null;
+let searchResult = null;
+let searchStopRequested = false;
+let leaderboardSort = null;
+let pendingMapping = null;
 
 function logStatus(message) {
   const timestamp = new Date().toLocaleTimeString();
@@ -25,6 +216,35 @@ function logStatus(message) {
   dom.statusLog.scrollTop = dom.statusLog.scrollHeight;
 }
 
+// Backend, bundle source and tf.memory() of the main thread. Worker runs report their own runtime.
+async function logRuntime() {
+  logStatus(formatRuntime(await describeRuntime()));
+}
+
+async function initializeRuntime() {
+  const runtime = await describeRuntime();
+  dom.backendSelect.value = runtime.backend;
+  logStatus(formatRuntime(runtime));
+}
+
+async function changeBackend() {
+  const backend = dom.backendSelect.value;
+  if (activeTrainer) {
+    logStatus('Wait for training to finish before switching the compute backend.');
+    dom.backendSelect.value = (await describeRuntime()).backend;
+    return;
+  }
+
+  logStatus(`Switching to the ${BACKENDS[backend]} backend...`);
+  try {
+    logStatus(formatRuntime(await setBackend(backend)));
+  } catch (error) {
+    dom.backendSelect.value = (await describeRuntime()).backend;
+    logStatus(`Backend error: ${error.message}`);
+    console.error(error);
+  }
+}
+
 function clearStatus() {
   dom.statusLog.textContent = '';
 }
@@ -34,10 +254,51 @@ function resetVisualizations() {
     accuracyChart.destroy();
     accuracyChart = null;
   }
+  if (timelineChart) {
+    timelineChart.destroy();
+    timelineChart = null;
+  }
+  timeline = null;
+  dom.timelineCaption.textContent = '';
   dom.timelineContainer.innerHTML = '';
+  dom.timelineWindowCaption.textContent = '';
+  dom.timelineWindow.innerHTML = '';
+  dom.classificationTable.innerHTML = '';
+  dom.classificationCaption.textContent = '';
+  if (reliabilityChart) {
+    reliabilityChart.destroy();
+    reliabilityChart = null;
+  }
+  reliability = null;
+  dom.calibrationTable.innerHTML = '';
+  dom.calibrationPanel.setAttribute('hidden', '');
+  if (backtestChart) {
+    backtestChart.destroy();
+    backtestChart = null;
+  }
+  evaluatedPredictions = null;
+  dom.backtestTable.innerHTML = '';
+  dom.backtestCaption.textContent = '';
+  dom.backtestSection.setAttribute('hidden', '');
+  dom.explainHeatmap.innerHTML = '';
+  dom.explainCaption.textContent = '';
+  dom.importanceTable.innerHTML = '';
+  dom.importanceCaption.textContent = '';
+  dom.explainSection.setAttribute('hidden', '');
+  dom.correlationHeatmap.innerHTML = '';
+  dom.correlationCaption.textContent = '';
   dom.metricsSection.setAttribute('hidden', '');
 }
 
+function resetWalkForward() {
+  if (walkForwardChart) {
+    walkForwardChart.destroy();
+    walkForwardChart = null;
+  }
+  dom.walkForwardTable.innerHTML = '';
+  dom.walkForwardSection.setAttribute('hidden', '');
+}
+
 function disposeDataset() {
   if (dataset) {
     dataset.dispose();
@@ -57,255 +318,2944 @@ function setButtonState(button, enabled) {
   }
 }
 
+function setModelActionState(enabled) {
+  setButtonState(dom.exportHistoryCsvButton, Boolean(model?.trainingHistory?.epochs.length));
+  setButtonState(dom.exportHistoryJsonButton, Boolean(model?.trainingHistory?.epochs.length));
+  setButtonState(dom.saveModelButton, enabled);
+  setButtonState(dom.downloadModelButton, enabled);
+  setButtonState(dom.forecastButton, enabled && dataLoader.dates.length > 0);
+  setButtonState(dom.appendInput, dataLoader.dates.length > 0);
+}
+
+function setSearchState(enabled) {
+  setButtonState(dom.searchButton, enabled);
+  setButtonState(dom.promoteBestButton, enabled && Boolean(searchResult?.best));
+}
+
 function disableControls() {
   setButtonState(dom.trainButton, false);
   setButtonState(dom.evaluateButton, false);
+  setButtonState(dom.explainButton, false);
+  setButtonState(dom.importanceButton, false);
+  setButtonState(dom.walkForwardButton, false);
+  setSearchState(false);
+  setModelActionState(false);
 }
 
 function enableTrainingControls() {
   setButtonState(dom.trainButton, true);
   setButtonState(dom.evaluateButton, false);
+  setButtonState(dom.explainButton, false);
+  setButtonState(dom.importanceButton, false);
+  setButtonState(dom.walkForwardButton, true);
+  setSearchState(true);
+  setModelActionState(Boolean(model?.preprocessing));
 }
 
 function enableEvaluationControls() {
   setButtonState(dom.trainButton, true);
   setButtonState(dom.evaluateButton, true);
+  setButtonState(dom.explainButton, true);
+  setButtonState(dom.importanceButton, true);
+  setButtonState(dom.walkForwardButton, true);
+  setSearchState(true);
+  setModelActionState(Boolean(model?.preprocessing));
 }
 
-async function handleFileSelection(event) {
-  const [file] = event.target.files;
+function restoreControls() {
+  if (dataset && model) {
+    enableEvaluationControls();
+  } else {
+    enableTrainingControls();
+  }
+}
+
+function applyLoaderOptions() {
+  const window = Number.parseInt(dom.scalerWindowInput.value, 10) || 20;
+  const features = Array.from(dom.featurePicker.querySelectorAll('input[name="feature"]:checked')).map(
+    (input) => input.value
+  );
+  dataLoader.configure({
+    alignment: dom.alignmentSelect.value,
+    sequenceLength: Number.parseInt(dom.sequenceLengthInput.value, 10) || 12,
+    horizon: Number.parseInt(dom.horizonInput.value, 10) || 3,
+    scaler: dom.scalerSelect.value,
+    scalerOptions: { window },
+    features,
+    targetMode: dom.targetModeSelect.value,
+    deadBand: (Number.parseFloat(dom.deadBandInput.value) || 0) / 100,
+    crossFeatures: {
+      enabled: dom.crossEnabledInput.checked,
+      window: Number.parseInt(dom.crossWindowInput.value, 10) || 20,
+      maxLag: Number.parseInt(dom.crossLagInput.value, 10) || 3,
+      topPairs: Number.parseInt(dom.crossPairsInput.value, 10) || 0,
+    },
+  });
+
+  dataLoader.resolveFeatures().skipped.forEach(({ name, reason }) => {
+    logStatus(`Feature "${name}" skipped: ${reason}.`);
+  });
+}
+
+// "AAPL=2, TSLA=0.5" → { AAPL: 2, TSLA: 0.5 }; unlisted symbols keep weight 1.
+function parseLossWeights(text) {
+  return Object.fromEntries(
+    text
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const [symbol, value] = entry.split('=').map((part) => part.trim());
+        const weight = Number(value);
+        if (!symbol || value === undefined || value === '' || !Number.isFinite(weight)) {
+          throw new Error(`Loss weight "${entry}" must look like SYMBOL=number.`);
+        }
+        return [symbol.toUpperCase(), weight];
+      })
+  );
+}
+
+function modelOptions() {
+  return {
+    architecture: dom.architectureSelect.value,
+    taskMode: dom.taskModeSelect.value,
+    symbolLossWeights: parseLossWeights(dom.lossWeightsInput.value),
+    regressionLoss: dom.regressionLossSelect.value,
+    unitsFirst: Number.parseInt(dom.unitsFirstInput.value, 10) || 128,
+    unitsSecond: Number.parseInt(dom.unitsSecondInput.value, 10) || 64,
+    dropoutRate: Number.parseFloat(dom.dropoutInput.value) || 0,
+    learningRate: Number.parseFloat(dom.learningRateInput.value) || 1e-3,
+  };
+}
+
+// Writes a model or trial config back into the architecture inputs so the next training run reuses it.
+function syncArchitectureInputs(params) {
+  if (params.architecture) dom.architectureSelect.value = params.architecture;
+  if (params.taskMode) dom.taskModeSelect.value = params.taskMode;
+  dom.sequenceLengthInput.value = params.sequenceLength;
+  dom.horizonInput.value = params.horizon;
+  dom.unitsFirstInput.value = params.unitsFirst;
+  dom.unitsSecondInput.value = params.unitsSecond;
+  dom.dropoutInput.value = params.dropoutRate;
+  dom.learningRateInput.value = params.learningRate;
+}
+
+function scheduleOptions() {
+  return {
+    earlyStopping: dom.earlyStoppingInput.checked
+      ? { monitor: 'val_loss', patience: Number.parseInt(dom.earlyStoppingPatienceInput.value, 10) || 5 }
+      : null,
+    reduceLROnPlateau: dom.reduceLRInput.checked
+      ? {
+          factor: Number.parseFloat(dom.reduceLRFactorInput.value) || 0.5,
+          patience: Number.parseInt(dom.reduceLRPatienceInput.value, 10) || 3,
+        }
+      : null,
+    restoreBestWeights: dom.restoreBestInput.checked,
+  };
+}
+
+function createModel(datasetInfo) {
+  return new StockGRUModel(StockGRUModel.configFromDataset(datasetInfo, modelOptions()));
+}
+
+const TARGET_MODE_LABELS = {
+  binary: 'Up / Down',
+  multiclass: 'Up / Flat / Down',
+  regression: 'Return regression',
+};
+
+function resetForNewData() {
+  currentRun = null;
   disposeDataset();
   resetVisualizations();
+  resetWalkForward();
+  dom.forecastSection.setAttribute('hidden', '');
   clearStatus();
+}
+
+function clearLoadedData(error) {
+  dom.datasetSummary.textContent = '';
+  renderQualityReport(null);
+  disableControls();
+  logStatus(`Error: ${error.message}`);
+  console.error(error);
+}
 
-  if (!file) {
+// Shared by the file picker and drag-and-drop. Several files, typically one per ticker, are merged into one panel;
+// the first file whose layout cannot be detected opens the column mapping.
+async function selectDataFiles(files) {
+  resetForNewData();
+
+  if (files.length === 0) {
     disableControls();
     logStatus('No file selected.');
     return;
   }
 
-  logStatus(`Loading file: ${file.name}`);
+  logStatus(
+    files.length === 1
+      ? `Loading file: ${files[0].name}`
+      : `Loading ${files.length} files: ${files.map((file) => file.name).join(', ')}`
+  );
   try {
-    const info = await dataLoader.loadFile(file);
-    dom.datasetSummary.textContent = `Loaded ${info.symbols.length} symbols and ${info.dates.length} trading days.`;
-    enableTrainingControls();
-    logStatus('File loaded successfully. Ready to train.');
+    for (const file of files) {
+      const inspection = await dataLoader.inspectFile(file);
+      if (!inspection.complete) {
+        disableControls();
+        showColumnMapping(files, file, inspection);
+        logStatus(
+          `Could not detect the layout of ${file.name}. ${inspection.problems.join(' ')} Map the columns below.`
+        );
+        return;
+      }
+    }
+    await loadDataFiles(files);
   } catch (error) {
-    dom.datasetSummary.textContent = '';
-    disableControls();
-    logStatus(`Error: ${error.message}`);
-    console.error(error);
+    clearLoadedData(error);
   }
 }
 
-async function trainModel() {
-  if (!dom.fileInput.files.length) {
-    logStatus('Please upload a CSV file before training.');
+async function handleFileSelection(event) {
+  await selectDataFiles(Array.from(event.target.files));
+}
+
+// With several files the mapping is the fallback for every file that cannot be detected on its own.
+async function loadDataFiles(files, mapping = null) {
+  await loadData(() =>
+    files.length === 1 ? dataLoader.loadFile(files[0], { mapping }) : dataLoader.loadFiles(files, { mapping })
+  );
+}
+
+async function loadFromUrl() {
+  const url = dom.sourceUrlInput.value.trim();
+  if (!url) {
+    logStatus('Enter a URL to load quotes from.');
     return;
   }
+  const symbols = dom.sourceSymbolsInput.value
+    .split(',')
+    .map((symbol) => symbol.trim())
+    .filter(Boolean);
 
-  disposeDataset();
-  resetVisualizations();
+  resetForNewData();
+  hideColumnMapping();
   disableControls();
-
-  logStatus('Preparing dataset...');
+  logStatus(`Loading quotes from ${url}...`);
   try {
-    dataset = await dataLoader.prepareDataset();
+    await loadData(() => dataLoader.loadSources([new HttpSource(url, { symbols })]));
   } catch (error) {
-    enableTrainingControls();
-    logStatus(`Dataset error: ${error.message}`);
-    console.error(error);
-    return;
+    clearLoadedData(error);
   }
+}
 
-  if (model) {
-    await model.dispose();
-    model = null;
+async function loadData(load) {
+  dataLoader.configure({ alignment: dom.alignmentSelect.value });
+  const info = await load();
+  hideColumnMapping();
+  dom.datasetSummary.textContent = `Loaded ${info.symbols.length} symbols and ${
+    info.dates.length
+  } trading days (columns: ${info.availableColumns.join(', ')}).`;
+  logParseReport(info.parseReport);
+  renderQualityReport(info.qualityReport);
+  logStatus('Data loaded successfully. Ready to train.');
+  if (model?.preprocessing) {
+    await prepareDatasetForModel();
+  }
+  restoreControls();
+}
+
+function logParseReport({ sources, rowCount, skipped, duplicates }) {
+  sources.forEach((report) => {
+    const encoding =
+      report.format === 'csv'
+        ? `${DELIMITERS[report.delimiter].toLowerCase()}-delimited`
+        : SOURCE_FORMATS[report.format];
+    logStatus(
+      `Parsed ${report.rowCount} rows from ${report.source}: ${LAYOUTS[report.layout].toLowerCase()}, ${encoding}, ${
+        DATE_FORMATS[report.dateFormat]
+      } dates.`
+    );
+  });
+  if (sources.length > 1) {
+    logStatus(`Merged ${sources.length} sources with ${rowCount} rows in total.`);
+  }
+  if (skipped.length > 0) {
+    const examples = skipped
+      .slice(0, 5)
+      .map(({ source, line, reason }) => `${sources.length > 1 ? `${source} ` : ''}line ${line}: ${reason}`)
+      .join('; ');
+    logStatus(`Skipped ${skipped.length} row(s) or value(s) — ${examples}${skipped.length > 5 ? '; ...' : ''}`);
   }
+  if (duplicates.length > 0) {
+    logStatus(`Found ${duplicates.length} duplicate symbol/date row(s); the later row was kept.`);
+  }
+}
+
+function qualityTable(headers, rows) {
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+  const headRow = document.createElement('tr');
+  headers.forEach((title) => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
 
-  model = new StockGRUModel({
-    sequenceLength: dataset.sequenceLength,
-    featureCount: dataset.featureCount,
-    stockCount: dataset.stockSymbols.length,
-    horizon: dataset.horizon,
+  const tbody = document.createElement('tbody');
+  rows.forEach((cells) => {
+    const row = document.createElement('tr');
+    cells.forEach((cell) => {
+      const td = document.createElement('td');
+      td.textContent = String(cell ?? '');
+      row.appendChild(td);
+    });
+    tbody.appendChild(row);
   });
+  table.appendChild(tbody);
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'table-wrapper';
+  wrapper.appendChild(table);
+  return wrapper;
+}
+
+// Long issue lists are capped so a badly broken file cannot flood the page; the counts stay exact.
+const QUALITY_ROW_LIMIT = 200;
+
+function renderQualityReport(report) {
+  dom.dataQualityReport.innerHTML = '';
+  if (!report) return;
+  const percent = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : 'n/a');
+  const { alignment, coverage, skipped, duplicates, outliers, splits } = report;
+
+  const dropped = alignment.droppedSymbols.map(({ symbol, missing }) => `${symbol} (${missing} missing)`);
+  const overview = document.createElement('p');
+  overview.className = 'summary';
+  overview.textContent = `${ALIGNMENT_POLICIES[alignment.policy]}: ${alignment.alignedDates} of ${
+    alignment.unionDates
+  } dates kept${alignment.filledPoints ? `, ${alignment.filledPoints} gap value(s) filled` : ''}${
+    dropped.length ? `, dropped ${dropped.join(', ')}` : ''
+  }. ${skipped.length} skipped row(s), ${duplicates.length} duplicate(s), ${outliers.length} outlier(s), ${
+    splits.length
+  } suspected split(s).`;
+  dom.dataQualityReport.appendChild(overview);
+
+  const section = (title, count, headers, rows, open = false) => {
+    const details = document.createElement('details');
+    details.open = open;
+    const summary = document.createElement('summary');
+    summary.textContent = `${title} (${count})`;
+    details.appendChild(summary);
+    details.appendChild(qualityTable(headers, rows.slice(0, QUALITY_ROW_LIMIT)));
+    dom.dataQualityReport.appendChild(details);
+  };
+
+  section(
+    'Date coverage',
+    coverage.length,
+    ['Symbol', 'First', 'Last', 'Observed', 'Missing', 'Longest Gap', 'Coverage', 'Filled', 'Status'],
+    coverage.map((entry) => [
+      entry.symbol,
+      entry.firstDate,
+      entry.lastDate,
+      entry.observed,
+      entry.missing,
+      entry.longestGap,
+      percent(entry.coverage),
+      entry.filled,
+      entry.dropped ? 'dropped' : 'kept',
+    ]),
+    true
+  );
+  if (skipped.length) {
+    section(
+      'Skipped rows',
+      skipped.length,
+      ['Source', 'Line', 'Symbol', 'Reason'],
+      skipped.map(({ source, line, symbol, reason }) => [source, line, symbol ?? '', reason])
+    );
+  }
+  if (duplicates.length) {
+    section(
+      'Duplicate rows',
+      duplicates.length,
+      ['Source', 'Line', 'Symbol', 'Date'],
+      duplicates.map(({ source, line, symbol, date }) => [source, line ?? 'across files', symbol, date])
+    );
+  }
+  if (outliers.length) {
+    section(
+      'Return outliers',
+      outliers.length,
+      ['Symbol', 'Date', 'Change', 'Reason'],
+      outliers.map(({ symbol, date, change, reason }) => [symbol, date, percent(change), reason])
+    );
+  }
+  if (splits.length) {
+    section(
+      'Suspected splits',
+      splits.length,
+      ['Symbol', 'Date', 'Previous Date', 'Ratio', 'Change'],
+      splits.map(({ symbol, date, previousDate, ratio, change }) => [
+        symbol,
+        date,
+        previousDate,
+        ratio,
+        percent(change),
+      ])
+    );
+  }
+}
 
+// Realigns the loaded rows in place; any prepared dataset was built on the old date grid.
+async function changeAlignment() {
+  if (dataLoader.dates.length === 0) return;
+  disableControls();
   try {
-    await model.ready();
+    dataLoader.configure({ alignment: dom.alignmentSelect.value });
+    disposeDataset();
+    dom.datasetSummary.textContent = `Loaded ${dataLoader.loadedSymbols.length} symbols and ${
+      dataLoader.dates.length
+    } trading days (columns: ${dataLoader.availableColumns.join(', ')}).`;
+    renderQualityReport(dataLoader.qualityReport);
+    logStatus(`Aligned dates with "${ALIGNMENT_POLICIES[dataLoader.alignment]}".`);
+    if (model?.preprocessing) {
+      await prepareDatasetForModel();
+    }
   } catch (error) {
-    logStatus(`Model initialization error: ${error.message}`);
-    console.error(error);
-    enableTrainingControls();
-    return;
+    dom.alignmentSelect.value = dataLoader.alignment;
+    logStatus(`Alignment error: ${error.message}`);
+  } finally {
+    restoreControls();
   }
+}
 
-  const epochs = Number.parseInt(dom.epochsInput.value, 10) || 30;
-  const batchSize = Number.parseInt(dom.batchSizeInput.value, 10) || 32;
+// The delimiter select spells the tab character as "tab".
+const delimiterFromSelect = (value) => (value === 'tab' ? '\t' : value);
 
-  logStatus(`Training model for ${epochs} epochs (batch size ${batchSize})...`);
+// `files` is the whole selection; `file` is the one whose columns are being mapped.
+function showColumnMapping(files, file, inspection) {
+  pendingMapping = { files, file, inspection };
+  const { headers, preview, mapping, problems } = inspection;
+  dom.columnMappingCaption.textContent = problems.length
+    ? `${file.name}: ${problems.join(' ')}`
+    : `${file.name}: detected mapping shown below.`;
+  dom.mappingLayoutSelect.value = mapping.layout;
+  dom.mappingDelimiterSelect.value = mapping.delimiter === '\t' ? 'tab' : mapping.delimiter;
+  dom.mappingDelimiterSelect.disabled = mapping.format !== 'csv';
+  dom.mappingDateFormatSelect.value = mapping.dateFormat ?? 'iso';
+  dom.mappingSymbolInput.value = mapping.symbol ?? '';
 
-  try {
-    await model.train(dataset.X_train, dataset.y_train, {
-      epochs,
-      batchSize,
-      validationSplit: 0.1,
-      callbacks: {
-        onTrainBegin: () => logStatus('Training started.'),
-        onEpochEnd: (epoch, logs) => {
-          const message = `Epoch ${epoch + 1}/${epochs} — loss: ${logs.loss.toFixed(4)}, val_loss: ${
-            logs.val_loss?.toFixed(4) ?? 'n/a'
-          }, acc: ${logs.binaryAccuracy?.toFixed(4) ?? 'n/a'}`;
-          logStatus(message);
-        },
-        onTrainEnd: () => logStatus('Training completed.'),
-      },
+  dom.mappingColumns.querySelectorAll('label').forEach((label) => label.remove());
+  COLUMN_ROLES.forEach((role) => {
+    const label = document.createElement('label');
+    label.textContent = `${role[0].toUpperCase()}${role.slice(1)} `;
+    const select = document.createElement('select');
+    select.dataset.role = role;
+    ['', ...headers].forEach((header) => {
+      const option = document.createElement('option');
+      option.value = header;
+      option.textContent = header || '(none)';
+      select.appendChild(option);
     });
-    enableEvaluationControls();
+    select.value = mapping.columns[role] ?? '';
+    label.appendChild(select);
+    dom.mappingColumns.appendChild(label);
+  });
+
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+  [headers, ...preview].forEach((fields, rowIndex) => {
+    const row = document.createElement('tr');
+    fields.forEach((value) => {
+      const cell = document.createElement(rowIndex === 0 ? 'th' : 'td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    table.appendChild(row);
+  });
+  dom.mappingPreview.innerHTML = '';
+  dom.mappingPreview.appendChild(table);
+  dom.columnMappingSection.removeAttribute('hidden');
+}
+
+function hideColumnMapping() {
+  pendingMapping = null;
+  dom.columnMappingSection.setAttribute('hidden', '');
+}
+
+function readColumnMapping() {
+  const columns = Object.fromEntries(
+    Array.from(dom.mappingColumns.querySelectorAll('select[data-role]')).map((select) => [
+      select.dataset.role,
+      select.value || null,
+    ])
+  );
+  return {
+    layout: dom.mappingLayoutSelect.value,
+    delimiter: delimiterFromSelect(dom.mappingDelimiterSelect.value),
+    dateFormat: dom.mappingDateFormatSelect.value,
+    columns,
+    symbol: dom.mappingSymbolInput.value.trim() || null,
+  };
+}
+
+// Headers depend on the delimiter, so changing it re-reads the file before the columns can be mapped.
+async function changeMappingDelimiter() {
+  if (!pendingMapping) return;
+  const { files, file } = pendingMapping;
+  const inspection = await dataLoader.inspectFile(file, {
+    delimiter: delimiterFromSelect(dom.mappingDelimiterSelect.value),
+  });
+  showColumnMapping(files, file, inspection);
+}
+
+async function applyColumnMapping() {
+  if (!pendingMapping) return;
+  const { files, file } = pendingMapping;
+  logStatus(`Loading ${file.name} with the chosen column mapping...`);
+  try {
+    await loadDataFiles(files, readColumnMapping());
   } catch (error) {
-    logStatus(`Training error: ${error.message}`);
+    dom.datasetSummary.textContent = '';
+    renderQualityReport(null);
+    disableControls();
+    logStatus(`Mapping error: ${error.message}`);
     console.error(error);
-    enableTrainingControls();
   }
 }
 
-async function evaluateModel() {
-  if (!dataset || !model) {
-    logStatus('Train the model before evaluation.');
-    return;
+// Builds the evaluation dataset with the model's own symbol order, features and fitted scalers.
+async function prepareDatasetForModel() {
+  disposeDataset();
+  try {
+    dataset = await dataLoader.prepareDataset({ preprocessing: model.preprocessing });
+    if (dataset.featureCount !== model.featureCount) {
+      throw new Error(
+        `Model expects ${model.featureCount} features per timestep but the data produced ${dataset.featureCount}.`
+      );
+    }
+    logStatus(
+      `Prepared ${dataset.testDates.length} test windows with the model's preprocessing (${dataset.stockSymbols.join(
+        ', '
+      )}).`
+    );
+    if (dataset.purgedTestWindows > 0) {
+      logStatus(
+        `Purged ${dataset.purgedTestWindows} test window(s) of this data whose labels overlap the model's training range (through ${model.preprocessing.scaling.fitEndDate}).`
+      );
+    }
+  } catch (error) {
+    disposeDataset();
+    logStatus(`Cannot apply the model to this data: ${error.message}`);
+    console.error(error);
   }
+}
+
+async function handleAppendSelection(event) {
+  const [file] = event.target.files;
+  if (!file) return;
 
   disableControls();
-  logStatus('Running evaluation on the test set...');
+  logStatus(`Appending rows from ${file.name}...`);
+  try {
+    const info = await dataLoader.appendFile(file);
+    dom.datasetSummary.textContent = `Loaded ${info.symbols.length} symbols and ${
+      info.dates.length
+    } trading days (columns: ${info.availableColumns.join(', ')}), latest ${info.dates[info.dates.length - 1]}.`;
+    logParseReport(info.parseReport);
+    renderQualityReport(info.qualityReport);
+    logStatus(`Appended ${info.addedDates} new trading day(s).`);
+  } finally {
+    event.target.value = '';
+    restoreControls();
+  }
+}
+
+async function runForecast() {
+  if (!model?.preprocessing) {
+    logStatus('Train or load a model before forecasting.');
+    return;
+  }
 
+  disableControls();
+  let forecast;
   let predictionTensor;
   try {
-    predictionTensor = await model.predict(dataset.X_test);
-    const stockAccuracies = await model.evaluateStockAccuracies(dataset.y_test, predictionTensor);
-    const predictions = await predictionTensor.array();
-    const groundTruth = await dataset.y_test.array();
-    renderAccuracyChart(dataset.stockSymbols, stockAccuracies);
-    renderTimelines(dataset, predictions, groundTruth);
-    logStatus('Evaluation complete. Visualizations updated.');
-    dom.metricsSection.removeAttribute('hidden');
+    forecast = await dataLoader.prepareForecast(model.preprocessing, {
+      calendar: dom.forecastCalendarSelect.value,
+      holidays: parseHolidays(dom.forecastHolidaysInput.value),
+    });
+    predictionTensor = await model.predict(forecast.input);
+    const [prediction] = applyCalibration(model.calibration, await predictionTensor.array());
+    renderForecast(forecast, prediction);
+    dom.forecastSection.removeAttribute('hidden');
+    logStatus(`Forecast from ${forecast.anchorDate} for ${forecast.forecastDates.join(', ')}.`);
   } catch (error) {
-    logStatus(`Evaluation error: ${error.message}`);
+    logStatus(`Forecast error: ${error.message}`);
     console.error(error);
   } finally {
     predictionTensor?.dispose();
-    enableEvaluationControls();
+    forecast?.dispose();
+    restoreControls();
   }
 }
 
-function renderAccuracyChart(symbols, accuracies) {
-  const sorted = symbols.map((symbol, index) => ({ symbol, accuracy: accuracies[index] ?? 0 }));
-  sorted.sort((a, b) => b.accuracy - a.accuracy);
-
-  const labels = sorted.map((item) => item.symbol);
-  const dataValues = sorted.map((item) => Number.isFinite(item.accuracy) ? item.accuracy : 0);
-
-  if (accuracyChart) {
-    accuracyChart.destroy();
-  }
+function renderForecast(forecast, prediction) {
+  const { stockSymbols, horizon, forecastDates, targetMode, classLabels, lastCloses } = forecast;
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
 
-  accuracyChart = new Chart(dom.accuracyCanvas, {
-    type: 'bar',
-    data: {
-      labels,
-      datasets: [
-        {
-          label: 'Binary Accuracy',
-          data: dataValues,
-          backgroundColor: dataValues.map((value) => (value >= 0.5 ? 'rgba(34, 197, 94, 0.8)' : 'rgba(248, 113, 113, 0.8)')),
-          borderRadius: 8,
-        },
-      ],
-    },
-    options: {
-      indexAxis: 'y',
-      responsive: true,
-      scales: {
-        x: {
-          min: 0,
-          max: 1,
-          ticks: { callback: (value) => `${(value * 100).toFixed(0)}%` },
-        },
-      },
-      plugins: {
-        legend: { display: false },
-        tooltip: {
-          callbacks: {
-            label: (context) => `${(context.parsed.x * 100).toFixed(2)}% accuracy`,
-          },
-        },
-      },
-    },
+  const headRow = document.createElement('tr');
+  ['Symbol', `Close ${forecast.anchorDate}`].forEach((title) => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.appendChild(th);
   });
-}
+  forecastDates.forEach((date, h) => {
+    const th = document.createElement('th');
+    th.textContent = `D+${h + 1} ${date}`;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
 
-function renderTimelines(datasetInfo, predictions, groundTruth) {
-  const { stockSymbols, horizon, testAnchorIndices, allDates } = datasetInfo;
-  const stockCount = stockSymbols.length;
-  const timelineData = Array.from({ length: stockCount }, () => []);
-
-  predictions.forEach((samplePred, sampleIndex) => {
-    const sampleTruth = groundTruth[sampleIndex];
-    const anchorIndex = testAnchorIndices[sampleIndex];
-    for (let stockIdx = 0; stockIdx < stockCount; stockIdx += 1) {
-      for (let h = 0; h < horizon; h += 1) {
-        const labelIndex = stockIdx * horizon + h;
-        const predictedBinary = samplePred[labelIndex] >= 0.5 ? 1 : 0;
-        const truthBinary = Math.round(sampleTruth[labelIndex]);
-        const correct = predictedBinary === truthBinary;
-        const futureDateIndex = anchorIndex + (h + 1);
-        const futureDate = allDates[futureDateIndex];
-        timelineData[stockIdx].push({
-          horizon: h + 1,
-          anchorDate: allDates[anchorIndex],
-          futureDate,
-          correct,
-        });
+  stockSymbols.forEach((symbol, stockIdx) => {
+    const row = document.createElement('tr');
+    [symbol, lastCloses[stockIdx].toFixed(2)].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+
+    for (let h = 0; h < horizon; h += 1) {
+      const output = prediction[stockIdx * horizon + h];
+      const td = document.createElement('td');
+      if (targetMode === 'multiclass') {
+        const upIndex = classLabels.indexOf('up');
+        td.textContent = `${(output[upIndex] * 100).toFixed(1)}%`;
+        td.title = classLabels.map((label, index) => `${label}: ${(output[index] * 100).toFixed(1)}%`).join(', ');
+        td.className = output[upIndex] >= 0.5 ? 'good' : '';
+      } else if (targetMode === 'regression') {
+        td.textContent = `${output >= 0 ? '+' : ''}${output.toFixed(2)}%`;
+        td.title = `Expected close ≈ ${(lastCloses[stockIdx] * (1 + output / 100)).toFixed(2)}`;
+        td.className = output >= 0 ? 'good' : 'bad';
+      } else {
+        td.textContent = `${(output * 100).toFixed(1)}%`;
+        td.className = output >= 0.5 ? 'good' : 'bad';
       }
+      row.appendChild(td);
     }
+    table.appendChild(row);
   });
 
-  dom.timelineContainer.innerHTML = '';
-
-  stockSymbols.forEach((symbol, stockIdx) => {
-    const section = document.createElement('section');
-    section.className = 'timeline-section';
-
-    const header = document.createElement('h3');
-    header.textContent = `${symbol}`;
-    section.appendChild(header);
+  const valueLabel = {
+    binary: 'probability that the close is above the anchor close',
+    multiclass: 'probability of the "up" class (hover for all classes)',
+    regression: 'predicted return versus the anchor close',
+  }[targetMode];
+  dom.forecastCaption.textContent = `Window ${forecast.windowDates[0]} → ${
+    forecast.anchorDate
+  }. Cells show the ${valueLabel}. ${
+    forecast.calendar === 'nyse'
+      ? 'Dates skip weekends and NYSE holidays'
+      : 'Dates skip weekends but not exchange holidays'
+  }${dom.forecastHolidaysInput.value.trim() ? ', and the extra holidays listed' : ''}.`;
+  dom.forecastTable.innerHTML = '';
+  dom.forecastTable.appendChild(table);
+}
 
-    const row = document.createElement('div');
-    row.className = 'timeline-row';
+async function activateModel(loadedModel, label) {
+  disposeDataset();
+  resetVisualizations();
+  if (model) {
+    await model.dispose();
+  }
+  model = loadedModel;
+  currentRun = null;
+  await model.ready();
+  logStatus(
+    `Loaded model "${label}" (${architectureLabel(model.architecture)}, ${model.stockCount} symbols, ${
+      model.sequenceLength
+    }-day window).`
+  );
+  renderTrainingChart(model.trainingHistory);
+  dom.calibrationSelect.value = model.calibration?.method ?? 'none';
+  syncArchitectureInputs(model.config);
 
-    timelineData[stockIdx].forEach((entry) => {
-      const cell = document.createElement('div');
-      cell.className = `timeline-cell ${entry.correct ? 'correct' : 'incorrect'}`;
-      const label = `Anchor ${entry.anchorDate} → ${entry.futureDate} (D+${entry.horizon})`;
-      cell.title = `${symbol}: ${label} — ${entry.correct ? 'Correct' : 'Incorrect'}`;
-      row.appendChild(cell);
-    });
+  if (dataLoader.dates.length > 0) {
+    await prepareDatasetForModel();
+  } else {
+    logStatus('Upload a CSV to evaluate the loaded model.');
+  }
+}
 
-    section.appendChild(row);
-    dom.timelineContainer.appendChild(section);
-  });
+function defaultModelName() {
+  return dom.modelNameInput.value.trim() || `model-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}`;
 }
 
-dom.fileInput.addEventListener('change', handleFileSelection);
-dom.trainButton.addEventListener('click', () => {
-  trainModel().catch((error) => {
-    logStatus(`Unexpected training error: ${error.message}`);
+async function refreshModelLibrary() {
+  let models;
+  try {
+    models = await listSavedModels();
+  } catch (error) {
+    dom.modelLibrary.textContent = `Unable to list saved models: ${error.message}`;
     console.error(error);
+    return;
+  }
+
+  dom.modelLibrary.innerHTML = '';
+  if (models.length === 0) {
+    dom.modelLibrary.textContent = 'No saved models yet.';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+  const headRow = document.createElement('tr');
+  ['Name', 'Storage', 'Saved', 'Size', ''].forEach((title) => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.appendChild(th);
   });
-});
-dom.evaluateButton.addEventListener('click', () => {
-  evaluateModel().catch((error) => {
-    logStatus(`Unexpected evaluation error: ${error.message}`);
-    console.error(error);
+  table.appendChild(headRow);
+
+  models.forEach((entry) => {
+    const row = document.createElement('tr');
+    [
+      entry.name,
+      entry.storage === 'indexeddb' ? 'IndexedDB' : 'localStorage',
+      entry.dateSaved ? entry.dateSaved.toLocaleString() : 'n/a',
+      `${(entry.bytes / 1024).toFixed(0)} KB`,
+    ].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+
+    const actions = document.createElement('td');
+    [
+      ['Load', () => handleLibraryLoad(entry)],
+      ['Rename', () => handleLibraryRename(entry)],
+      ['Delete', () => handleLibraryDelete(entry)],
+    ].forEach(([title, handler]) => {
+      const button = document.createElement('button');
+      button.textContent = title;
+      button.addEventListener('click', () => {
+        handler().catch((error) => {
+          logStatus(`Model library error: ${error.message}`);
+          console.error(error);
+        });
+      });
+      actions.appendChild(button);
+    });
+    row.appendChild(actions);
+    table.appendChild(row);
   });
-});
+
+  dom.modelLibrary.appendChild(table);
+}
+
+async function handleLibraryLoad(entry) {
+  disableControls();
+  try {
+    await activateModel(await loadModel(entry.storage, entry.name), entry.name);
+    dom.modelNameInput.value = entry.name;
+  } finally {
+    restoreControls();
+  }
+}
+
+async function handleLibraryRename(entry) {
+  const newName = window.prompt(`Rename "${entry.name}" to:`, entry.name);
+  if (!newName || newName.trim() === entry.name) return;
+  await renameModel(entry.storage, entry.name, newName);
+  logStatus(`Renamed model "${entry.name}" to "${newName.trim()}".`);
+  await refreshModelLibrary();
+}
+
+async function handleLibraryDelete(entry) {
+  if (!window.confirm(`Delete saved model "${entry.name}"?`)) return;
+  await deleteModel(entry.storage, entry.name);
+  logStatus(`Deleted model "${entry.name}".`);
+  await refreshModelLibrary();
+}
+
+async function handleSaveModel() {
+  if (!model) {
+    logStatus('Train or load a model before saving.');
+    return;
+  }
+  const name = defaultModelName();
+  const storage = dom.modelStorageSelect.value;
+  await saveModel(model, storage, name);
+  dom.modelNameInput.value = name;
+  logStatus(`Saved model "${name}" to ${storage === 'indexeddb' ? 'IndexedDB' : 'localStorage'}.`);
+  await refreshModelLibrary();
+}
+
+async function handleDownloadModel() {
+  if (!model) {
+    logStatus('Train or load a model before downloading.');
+    return;
+  }
+  const name = defaultModelName();
+  await downloadModel(model, name);
+  logStatus(`Downloaded ${name}.json and its weight file.`);
+}
+
+async function handleModelUpload(event) {
+  const files = Array.from(event.target.files ?? []);
+  if (files.length === 0) return;
+
+  disableControls();
+  try {
+    const jsonFile = files.find((file) => file.name.endsWith('.json'));
+    await activateModel(await uploadModel(files), jsonFile?.name ?? 'uploaded model');
+  } finally {
+    event.target.value = '';
+    restoreControls();
+  }
+}
+
+// Adds the run that just finished training to the experiment log; evaluateModel fills in its metrics. Failures are
+// reported without failing the training run.
+async function recordRun(trainOptions) {
+  try {
+    currentRun = createRun({
+      name: dom.modelNameInput.value.trim() || null,
+      data: {
+        hash: await hashRecords(dataLoader.exportSnapshot().records),
+        sources: dataLoader.parseReport?.sources.map(({ source }) => source) ?? [],
+        symbols: [...dataset.stockSymbols],
+        firstDate: dataset.allDates[0],
+        lastDate: dataset.allDates[dataset.allDates.length - 1],
+      },
+      loaderOptions: dataLoader.getOptions(),
+      modelConfig: model.config,
+      trainOptions,
+      summary: model.trainingSummary,
+      history: model.trainingHistory,
+    });
+    await saveRuns([currentRun]);
+    logStatus(`Recorded run "${currentRun.name}" in the experiment log.`);
+    await refreshExperimentLog();
+  } catch (error) {
+    logStatus(`Experiment log error: ${error.message}`);
+    console.error(error);
+  }
+}
+
+async function recordRunMetrics(metrics) {
+  if (!currentRun) return;
+  try {
+    currentRun = { ...currentRun, metrics };
+    await saveRuns([currentRun]);
+    await refreshExperimentLog();
+  } catch (error) {
+    logStatus(`Experiment log error: ${error.message}`);
+    console.error(error);
+  }
+}
+
+const formatRunValue = (key, value) => {
+  if (value === null || !Number.isFinite(value)) return 'n/a';
+  if (key === 'epochs') return String(value);
+  if (['meanAccuracy', 'accuracy', 'precision', 'recall'].includes(key)) return `${(value * 100).toFixed(1)}%`;
+  return value.toFixed(4);
+};
+
+const runModelLabel = (run) =>
+  `${architectureLabel(run.modelConfig.architecture)} ${
+    TARGET_MODE_LABELS[run.modelConfig.targetMode] ?? run.modelConfig.targetMode
+  }`;
+
+async function refreshExperimentLog() {
+  try {
+    experimentRuns = await listRuns();
+  } catch (error) {
+    dom.experimentLog.textContent = `Unable to read the experiment log: ${error.message}`;
+    console.error(error);
+    return;
+  }
+  [...selectedRunIds].forEach((id) => {
+    if (!experimentRuns.some((run) => run.id === id)) selectedRunIds.delete(id);
+  });
+
+  dom.experimentLog.innerHTML = '';
+  if (experimentRuns.length === 0) {
+    dom.experimentLog.textContent = 'No runs recorded yet. Every training run is added here.';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+  const headRow = document.createElement('tr');
+  ['', 'Run', 'Trained', 'Data', 'Model', 'Window', 'Epochs', 'Val Loss', 'Mean Accuracy'].forEach((title) => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
+
+  const { rows } = compareRuns(experimentRuns);
+  const value = (key, index) => {
+    const row = rows.find((item) => item.key === key);
+    return formatRunValue(key, row.values[index]);
+  };
+  experimentRuns.forEach((run, index) => {
+    const row = document.createElement('tr');
+    const select = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedRunIds.has(run.id);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) selectedRunIds.add(run.id);
+      else selectedRunIds.delete(run.id);
+    });
+    select.appendChild(checkbox);
+    row.appendChild(select);
+
+    const { data = {}, loaderOptions } = run;
+    [
+      [`${run.name}${run.id === currentRun?.id ? ' (current)' : ''}`],
+      [new Date(run.timestamp).toLocaleString()],
+      [
+        `${data.hash?.slice(0, 10) ?? 'n/a'} · ${data.symbols?.length ?? '?'} symbols`,
+        `SHA-256 ${data.hash ?? 'unavailable'}\n${data.firstDate} → ${data.lastDate}\n${(data.sources ?? []).join(', ')}`,
+      ],
+      [runModelLabel(run)],
+      [`${loaderOptions.sequenceLength} days → D+${loaderOptions.horizon}`],
+      [value('epochs', index)],
+      [value('valLoss', index)],
+      [run.metrics ? value('meanAccuracy', index) : 'not evaluated'],
+    ].forEach(([text, title]) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (title) td.title = title;
+      row.appendChild(td);
+    });
+    table.appendChild(row);
+  });
+
+  dom.experimentLog.appendChild(table);
+}
+
+function selectedRuns() {
+  return experimentRuns.filter((run) => selectedRunIds.has(run.id));
+}
+
+function compareSelectedRuns() {
+  const runs = selectedRuns();
+  if (runs.length === 0) {
+    logStatus('Select one or more runs in the experiment log to compare.');
+    return;
+  }
+  renderComparison(runs);
+}
+
+function resetComparison() {
+  if (comparisonHistoryChart) {
+    comparisonHistoryChart.destroy();
+    comparisonHistoryChart = null;
+  }
+  if (comparisonAccuracyChart) {
+    comparisonAccuracyChart.destroy();
+    comparisonAccuracyChart = null;
+  }
+  dom.comparisonTable.innerHTML = '';
+  dom.comparisonCaption.textContent = '';
+  dom.comparisonPanel.setAttribute('hidden', '');
+}
+
+// Summary table, validation loss per epoch and per-stock accuracy of the selected runs side by side. Runs that were
+// never evaluated only contribute their training curves.
+function renderComparison(runs) {
+  resetComparison();
+  const { symbols, accuracy, rows } = compareRuns(runs);
+  const color = (index) => SERIES_COLORS[index % SERIES_COLORS.length];
+
+  const tableRows = [
+    ['Data', ...runs.map((run) => run.data?.hash?.slice(0, 10) ?? 'n/a')],
+    ['Model', ...runs.map(runModelLabel)],
+    ['Window', ...runs.map((run) => `${run.loaderOptions.sequenceLength} days → D+${run.loaderOptions.horizon}`)],
+    ['Features', ...runs.map((run) => run.loaderOptions.features?.join(', ') ?? 'n/a')],
+    ['Learning rate', ...runs.map((run) => run.modelConfig.learningRate)],
+    ...rows
+      .filter((row) => row.values.some((item) => item !== null))
+      .map((row) => [row.label, ...row.values.map((item) => formatRunValue(row.key, item))]),
+  ];
+  dom.comparisonTable.appendChild(qualityTable(['', ...runs.map((run) => run.name)], tableRows));
+
+  const epochCount = Math.max(...runs.map((run) => run.history?.epochs.length ?? 0), 0);
+  comparisonHistoryChart = new Chart(dom.comparisonHistoryCanvas, {
+    type: 'line',
+    data: {
+      labels: Array.from({ length: epochCount }, (_, epoch) => epoch + 1),
+      datasets: runs.map((run, index) => ({
+        label: run.name,
+        data: (run.history?.epochs ?? []).map((epoch) => epoch.val_loss ?? epoch.loss),
+        borderColor: color(index),
+        backgroundColor: color(index),
+        pointRadius: 0,
+      })),
+    },
+    options: {
+      responsive: true,
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        x: { title: { display: true, text: 'Epoch' } },
+        y: { title: { display: true, text: 'Validation loss (training loss without validation)' } },
+      },
+    },
+  });
+
+  comparisonAccuracyChart = new Chart(dom.comparisonAccuracyCanvas, {
+    type: 'bar',
+    data: {
+      labels: symbols,
+      datasets: runs.map((run, index) => ({
+        label: run.name,
+        data: accuracy[index],
+        backgroundColor: color(index),
+        borderRadius: 4,
+      })),
+    },
+    options: {
+      responsive: true,
+      animation: false,
+      scales: {
+        y: {
+          min: 0,
+          max: 1,
+          title: { display: true, text: 'Test accuracy' },
+          ticks: { callback: (value) => `${(value * 100).toFixed(0)}%` },
+        },
+      },
+    },
+  });
+
+  const hashes = new Set(runs.map((run) => run.data?.hash ?? null));
+  const unevaluated = runs.filter((run) => !run.metrics).length;
+  dom.comparisonCaption.textContent = [
+    `Comparing ${runs.length} run(s).`,
+    hashes.size > 1 ? `They were trained on ${hashes.size} different data sets; compare metrics with care.` : '',
+    unevaluated ? `${unevaluated} run(s) were never evaluated and have no test metrics.` : '',
+  ]
+    .filter(Boolean)
+    .join(' ');
+  dom.comparisonPanel.removeAttribute('hidden');
+}
+
+function exportSelectedRuns() {
+  const runs = selectedRuns();
+  if (runs.length === 0) {
+    logStatus('Select the runs to export in the experiment log.');
+    return;
+  }
+  downloadText(`experiments-${new Date().toISOString().slice(0, 10)}.json`, runsToJSON(runs), 'application/json');
+  logStatus(`Exported ${runs.length} run(s) from the experiment log.`);
+}
+
+// Imported runs keep their ids, so importing the same file twice leaves one copy of each run.
+async function handleRunsImport(event) {
+  const [file] = Array.from(event.target.files ?? []);
+  if (!file) return;
+  try {
+    const runs = runsFromJSON(await file.text());
+    await saveRuns(runs);
+    runs.forEach((run) => selectedRunIds.add(run.id));
+    logStatus(`Imported ${runs.length} run(s) from ${file.name}; they are selected for comparison.`);
+    await refreshExperimentLog();
+  } finally {
+    event.target.value = '';
+  }
+}
+
+async function deleteSelectedRuns() {
+  const ids = [...selectedRunIds];
+  if (ids.length === 0) {
+    logStatus('Select the runs to delete in the experiment log.');
+    return;
+  }
+  if (!window.confirm(`Delete ${ids.length} run(s) from the experiment log?`)) return;
+  await deleteRuns(ids);
+  if (ids.includes(currentRun?.id)) currentRun = null;
+  ids.forEach((id) => selectedRunIds.delete(id));
+  resetComparison();
+  logStatus(`Deleted ${ids.length} run(s) from the experiment log.`);
+  await refreshExperimentLog();
+}
+
+function trainingCallbacks(epochs, metricName) {
+  liveHistory = { metricName, epochs: [], batches: [] };
+  renderTrainingChart(liveHistory);
+
+  return {
+    onTrainBegin: () => logStatus('Training started.'),
+    onBatchEnd: (batch, logs) => {
+      liveHistory.batches.push({
+        epoch: liveHistory.epochs.length,
+        batch,
+        loss: logs.loss,
+        [metricName]: logs[metricName],
+      });
+      if (dom.batchResolutionInput.checked) updateTrainingChart(liveHistory);
+    },
+    onEpochEnd: (epoch, logs) => {
+      const message = `Epoch ${epoch + 1}/${epochs} — loss: ${logs.loss.toFixed(4)}, val_loss: ${
+        logs.val_loss?.toFixed(4) ?? 'n/a'
+      }, ${metricName}: ${logs[metricName]?.toFixed(4) ?? 'n/a'}`;
+      logStatus(message);
+      liveHistory.epochs.push({ epoch, ...logs });
+      updateTrainingChart(liveHistory);
+    },
+    onTrainEnd: (logs) => logTrainingSummary(logs),
+  };
+}
+
+function logTrainingSummary(summary) {
+  if (summary.stopReason === 'cancelled') {
+    logStatus('Training stopped by user.');
+  } else if (summary.stopReason === 'early-stopping') {
+    logStatus(`Early stopping: ${summary.monitor} did not improve after epoch ${summary.bestEpoch + 1}.`);
+  } else {
+    logStatus('Training completed.');
+  }
+  if (summary.restoredBestWeights && summary.perSymbol) {
+    const restored = summary.perSymbol.filter((item) => item.restoredBestWeights).length;
+    logStatus(`Restored the best-epoch weights of ${restored} of ${summary.perSymbol.length} symbol models.`);
+  } else if (summary.restoredBestWeights) {
+    logStatus(
+      `Restored weights from epoch ${summary.bestEpoch + 1} (${summary.monitor} ${summary.bestValue.toFixed(4)}).`
+    );
+  }
+}
+
+async function trainOnMainThread(trainOptions) {
+  logStatus('Preparing dataset...');
+  dataset = await dataLoader.prepareDataset();
+  logStatus(
+    `Scaler "${dataset.scaling.type}" fitted on ${dataset.scaling.fitStartDate} → ${dataset.scaling.fitEndDate}.`
+  );
+  logStatus(`Using ${dataset.featureCount} features per timestep: ${dataset.features.map((f) => f.name).join(', ')}.`);
+
+  model = createModel(dataset);
+  await model.ready();
+  activeTrainer = model;
+
+  logStatus(
+    `Training ${architectureLabel(model.architecture)} ${TARGET_MODE_LABELS[dataset.targetMode]} model for ${
+      trainOptions.epochs
+    } epochs (batch size ${trainOptions.batchSize})...`
+  );
+  await model.train(dataset.X_train, dataset.y_train, {
+    ...trainOptions,
+    callbacks: trainingCallbacks(trainOptions.epochs, model.metricName),
+  });
+}
+
+async function trainInWorker(trainOptions) {
+  const loaderOptions = dataLoader.getOptions();
+  const trainer = new WorkerTrainer();
+  activeTrainer = trainer;
+
+  const options = modelOptions();
+  logStatus(
+    `Training ${architectureLabel(options.architecture)} ${
+      TARGET_MODE_LABELS[loaderOptions.targetMode]
+    } model in a background worker for ${trainOptions.epochs} epochs (batch size ${trainOptions.batchSize})...`
+  );
+  const result = await trainer.train({
+    snapshot: dataLoader.exportSnapshot(),
+    loaderOptions,
+    modelOptions: options,
+    trainOptions,
+    backend: dom.backendSelect.value,
+    callbacks: trainingCallbacks(trainOptions.epochs, StockGRUModel.metricNameFor(loaderOptions.targetMode)),
+    onStatus: logStatus,
+  });
+
+  dataset = result.dataset;
+  logStatus(
+    `Scaler "${dataset.scaling.type}" fitted on ${dataset.scaling.fitStartDate} → ${dataset.scaling.fitEndDate}.`
+  );
+  model = createModel(dataset);
+  await model.setWeightData(result.weights);
+  model.trainingStopped = result.stopped;
+  model.trainingSummary = result.summary;
+  model.trainingHistory = result.history;
+}
+
+async function trainModel() {
+  if (dataLoader.dates.length === 0) {
+    logStatus('Please load data before training.');
+    return;
+  }
+
+  disposeDataset();
+  resetVisualizations();
+  disableControls();
+
+  if (model) {
+    await model.dispose();
+    model = null;
+  }
+  currentRun = null;
+
+  try {
+    applyLoaderOptions();
+  } catch (error) {
+    enableTrainingControls();
+    logStatus(`Dataset error: ${error.message}`);
+    console.error(error);
+    return;
+  }
+
+  const trainOptions = {
+    epochs: Number.parseInt(dom.epochsInput.value, 10) || 30,
+    batchSize: Number.parseInt(dom.batchSizeInput.value, 10) || 32,
+    validationSplit: VALIDATION_SPLIT,
+    ...scheduleOptions(),
+  };
+  const useWorker = dom.workerTrainingInput.checked && WorkerTrainer.isSupported();
+
+  setTrainingRunState(true);
+  try {
+    if (useWorker) {
+      await trainInWorker(trainOptions);
+    } else {
+      await trainOnMainThread(trainOptions);
+    }
+    renderTrainingChart(model.trainingHistory);
+    enableEvaluationControls();
+    await recordRun(trainOptions);
+    await logRuntime();
+  } catch (error) {
+    logStatus(`Training error: ${error.message}`);
+    console.error(error);
+    enableTrainingControls();
+  } finally {
+    activeTrainer = null;
+    setTrainingRunState(false);
+  }
+}
+
+function setTrainingRunState(running) {
+  setButtonState(dom.pauseTrainingButton, running);
+  setButtonState(dom.stopTrainingButton, running);
+  dom.pauseTrainingButton.textContent = 'Pause';
+}
+
+function togglePauseTraining() {
+  if (!activeTrainer) return;
+  if (dom.pauseTrainingButton.textContent === 'Pause') {
+    activeTrainer.pause();
+    dom.pauseTrainingButton.textContent = 'Resume';
+    logStatus('Training paused after the current batch.');
+  } else {
+    activeTrainer.resume();
+    dom.pauseTrainingButton.textContent = 'Pause';
+    logStatus('Training resumed.');
+  }
+}
+
+function stopTraining() {
+  if (!activeTrainer) return;
+  trainingStopRequested = true;
+  logStatus('Stopping training after the current batch...');
+  activeTrainer.requestStop();
+  setTrainingRunState(false);
+}
+
+// One line per evaluation so runs with different task layouts can be compared from the log.
+function logSymbolSpread(symbols, stockMetrics) {
+  const ranked = stockMetrics
+    .map(({ accuracy }, index) => ({ symbol: symbols[index], accuracy }))
+    .sort((a, b) => a.accuracy - b.accuracy);
+  const worst = ranked[0];
+  const best = ranked[ranked.length - 1];
+  const mean = ranked.reduce((sum, { accuracy }) => sum + accuracy, 0) / ranked.length;
+  const weights = model.lossWeights?.some((weight) => weight !== 1) ? ', weighted loss' : '';
+  logStatus(
+    `${architectureLabel(model.architecture)} — ${TASK_MODES[model.taskMode]}${weights}: mean accuracy ${(
+      mean * 100
+    ).toFixed(1)}%, worst ${worst.symbol} ${(worst.accuracy * 100).toFixed(1)}%, best ${best.symbol} ${(
+      best.accuracy * 100
+    ).toFixed(1)}%.`
+  );
+}
+
+async function evaluateModel() {
+  if (!dataset || !model) {
+    logStatus('Train the model before evaluation.');
+    return;
+  }
+
+  disableControls();
+  logStatus('Running evaluation on the test set...');
+
+  let predictionTensor;
+  try {
+    await updateCalibration(dom.calibrationSelect.value);
+    predictionTensor = await model.predict(dataset.X_test);
+    const rawPredictions = await predictionTensor.array();
+    const predictions = applyCalibration(model.calibration, rawPredictions);
+    const stockMetrics = await model.evaluateStockMetrics(dataset.y_test, predictions);
+    const groundTruth = await dataset.y_test.array();
+    const report = evaluatePredictions({
+      predictions,
+      actual: groundTruth,
+      trainActual: await dataset.y_train.array(),
+      trailingLabels: dataset.testTrailingLabels,
+      targetMode: dataset.targetMode,
+      stockSymbols: dataset.stockSymbols,
+      horizon: dataset.horizon,
+    });
+    renderAccuracyChart(dataset.stockSymbols, stockMetrics, dataset.targetMode);
+    logSymbolSpread(dataset.stockSymbols, stockMetrics);
+    renderClassificationMetrics(report);
+    if (dataset.targetMode === 'binary') {
+      reliability = {
+        raw: reliabilityReport(rawPredictions, groundTruth, dataset.stockSymbols, dataset.horizon),
+        calibrated: model.calibration
+          ? reliabilityReport(predictions, groundTruth, dataset.stockSymbols, dataset.horizon)
+          : null,
+        method: model.calibration?.method ?? null,
+      };
+      renderReliability();
+    }
+    if (dataset.targetMode === 'regression') {
+      const meanOf = (key) => stockMetrics.reduce((sum, item) => sum + item[key], 0) / stockMetrics.length;
+      logStatus(`Mean MAE ${meanOf('mae').toFixed(3)}%, mean RMSE ${meanOf('rmse').toFixed(3)}% across stocks.`);
+    }
+    timeline = buildTimeline(dataset, predictions, groundTruth);
+    prepareTimelineControls(dataset);
+    renderTimeline();
+    renderCorrelationHeatmap(dataset.correlation);
+    await recordRunMetrics(
+      evaluationMetrics({
+        stockSymbols: dataset.stockSymbols,
+        stockMetrics,
+        report,
+        calibration: model.calibration?.method ?? null,
+      })
+    );
+    evaluatedPredictions = predictions;
+    prepareBacktestControls(dataset);
+    prepareExplainControls(dataset);
+    logStatus('Evaluation complete. Visualizations updated.');
+    dom.metricsSection.removeAttribute('hidden');
+  } catch (error) {
+    logStatus(`Evaluation error: ${error.message}`);
+    console.error(error);
+  } finally {
+    predictionTensor?.dispose();
+    enableEvaluationControls();
+  }
+  await logRuntime();
+}
+
+// Calibrators are fitted on the tail of the training windows that training held out for validation,
+// so the test set stays untouched. A calibration loaded with the model is kept while the method matches.
+async function updateCalibration(method) {
+  if (method === 'none') {
+    model.calibration = null;
+    return;
+  }
+  if (dataset.targetMode !== 'binary') {
+    logStatus('Calibration applies to Up / Down probabilities only; using raw outputs.');
+    model.calibration = null;
+    return;
+  }
+  if (model.calibration?.method === method) return;
+
+  const total = dataset.X_train.shape[0];
+  const start = Math.floor(total * (1 - VALIDATION_SPLIT));
+  const inputs = dataset.X_train.slice([start], [total - start]);
+  const labels = dataset.y_train.slice([start], [total - start]);
+  let predictionTensor;
+  try {
+    predictionTensor = await model.predict(inputs);
+    model.calibration = {
+      ...fitCalibration(method, await predictionTensor.array(), await labels.array()),
+      fitStartDate: dataset.trainDates[start],
+      fitEndDate: dataset.trainDates[total - 1],
+    };
+  } finally {
+    predictionTensor?.dispose();
+    inputs.dispose();
+    labels.dispose();
+  }
+  logStatus(
+    `Fitted ${method} calibration on ${total - start} validation windows (${model.calibration.fitStartDate} → ${
+      model.calibration.fitEndDate
+    }).`
+  );
+}
+
+function prepareBacktestControls(datasetInfo) {
+  const previous = dom.backtestHorizonSelect.value;
+  dom.backtestHorizonSelect.innerHTML = '';
+  for (let h = 1; h <= datasetInfo.horizon; h += 1) {
+    const option = document.createElement('option');
+    option.value = String(h - 1);
+    option.textContent = `D+${h} prediction`;
+    dom.backtestHorizonSelect.appendChild(option);
+  }
+  dom.backtestHorizonSelect.value = previous && Number(previous) < datasetInfo.horizon ? previous : '0';
+  dom.backtestSection.removeAttribute('hidden');
+}
+
+function fillSelect(select, labels) {
+  const previous = select.value;
+  select.innerHTML = '';
+  labels.forEach((label, index) => {
+    const option = document.createElement('option');
+    option.value = String(index);
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = previous && Number(previous) < labels.length ? previous : '0';
+}
+
+function prepareExplainControls(datasetInfo) {
+  fillSelect(dom.explainAnchorSelect, datasetInfo.testDates);
+  fillSelect(dom.explainSymbolSelect, datasetInfo.stockSymbols);
+  fillSelect(
+    dom.explainHorizonSelect,
+    Array.from({ length: datasetInfo.horizon }, (_, h) => `D+${h + 1} prediction`)
+  );
+  dom.explainSection.removeAttribute('hidden');
+}
+
+const EXPLAINED_SCORES = {
+  binary: 'P(up)',
+  multiclass: 'P(up) − P(down)',
+  regression: 'predicted return (%)',
+};
+
+async function explainPrediction() {
+  if (!dataset || !model) {
+    logStatus('Evaluate the model before explaining a prediction.');
+    return;
+  }
+
+  const sampleIndex = Number.parseInt(dom.explainAnchorSelect.value, 10) || 0;
+  const stockIndex = Number.parseInt(dom.explainSymbolSelect.value, 10) || 0;
+  const horizonIndex = Number.parseInt(dom.explainHorizonSelect.value, 10) || 0;
+  const method = dom.explainMethodSelect.value;
+  const tf = await getTF();
+  const input = tf.tidy(() => dataset.X_test.gather([sampleIndex]).squeeze([0]));
+  const baseline = meanBaseline(tf, dataset.X_train);
+
+  disableControls();
+  try {
+    const result = await attributeWindow(model, { input, baseline, stockIndex, horizonIndex, method });
+    renderAttributionHeatmap(result, sampleIndex);
+    logStatus(
+      `${ATTRIBUTION_METHODS[method]} for ${dataset.stockSymbols[stockIndex]} D+${horizonIndex + 1} at ${
+        dataset.testDates[sampleIndex]
+      }: ${EXPLAINED_SCORES[dataset.targetMode]} ${result.score.toFixed(4)} vs ${result.baselineScore.toFixed(
+        4
+      )} for the mean window.`
+    );
+  } catch (error) {
+    logStatus(`Explanation error: ${error.message}`);
+    console.error(error);
+  } finally {
+    input.dispose();
+    baseline.dispose();
+    restoreControls();
+  }
+}
+
+// Rows are input features, columns the window's timesteps from the oldest lag to the anchor day.
+function renderAttributionHeatmap(result, sampleIndex) {
+  const { attributions } = result;
+  const { featureNames, sequenceLength, allDates } = dataset;
+  const anchor = dataset.testAnchorIndices[sampleIndex];
+  const scale = Math.max(...attributions.flat().map(Math.abs), 1e-12);
+  const totals = featureNames.map((_, feature) => attributions.reduce((sum, step) => sum + step[feature], 0));
+
+  const table = document.createElement('table');
+  table.className = 'metrics-table heatmap';
+  const headRow = document.createElement('tr');
+  headRow.appendChild(document.createElement('th'));
+  attributions.forEach((_, step) => {
+    const th = document.createElement('th');
+    const lag = sequenceLength - 1 - step;
+    th.textContent = lag === 0 ? 't' : `t−${lag}`;
+    th.title = allDates[anchor - lag];
+    headRow.appendChild(th);
+  });
+  const totalHeader = document.createElement('th');
+  totalHeader.textContent = 'Total';
+  headRow.appendChild(totalHeader);
+  table.appendChild(headRow);
+
+  const shade = (value, limit) => {
+    const alpha = Math.min(1, Math.abs(value) / limit) * 0.85;
+    return value >= 0 ? `rgba(34, 197, 94, ${alpha})` : `rgba(248, 113, 113, ${alpha})`;
+  };
+  const totalScale = Math.max(...totals.map(Math.abs), 1e-12);
+  featureNames.forEach((name, feature) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = name;
+    tr.appendChild(th);
+    attributions.forEach((step, index) => {
+      const td = document.createElement('td');
+      td.className = 'heatmap-cell';
+      td.textContent = step[feature].toPrecision(2);
+      td.style.backgroundColor = shade(step[feature], scale);
+      td.title = `${name} on ${allDates[anchor - sequenceLength + 1 + index]}`;
+      tr.appendChild(td);
+    });
+    const total = document.createElement('td');
+    total.className = 'heatmap-cell';
+    total.textContent = totals[feature].toPrecision(2);
+    total.style.backgroundColor = shade(totals[feature], totalScale);
+    tr.appendChild(total);
+    table.appendChild(tr);
+  });
+
+  const gap =
+    result.gap === null ? '' : ` The cells add up to the difference within ${Math.abs(result.gap).toPrecision(2)}.`;
+  dom.explainCaption.textContent = `${ATTRIBUTION_METHODS[result.method]}: contribution of each scaled input to ${
+    dataset.stockSymbols[result.stockIndex]
+  } D+${result.horizonIndex + 1} ${EXPLAINED_SCORES[dataset.targetMode]} for the window ending ${
+    dataset.testDates[sampleIndex]
+  } (${result.score.toFixed(4)}), relative to the mean training window (${result.baselineScore.toFixed(
+    4
+  )}). Green cells raised the output, red cells lowered it.${gap}`;
+  dom.explainHeatmap.innerHTML = '';
+  dom.explainHeatmap.appendChild(table);
+}
+
+async function runPermutationImportance() {
+  if (!dataset || !model) {
+    logStatus('Evaluate the model before ranking input importance.');
+    return;
+  }
+
+  const groups = featureGroups(dataset);
+  disableControls();
+  logStatus(
+    `Permutation importance: shuffling ${groups.length} input groups ${PERMUTATION_REPEATS} times over ${dataset.testDates.length} test windows...`
+  );
+  try {
+    const result = await permutationImportance(model, {
+      X: dataset.X_test,
+      y: dataset.y_test,
+      groups,
+      repeats: PERMUTATION_REPEATS,
+      onProgress: (done, total, name) => {
+        dom.importanceCaption.textContent = `Shuffled ${name} (${done} of ${total})...`;
+      },
+    });
+    renderImportance(result);
+    logStatus(`Most important input: ${result.ranking[0].name}.`);
+  } catch (error) {
+    logStatus(`Permutation importance error: ${error.message}`);
+    console.error(error);
+  } finally {
+    restoreControls();
+  }
+}
+
+function renderImportance({ reference, repeats, ranking }) {
+  const rows = ranking.map((entry, index) => [
+    index + 1,
+    entry.name,
+    `${entry.lossIncrease.toFixed(4)} ± ${(entry.lossIncreaseSpread / 2).toFixed(4)}`,
+    `${(entry.accuracyDrop * 100).toFixed(2)} pp`,
+  ]);
+  dom.importanceCaption.textContent =
+    `Test loss ${reference.loss.toFixed(4)} and mean accuracy ${(reference.accuracy * 100).toFixed(2)}% before ` +
+    `shuffling. Each input's columns were shuffled across test windows ${repeats} times; a larger loss increase ` +
+    'means the model leans more on that input. ± is half the range over repeats.';
+  dom.importanceTable.innerHTML = '';
+  dom.importanceTable.appendChild(qualityTable(['Rank', 'Input', 'Loss increase', 'Accuracy drop'], rows));
+}
+
+// Unlike `parseFloat(...) || fallback`, keeps a legitimate 0 and reports a blank or invalid field.
+function numberInput(input, label, parse = Number.parseFloat) {
+  const value = parse(input.value, 10);
+  if (!Number.isFinite(value)) {
+    throw new Error(`${label} must be a number.`);
+  }
+  return value;
+}
+
+function runStrategyBacktest() {
+  if (!dataset || !evaluatedPredictions) {
+    logStatus('Evaluate the model before running a backtest.');
+    return;
+  }
+
+  const horizonIndex = Number.parseInt(dom.backtestHorizonSelect.value, 10) || 0;
+  const strategy = dom.backtestStrategySelect.value;
+  const regression = dataset.targetMode === 'regression';
+  const threshold = numberInput(dom.backtestThresholdInput, 'Probability threshold');
+  const minReturn = numberInput(dom.backtestMinReturnInput, 'Min predicted return');
+  const lastAnchor = dataset.testAnchorIndices[dataset.testAnchorIndices.length - 1];
+  // A D+h call is held for h days, so the backtest runs h closes past the last test anchor.
+  const holdingDays = horizonIndex + 1;
+  const dates = [...dataset.testDates, ...dataset.allDates.slice(lastAnchor + 1, lastAnchor + holdingDays + 1)];
+
+  const result = runBacktest({
+    dates,
+    closes: dataLoader.closesFor(dates, dataset.stockSymbols),
+    scores: evaluatedPredictions.map((prediction) => signalScores(prediction, dataset, horizonIndex)),
+    strategy,
+    longAbove: regression ? minReturn : threshold,
+    shortBelow: regression ? -minReturn : 1 - threshold,
+    topK: numberInput(dom.backtestTopKInput, 'Top K', Number.parseInt),
+    costBps: numberInput(dom.backtestCostInput, 'Cost'),
+    holdingDays,
+  });
+  renderBacktest(result, strategy);
+  logStatus(
+    `Backtest (${STRATEGIES[strategy]}): total return ${(result.stats.totalReturn * 100).toFixed(2)}% vs buy-and-hold ${(
+      result.benchmark.stats.totalReturn * 100
+    ).toFixed(2)}%.`
+  );
+}
+
+function renderBacktest(result, strategy) {
+  if (backtestChart) {
+    backtestChart.destroy();
+  }
+
+  backtestChart = new Chart(dom.backtestCanvas, {
+    type: 'line',
+    data: {
+      labels: result.exitDates,
+      datasets: [
+        {
+          label: STRATEGIES[strategy],
+          data: result.equity,
+          borderColor: 'rgba(56, 189, 248, 1)',
+          backgroundColor: 'rgba(56, 189, 248, 1)',
+          pointRadius: 0,
+        },
+        {
+          label: 'Buy & hold (equal weight)',
+          data: result.benchmark.equity,
+          borderColor: 'rgba(148, 163, 184, 1)',
+          backgroundColor: 'rgba(148, 163, 184, 1)',
+          borderDash: [6, 4],
+          pointRadius: 0,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      scales: { y: { title: { display: true, text: 'Equity (start = 1)' } } },
+    },
+  });
+
+  const holding =
+    result.holdingDays > 1
+      ? ` Each call is held for ${result.holdingDays} days in an overlapping sleeve of 1/${result.holdingDays} of the book.`
+      : '';
+  dom.backtestCaption.textContent = `${result.dates[0]} → ${result.exitDates[result.exitDates.length - 1]}, ${
+    result.stats.days
+  } daily rebalances at the close.${holding} Turnover is the mean daily sum of absolute weight changes.`;
+
+  const percent = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(2)}%` : 'n/a');
+  const number = (value) => (Number.isFinite(value) ? value.toFixed(2) : 'n/a');
+  const rows = [
+    ['Total return', 'totalReturn', percent, true],
+    ['Annualized return', 'annualizedReturn', percent, true],
+    ['Annualized volatility', 'annualizedVolatility', percent, false],
+    ['Sharpe', 'sharpe', number, true],
+    ['Max drawdown', 'maxDrawdown', percent, false],
+    ['Hit rate', 'hitRate', percent, true],
+    ['Turnover', 'turnover', number, false],
+    ['Gross exposure', 'exposure', number, null],
+  ];
+
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+  const headRow = document.createElement('tr');
+  ['Metric', 'Strategy', 'Buy & Hold'].forEach((title) => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  rows.forEach(([label, key, format, higherIsBetter]) => {
+    const row = document.createElement('tr');
+    const strategyValue = result.stats[key];
+    const benchmarkValue = result.benchmark.stats[key];
+    [label, format(strategyValue), format(benchmarkValue)].forEach((text, index) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (index === 1 && higherIsBetter !== null && Number.isFinite(strategyValue) && Number.isFinite(benchmarkValue)) {
+        const better = higherIsBetter ? strategyValue > benchmarkValue : strategyValue < benchmarkValue;
+        td.className = better ? 'good' : 'bad';
+      }
+      row.appendChild(td);
+    });
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+  dom.backtestTable.innerHTML = '';
+  dom.backtestTable.appendChild(table);
+}
+
+async function runWalkForwardEvaluation() {
+  if (dataLoader.dates.length === 0) {
+    logStatus('Please load data before running walk-forward evaluation.');
+    return;
+  }
+
+  const mode = dom.walkForwardModeSelect.value;
+  const testSize = Number.parseInt(dom.walkForwardTestSizeInput.value, 10) || 20;
+  const retrain = dom.walkForwardRefitSelect.value !== 'finetune';
+  const fineTuneEpochs = Number.parseInt(dom.walkForwardFineTuneInput.value, 10) || 5;
+  const epochs = Number.parseInt(dom.epochsInput.value, 10) || 30;
+  const batchSize = Number.parseInt(dom.batchSizeInput.value, 10) || 32;
+
+  let folds;
+  try {
+    applyLoaderOptions();
+    folds = dataLoader.planWalkForward({ mode, testSize });
+  } catch (error) {
+    logStatus(`Walk-forward error: ${error.message}`);
+    console.error(error);
+    return;
+  }
+
+  disableControls();
+  resetWalkForward();
+  trainingStopRequested = false;
+  setTrainingRunState(true);
+  logStatus(
+    `Walk-forward: ${folds.length} folds (${mode} window, ${testSize} test anchors each, ${
+      retrain ? 'retraining' : 'fine-tuning'
+    } per fold)...`
+  );
+
+  try {
+    const result = await runWalkForward({
+      dataLoader,
+      folds,
+      // Pause and Stop act on the model of the running fold.
+      createModel: (foldDataset) => {
+        activeTrainer = createModel(foldDataset);
+        return activeTrainer;
+      },
+      epochs,
+      batchSize,
+      retrain,
+      fineTuneEpochs,
+      schedule: scheduleOptions(),
+      callbacks: {
+        onFoldBegin: (fold, foldDataset) => {
+          logStatus(
+            `Fold ${fold.index + 1}/${folds.length} — train ${foldDataset.trainDates[0]} → ${
+              foldDataset.trainDates[foldDataset.trainDates.length - 1]
+            } (${foldDataset.trainDates.length}), test ${fold.testStartDate} → ${fold.testEndDate} (${
+              foldDataset.testDates.length
+            })`
+          );
+        },
+        onEpochEnd: (fold, epoch, foldEpochs, logs) => {
+          if (epoch + 1 === foldEpochs) {
+            logStatus(
+              `Fold ${fold.index + 1} final epoch — loss: ${logs.loss.toFixed(4)}, val_loss: ${
+                logs.val_loss?.toFixed(4) ?? 'n/a'
+              }`
+            );
+          }
+        },
+        onFoldEnd: (foldResult) => {
+          const mean = foldResult.accuracies.reduce((sum, value) => sum + value, 0) / foldResult.accuracies.length;
+          const stoppedEarly =
+            foldResult.training?.stopReason === 'early-stopping'
+              ? ` (early stop, best epoch ${foldResult.training.bestEpoch + 1})`
+              : '';
+          logStatus(`Fold ${foldResult.fold + 1} mean accuracy: ${(mean * 100).toFixed(2)}%${stoppedEarly}`);
+        },
+        shouldStop: () => trainingStopRequested,
+      },
+    });
+    renderWalkForward(result);
+    dom.walkForwardSection.removeAttribute('hidden');
+    logStatus(
+      trainingStopRequested
+        ? `Walk-forward stopped after ${result.folds.length} of ${folds.length} folds.`
+        : 'Walk-forward evaluation complete.'
+    );
+  } catch (error) {
+    logStatus(`Walk-forward error: ${error.message}`);
+    console.error(error);
+  } finally {
+    activeTrainer = null;
+    setTrainingRunState(false);
+    restoreControls();
+  }
+}
+
+const INTEGER_SEARCH_PARAMETERS = ['sequenceLength', 'horizon', 'unitsFirst', 'unitsSecond'];
+
+function readSearchSpace() {
+  return Object.fromEntries(
+    Array.from(dom.searchSpace.querySelectorAll('input[data-param]')).map((input) => {
+      const key = input.dataset.param;
+      const values = input.value
+        .split(',')
+        .map((value) => value.trim())
+        .filter(Boolean)
+        .map(Number);
+      if (values.length === 0 || values.some((value) => !Number.isFinite(value) || value < 0)) {
+        throw new Error(`"${input.value}" is not a comma-separated list of numbers for ${key}.`);
+      }
+      const parsed = INTEGER_SEARCH_PARAMETERS.includes(key) ? values.map(Math.round) : values;
+      return [key, Array.from(new Set(parsed))];
+    })
+  );
+}
+
+async function runHyperparameterSearch() {
+  if (dataLoader.dates.length === 0) {
+    logStatus('Please load data before running a search.');
+    return;
+  }
+
+  const strategy = dom.searchStrategySelect.value;
+  const objective = dom.searchObjectiveSelect.value;
+  const options = modelOptions();
+
+  let trialCount;
+  let epochs;
+  let batchSize;
+  let validationFraction;
+  let space;
+  try {
+    trialCount = numberInput(dom.searchTrialsInput, 'Trials', Number.parseInt);
+    epochs = numberInput(dom.searchEpochsInput, 'Epochs per trial', Number.parseInt);
+    batchSize = numberInput(dom.batchSizeInput, 'Batch size', Number.parseInt);
+    validationFraction = numberInput(dom.searchValidationInput, 'Validation fraction');
+    if (trialCount < 1 || epochs < 1 || batchSize < 1) {
+      throw new Error('Trials, epochs per trial and batch size must be at least 1.');
+    }
+    if (validationFraction <= 0 || validationFraction >= 1) {
+      throw new Error('Validation fraction must be between 0 and 1.');
+    }
+    applyLoaderOptions();
+    space = readSearchSpace();
+  } catch (error) {
+    logStatus(`Search error: ${error.message}`);
+    return;
+  }
+
+  disableControls();
+  searchStopRequested = false;
+  setButtonState(dom.stopSearchButton, true);
+  searchResult = { strategy, objective, architecture: options.architecture, trials: [], best: null };
+  leaderboardSort = null;
+  dom.searchSection.removeAttribute('hidden');
+  renderLeaderboard();
+  logStatus(
+    `Hyperparameter search: ${SEARCH_STRATEGIES[strategy].toLowerCase()}, ${epochs} epochs per trial, ranking by ${SEARCH_OBJECTIVES[
+      objective
+    ].label.toLowerCase()} on one validation block for every trial, the last ${(validationFraction * 100).toFixed(
+      0
+    )}% of the training split...`
+  );
+
+  try {
+    const result = await runSearch({
+      dataLoader,
+      strategy,
+      space,
+      trialCount,
+      epochs,
+      batchSize,
+      validationFraction,
+      objective,
+      modelOptions: options,
+      callbacks: {
+        onTrialBegin: (trial) => {
+          searchResult.trials.push(trial);
+          renderLeaderboard();
+        },
+        onTrialEnd: (trial) => {
+          const outcome =
+            trial.status === 'failed'
+              ? `failed: ${trial.error}`
+              : `val_loss ${trial.loss.toFixed(4)}, accuracy ${(trial.accuracy * 100).toFixed(2)}%`;
+          logStatus(`Trial ${trial.id} (rung ${trial.rung + 1}, ${trial.epochs} epochs) ${outcome}`);
+          renderLeaderboard();
+        },
+        shouldStop: () => searchStopRequested,
+      },
+    });
+    searchResult = { ...result, architecture: options.architecture };
+    renderLeaderboard();
+    if (result.best) {
+      logStatus(`Search complete. Best trial: #${result.best.id} ${JSON.stringify(result.best.params)}`);
+    } else {
+      logStatus('Search finished without a completed trial.');
+    }
+  } catch (error) {
+    logStatus(`Search error: ${error.message}`);
+    console.error(error);
+  } finally {
+    setButtonState(dom.stopSearchButton, false);
+    restoreControls();
+  }
+}
+
+function stopSearch() {
+  searchStopRequested = true;
+  setButtonState(dom.stopSearchButton, false);
+  logStatus('Stopping search after the current batch...');
+}
+
+async function promoteBestTrial() {
+  const best = searchResult?.best;
+  if (!best) return;
+  syncArchitectureInputs({ architecture: searchResult.architecture, ...best.params });
+  logStatus(`Training the config of trial #${best.id} on the full training split...`);
+  await trainModel();
+}
+
+function trainingChartData(history, perBatch) {
+  const { metricName } = history;
+  const epochX = [];
+  if (perBatch) {
+    let step = 0;
+    history.epochs.forEach(({ epoch }) => {
+      while (step < history.batches.length && history.batches[step].epoch <= epoch) step += 1;
+      epochX.push(step);
+    });
+  } else {
+    history.epochs.forEach(({ epoch }) => epochX.push(epoch + 1));
+  }
+
+  const epochSeries = (key) =>
+    history.epochs
+      .map((entry, index) => ({ x: epochX[index], y: entry[key] }))
+      .filter((point) => Number.isFinite(point.y));
+  const line = (label, data, color, yAxisID, extra = {}) => ({
+    label,
+    data,
+    borderColor: color,
+    backgroundColor: color,
+    yAxisID,
+    pointRadius: perBatch ? 0 : 2,
+    borderWidth: 2,
+    ...extra,
+  });
+
+  const datasets = [
+    line('loss', epochSeries('loss'), 'rgba(56, 189, 248, 1)', 'y'),
+    line('val_loss', epochSeries('val_loss'), 'rgba(248, 113, 113, 1)', 'y'),
+    line(metricName, epochSeries(metricName), 'rgba(34, 197, 94, 1)', 'y1'),
+    line(`val_${metricName}`, epochSeries(`val_${metricName}`), 'rgba(250, 204, 21, 1)', 'y1'),
+  ];
+  if (perBatch) {
+    datasets.unshift(
+      line(
+        'batch loss',
+        history.batches
+          .map((entry, index) => ({ x: index + 1, y: entry.loss }))
+          .filter((point) => Number.isFinite(point.y)),
+        'rgba(148, 163, 184, 0.5)',
+        'y',
+        { borderWidth: 1 }
+      )
+    );
+  }
+  return datasets;
+}
+
+function renderTrainingChart(history) {
+  if (trainingChart) {
+    trainingChart.destroy();
+    trainingChart = null;
+  }
+  if (!history) {
+    dom.trainingSection.setAttribute('hidden', '');
+    return;
+  }
+
+  const perBatch = dom.batchResolutionInput.checked && history.batches.length > 0;
+  dom.trainingSection.removeAttribute('hidden');
+  trainingChart = new Chart(dom.trainingCanvas, {
+    type: 'line',
+    data: { datasets: trainingChartData(history, perBatch) },
+    options: {
+      responsive: true,
+      animation: false,
+      interaction: { mode: 'nearest', intersect: false },
+      scales: {
+        x: { type: 'linear', title: { display: true, text: perBatch ? 'Batch' : 'Epoch' }, ticks: { precision: 0 } },
+        y: { title: { display: true, text: 'Loss' } },
+        y1: {
+          position: 'right',
+          title: { display: true, text: history.metricName },
+          grid: { drawOnChartArea: false },
+        },
+      },
+    },
+  });
+}
+
+function updateTrainingChart(history) {
+  if (!trainingChart) return;
+  const perBatch = dom.batchResolutionInput.checked && history.batches.length > 0;
+  trainingChart.data.datasets = trainingChartData(history, perBatch);
+  trainingChart.options.scales.x.title.text = perBatch ? 'Batch' : 'Epoch';
+  trainingChart.update('none');
+}
+
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking right after click() can cancel the download in some browsers, so the blob is kept for a while.
+  setTimeout(() => URL.revokeObjectURL(url), 30000);
+}
+
+function exportTrainingHistory(format) {
+  const name = defaultModelName();
+  if (format === 'json') {
+    downloadText(`${name}-history.json`, trainingHistoryToJSON(model), 'application/json');
+    return;
+  }
+  const resolution = dom.batchResolutionInput.checked && model?.trainingHistory?.batches.length ? 'batch' : 'epoch';
+  downloadText(
+    `${name}-history-${resolution}.csv`,
+    trainingHistoryToCSV(model?.trainingHistory, resolution),
+    'text/csv'
+  );
+}
+
+function renderWalkForward({ folds, summary }) {
+  const sorted = [...summary].sort((a, b) => (b.mean || 0) - (a.mean || 0));
+  const labels = sorted.map((item) => item.symbol);
+  const dataValues = sorted.map((item) => (Number.isFinite(item.mean) ? item.mean : 0));
+
+  if (walkForwardChart) {
+    walkForwardChart.destroy();
+  }
+
+  walkForwardChart = new Chart(dom.walkForwardCanvas, {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: 'Mean Fold Accuracy',
+          data: dataValues,
+          backgroundColor: dataValues.map((value) => (value >= 0.5 ? 'rgba(34, 197, 94, 0.8)' : 'rgba(248, 113, 113, 0.8)')),
+          borderRadius: 8,
+        },
+      ],
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      scales: {
+        x: {
+          min: 0,
+          max: 1,
+          ticks: { callback: (value) => `${(value * 100).toFixed(0)}%` },
+        },
+      },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (context) => {
+              const item = sorted[context.dataIndex];
+              return `${(item.mean * 100).toFixed(2)}% ± ${(item.std * 100).toFixed(2)}% over ${item.foldCount} folds`;
+            },
+            afterLabel: (context) => {
+              const item = sorted[context.dataIndex];
+              return `min ${(item.min * 100).toFixed(1)}%, max ${(item.max * 100).toFixed(1)}%`;
+            },
+          },
+        },
+      },
+    },
+  });
+
+  const formatPercent = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : 'n/a');
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+
+  const headRow = document.createElement('tr');
+  ['Symbol', 'Mean', 'Std', 'Min', 'Max', 'Pooled'].forEach((title) => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.appendChild(th);
+  });
+  folds.forEach((fold) => {
+    const th = document.createElement('th');
+    th.textContent = `F${fold.fold + 1}`;
+    th.title = `Test ${fold.testStartDate} → ${fold.testEndDate} (${fold.testSize} anchors, ${fold.trainSize} train)`;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  summary.forEach((item, stockIdx) => {
+    const row = document.createElement('tr');
+    const cells = [
+      item.symbol,
+      formatPercent(item.mean),
+      formatPercent(item.std),
+      formatPercent(item.min),
+      formatPercent(item.max),
+      formatPercent(item.pooled),
+    ];
+    cells.forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+    folds.forEach((fold) => {
+      const value = fold.accuracies[stockIdx];
+      const td = document.createElement('td');
+      td.textContent = formatPercent(value);
+      td.className = value >= 0.5 ? 'good' : 'bad';
+      row.appendChild(td);
+    });
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+
+  dom.walkForwardTable.innerHTML = '';
+  dom.walkForwardTable.appendChild(table);
+}
+
+const formatSearchPercent = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(2)}%` : 'n/a');
+const formatSearchNumber = (digits) => (value) => (Number.isFinite(value) ? value.toFixed(digits) : 'n/a');
+
+const LEADERBOARD_COLUMNS = [
+  { key: 'id', title: '#', value: (trial) => trial.id },
+  { key: 'rung', title: 'Rung', value: (trial) => trial.rung + 1 },
+  { key: 'epochs', title: 'Epochs', value: (trial) => trial.epochs },
+  { key: 'sequenceLength', title: 'Window', value: (trial) => trial.params.sequenceLength },
+  { key: 'horizon', title: 'Horizon', value: (trial) => trial.params.horizon },
+  { key: 'unitsFirst', title: 'Units 1', value: (trial) => trial.params.unitsFirst },
+  { key: 'unitsSecond', title: 'Units 2', value: (trial) => trial.params.unitsSecond },
+  { key: 'dropoutRate', title: 'Dropout', value: (trial) => trial.params.dropoutRate },
+  { key: 'learningRate', title: 'LR', value: (trial) => trial.params.learningRate },
+  { key: 'loss', title: 'Val Loss', value: (trial) => trial.loss, format: formatSearchNumber(4) },
+  { key: 'accuracy', title: 'Val Accuracy', value: (trial) => trial.accuracy, format: formatSearchPercent },
+  { key: 'durationMs', title: 'Time (s)', value: (trial) => trial.durationMs / 1000, format: formatSearchNumber(1) },
+  { key: 'status', title: 'Status', value: (trial) => trial.status },
+];
+
+function sortedTrials(trials) {
+  if (!leaderboardSort) {
+    return [...trials].sort(compareTrials(searchResult.objective));
+  }
+  const column = LEADERBOARD_COLUMNS.find(({ key }) => key === leaderboardSort.key);
+  const direction = leaderboardSort.descending ? -1 : 1;
+  return [...trials].sort((a, b) => {
+    const left = column.value(a);
+    const right = column.value(b);
+    if (typeof left === 'string' || typeof right === 'string') {
+      return direction * String(left).localeCompare(String(right));
+    }
+    if (!Number.isFinite(left)) return Number.isFinite(right) ? 1 : 0;
+    if (!Number.isFinite(right)) return -1;
+    return direction * (left - right);
+  });
+}
+
+function renderLeaderboard() {
+  if (!searchResult) return;
+  const { trials, best, objective, strategy, architecture } = searchResult;
+  const validated = trials.find((trial) => trial.validationStartDate);
+  dom.searchCaption.textContent = `${SEARCH_STRATEGIES[strategy]} search over ${architectureLabel(architecture)}, ${
+    trials.length
+  } trials, ranked by ${
+    SEARCH_OBJECTIVES[objective].label
+  }${validated ? ` on ${validated.validationStartDate} → ${validated.validationEndDate}` : ''}. Click a header to sort.`;
+
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+  const headRow = document.createElement('tr');
+  LEADERBOARD_COLUMNS.forEach(({ key, title }) => {
+    const th = document.createElement('th');
+    const arrow = leaderboardSort?.key === key ? (leaderboardSort.descending ? ' ▼' : ' ▲') : '';
+    th.textContent = `${title}${arrow}`;
+    th.className = 'sortable';
+    th.addEventListener('click', () => {
+      leaderboardSort = {
+        key,
+        descending: leaderboardSort?.key === key ? !leaderboardSort.descending : false,
+      };
+      renderLeaderboard();
+    });
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  sortedTrials(trials).forEach((trial) => {
+    const row = document.createElement('tr');
+    if (trial === best) row.className = 'best';
+    if (trial.error) row.title = trial.error;
+    LEADERBOARD_COLUMNS.forEach(({ value, format }) => {
+      const td = document.createElement('td');
+      const cell = value(trial);
+      td.textContent = format ? format(cell) : String(cell ?? '');
+      row.appendChild(td);
+    });
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+
+  dom.searchLeaderboard.innerHTML = '';
+  dom.searchLeaderboard.appendChild(table);
+}
+
+function renderAccuracyChart(symbols, stockMetrics, targetMode = 'binary') {
+  const sorted = symbols.map((symbol, index) => ({
+    symbol,
+    ...stockMetrics[index],
+    accuracy: stockMetrics[index]?.accuracy ?? 0,
+  }));
+  sorted.sort((a, b) => b.accuracy - a.accuracy);
+
+  const labels = sorted.map((item) => item.symbol);
+  const dataValues = sorted.map((item) => Number.isFinite(item.accuracy) ? item.accuracy : 0);
+
+  const metricLabel = {
+    binary: 'Binary Accuracy',
+    multiclass: 'Class Accuracy',
+    regression: 'Directional Accuracy',
+  }[targetMode];
+  dom.accuracyTitle.textContent = `Per-Stock ${metricLabel}`;
+
+  if (accuracyChart) {
+    accuracyChart.destroy();
+  }
+
+  accuracyChart = new Chart(dom.accuracyCanvas, {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: metricLabel,
+          data: dataValues,
+          backgroundColor: dataValues.map((value) => (value >= 0.5 ? 'rgba(34, 197, 94, 0.8)' : 'rgba(248, 113, 113, 0.8)')),
+          borderRadius: 8,
+        },
+      ],
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      scales: {
+        x: {
+          min: 0,
+          max: 1,
+          ticks: { callback: (value) => `${(value * 100).toFixed(0)}%` },
+        },
+      },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (context) => `${(context.parsed.x * 100).toFixed(2)}% ${metricLabel.toLowerCase()}`,
+            afterLabel: (context) => {
+              const item = sorted[context.dataIndex];
+              return Number.isFinite(item.mae) ? `MAE ${item.mae.toFixed(3)}%, RMSE ${item.rmse.toFixed(3)}%` : '';
+            },
+          },
+        },
+      },
+    },
+  });
+}
+
+function renderClassificationMetrics({ cells, summary }) {
+  const format = (value, digits = 3) => (Number.isFinite(value) ? value.toFixed(digits) : 'n/a');
+  const percent = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : 'n/a');
+  const baselineNames = Object.keys(BASELINES);
+  const bestBaseline = (baselines) =>
+    Math.max(...baselineNames.map((name) => baselines[name].accuracy).filter(Number.isFinite));
+
+  const overall = summary.overall;
+  const overallBest = bestBaseline(overall.baselines);
+  dom.classificationCaption.textContent = `Mean over ${cells.length} stock × horizon cells: accuracy ${percent(
+    overall.model.accuracy
+  )} vs best naive baseline ${percent(overallBest)}, MCC ${format(overall.model.mcc)}, ROC-AUC ${format(
+    overall.model.rocAuc
+  )}. Baseline columns show accuracy; hover for their F1 and MCC.`;
+
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+  const headRow = document.createElement('tr');
+  [
+    'Symbol',
+    'Horizon',
+    'Up %',
+    'Accuracy',
+    'Precision',
+    'Recall',
+    'F1',
+    'MCC',
+    'Brier',
+    'Log Loss',
+    'ROC-AUC',
+    ...baselineNames.map((name) => BASELINES[name]),
+    'Edge',
+  ].forEach((title) => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const appendRow = (tbody, label, horizonLabel, entry) => {
+    const row = document.createElement('tr');
+    const best = bestBaseline(entry.baselines);
+    const edge = entry.model.accuracy - best;
+    const addCell = (text, className = '', title = '') => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (className) td.className = className;
+      if (title) td.title = title;
+      row.appendChild(td);
+    };
+
+    addCell(label);
+    addCell(horizonLabel);
+    addCell(percent(entry.upRate));
+    addCell(percent(entry.model.accuracy), entry.model.accuracy > best ? 'good' : 'bad');
+    addCell(format(entry.model.precision));
+    addCell(format(entry.model.recall));
+    addCell(format(entry.model.f1));
+    addCell(format(entry.model.mcc), entry.model.mcc > 0 ? 'good' : 'bad');
+    addCell(format(entry.model.brier));
+    addCell(format(entry.model.logLoss));
+    addCell(format(entry.model.rocAuc), entry.model.rocAuc > 0.5 ? 'good' : 'bad');
+    baselineNames.forEach((name) => {
+      const baseline = entry.baselines[name];
+      addCell(percent(baseline.accuracy), '', `F1 ${format(baseline.f1)}, MCC ${format(baseline.mcc)}`);
+    });
+    addCell(
+      Number.isFinite(edge) ? `${edge >= 0 ? '+' : ''}${(edge * 100).toFixed(1)} pp` : 'n/a',
+      edge > 0 ? 'good' : 'bad'
+    );
+    tbody.appendChild(row);
+  };
+
+  const tbody = document.createElement('tbody');
+  cells.forEach((cell) => appendRow(tbody, cell.symbol, `D+${cell.horizon}`, cell));
+  summary.byHorizon.forEach((entry) => appendRow(tbody, 'Mean', `D+${entry.horizon}`, entry));
+  appendRow(tbody, 'Mean', 'All', overall);
+  table.appendChild(tbody);
+
+  dom.classificationTable.innerHTML = '';
+  dom.classificationTable.appendChild(table);
+}
+
+function renderReliability() {
+  if (!reliability) return;
+  const { raw, calibrated, method } = reliability;
+  const format = (value) => (Number.isFinite(value) ? value.toFixed(4) : 'n/a');
+
+  const previous = dom.reliabilitySymbolSelect.value;
+  dom.reliabilitySymbolSelect.innerHTML = '';
+  ['All symbols', ...raw.bySymbol.map(({ symbol }) => symbol)].forEach((label, index) => {
+    const option = document.createElement('option');
+    option.value = index === 0 ? '' : label;
+    option.textContent = label;
+    dom.reliabilitySymbolSelect.appendChild(option);
+  });
+  dom.reliabilitySymbolSelect.value = raw.bySymbol.some(({ symbol }) => symbol === previous) ? previous : '';
+
+  const selected = dom.reliabilitySymbolSelect.value;
+  const pick = (report) => (selected ? report.bySymbol.find(({ symbol }) => symbol === selected) : report.pooled);
+  const curve = (entry) =>
+    entry.bins
+      .filter(({ count }) => count > 0)
+      .map(({ meanPredicted, observedRate }) => ({ x: meanPredicted, y: observedRate }));
+
+  const calibratedText = calibrated ? `, ${method} ${format(pick(calibrated).ece)}` : '';
+  dom.calibrationCaption.textContent = `Expected calibration error (10 bins) for ${
+    selected || 'all symbols'
+  }: raw ${format(pick(raw).ece)}${calibratedText}. Points below the diagonal are overconfident.`;
+
+  const datasets = [
+    {
+      label: 'Perfectly calibrated',
+      data: [
+        { x: 0, y: 0 },
+        { x: 1, y: 1 },
+      ],
+      borderColor: 'rgba(148, 163, 184, 0.6)',
+      borderDash: [6, 6],
+      pointRadius: 0,
+    },
+    {
+      label: 'Raw',
+      data: curve(pick(raw)),
+      borderColor: 'rgba(248, 113, 113, 1)',
+      backgroundColor: 'rgba(248, 113, 113, 1)',
+    },
+  ];
+  if (calibrated) {
+    datasets.push({
+      label: method === 'platt' ? 'Platt' : 'Isotonic',
+      data: curve(pick(calibrated)),
+      borderColor: 'rgba(34, 197, 94, 1)',
+      backgroundColor: 'rgba(34, 197, 94, 1)',
+    });
+  }
+
+  if (reliabilityChart) {
+    reliabilityChart.destroy();
+  }
+  reliabilityChart = new Chart(dom.reliabilityCanvas, {
+    type: 'line',
+    data: { datasets },
+    options: {
+      responsive: true,
+      animation: false,
+      scales: {
+        x: { type: 'linear', min: 0, max: 1, title: { display: true, text: 'Mean predicted P(up)' } },
+        y: { min: 0, max: 1, title: { display: true, text: 'Observed up rate' } },
+      },
+    },
+  });
+
+  const table = document.createElement('table');
+  table.className = 'metrics-table';
+  const headRow = document.createElement('tr');
+  ['Symbol', 'Predictions', 'Raw ECE', ...(calibrated ? [`${method} ECE`] : [])].forEach((title) => {
+    const th = document.createElement('th');
+    th.textContent = title;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  [{ symbol: 'All', ...raw.pooled }, ...raw.bySymbol].forEach((entry, index) => {
+    const row = document.createElement('tr');
+    const calibratedEntry = calibrated ? (index === 0 ? calibrated.pooled : calibrated.bySymbol[index - 1]) : null;
+    [entry.symbol, String(entry.count), format(entry.ece)].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+    if (calibratedEntry) {
+      const td = document.createElement('td');
+      td.textContent = format(calibratedEntry.ece);
+      td.className = calibratedEntry.ece < entry.ece ? 'good' : 'bad';
+      row.appendChild(td);
+    }
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+  dom.calibrationTable.innerHTML = '';
+  dom.calibrationTable.appendChild(table);
+  dom.calibrationPanel.removeAttribute('hidden');
+}
+
+function renderCorrelationHeatmap(correlation) {
+  if (!correlation) return;
+
+  const view = dom.correlationViewSelect.value;
+  const { symbols } = correlation;
+  const cells = symbols.map((_, row) =>
+    symbols.map((__, col) => {
+      if (view === 'leadLag') {
+        const { corr, lag } = correlation.leadLag[row][col];
+        return { corr, text: Number.isFinite(corr) ? `${corr.toFixed(2)} @${lag}` : 'n/a' };
+      }
+      const corr = correlation.contemporaneous[row][col];
+      return { corr, text: Number.isFinite(corr) ? corr.toFixed(2) : 'n/a' };
+    })
+  );
+
+  const offDiagonal = cells.flatMap((row, i) => row.filter((_, j) => i !== j).map((cell) => Math.abs(cell.corr)));
+  const scale = Math.max(...offDiagonal.filter(Number.isFinite), 1e-6);
+
+  const table = document.createElement('table');
+  table.className = 'metrics-table heatmap';
+  const headRow = document.createElement('tr');
+  headRow.appendChild(document.createElement('th'));
+  symbols.forEach((symbol) => {
+    const th = document.createElement('th');
+    th.textContent = symbol;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
+
+  cells.forEach((row, i) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = symbols[i];
+    tr.appendChild(th);
+    row.forEach((cell, j) => {
+      const td = document.createElement('td');
+      td.className = 'heatmap-cell';
+      td.textContent = cell.text;
+      if (i !== j && Number.isFinite(cell.corr)) {
+        const alpha = Math.min(1, Math.abs(cell.corr) / scale) * 0.85;
+        td.style.backgroundColor = cell.corr >= 0 ? `rgba(34, 197, 94, ${alpha})` : `rgba(248, 113, 113, ${alpha})`;
+      }
+      td.title =
+        view === 'leadLag'
+          ? `${symbols[i]} return at t−lag vs ${symbols[j]} return at t`
+          : `${symbols[i]} vs ${symbols[j]} same-day return correlation`;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+
+  const pairs = correlation.pairs
+    .map((pair) => `${pair.leaderSymbol}→${pair.followerSymbol} @${pair.lag} (${pair.corr.toFixed(2)})`)
+    .join(', ');
+  dom.correlationCaption.textContent = `Daily log-return correlations on the training window ${
+    correlation.fitStartDate
+  } → ${correlation.fitEndDate}. Strongest lead-lag pairs (max lag ${correlation.maxLag}): ${pairs || 'none'}.`;
+  dom.correlationHeatmap.innerHTML = '';
+  dom.correlationHeatmap.appendChild(table);
+}
+
+const TIMELINE_SCORES = {
+  binary: 'P(up)',
+  multiclass: 'P(up)',
+  regression: 'predicted return (%)',
+};
+
+const CONFIDENCE_MEASURES = {
+  binary: 'distance of P(up) from 50%',
+  multiclass: 'top class probability above chance',
+  regression: 'size of the predicted move',
+};
+
+const SERIES_COLORS = [
+  'rgba(56, 189, 248, 1)',
+  'rgba(250, 204, 21, 1)',
+  'rgba(192, 132, 252, 1)',
+  'rgba(251, 146, 60, 1)',
+  'rgba(45, 212, 191, 1)',
+];
+
+function prepareTimelineControls(datasetInfo) {
+  fillSelect(dom.timelineSymbolSelect, datasetInfo.stockSymbols);
+  const previous = dom.timelineHorizonSelect.value;
+  dom.timelineHorizonSelect.innerHTML = '';
+  ['all', ...Array.from({ length: datasetInfo.horizon }, (_, h) => String(h + 1))].forEach((value) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value === 'all' ? 'All horizons' : `D+${value}`;
+    dom.timelineHorizonSelect.appendChild(option);
+  });
+  dom.timelineHorizonSelect.value = Number(previous) <= datasetInfo.horizon ? previous : 'all';
+}
+
+const formatConfidence = (value, targetMode) =>
+  targetMode === 'regression' ? `${value.toFixed(2)}%` : `${(value * 100).toFixed(0)}%`;
+
+const timelineKey = (entry) => `${entry.sampleIndex}:${entry.horizon}`;
+
+// Actual closes of one stock over the test period with the predicted score of each horizon plotted on the target
+// date of its call, where the close it predicts is, and a strip of cells per horizon below. Points and cells are green for correct calls and red for
+// incorrect ones; clicking either shows the input window behind the call.
+function renderTimeline() {
+  if (timelineChart) {
+    timelineChart.destroy();
+    timelineChart = null;
+  }
+  dom.timelineContainer.innerHTML = '';
+  dom.timelineWindowCaption.textContent = '';
+  dom.timelineWindow.innerHTML = '';
+  if (!timeline || !dataset) return;
+
+  const { stockSymbols, allDates, testAnchorIndices, horizon, targetMode } = dataset;
+  const stockIndex = Number.parseInt(dom.timelineSymbolSelect.value, 10) || 0;
+  const selectedHorizon = dom.timelineHorizonSelect.value === 'all' ? null : Number(dom.timelineHorizonSelect.value);
+  const band = dom.timelineBandSelect.value;
+  const symbol = stockSymbols[stockIndex];
+  const shown = filterTimeline(timeline, { stockIndex, horizon: selectedHorizon, band });
+
+  const firstAnchor = testAnchorIndices[0];
+  const lastAnchor = testAnchorIndices[testAnchorIndices.length - 1];
+  const dates = allDates.slice(firstAnchor, lastAnchor + horizon + 1);
+  const closes = dataLoader.closesFor(dates, [symbol]).map(([close]) => close);
+  const horizons = selectedHorizon === null ? Array.from({ length: horizon }, (_, h) => h + 1) : [selectedHorizon];
+  const series = horizons.map((h) => {
+    const points = dates.map(() => null);
+    shown
+      .filter((entry) => entry.horizon === h)
+      .forEach((entry) => {
+        points[entry.anchorIndex + entry.horizon - firstAnchor] = entry;
+      });
+    return { h, points };
+  });
+  const outcomeColor = (entry) => (entry?.correct ? 'rgba(34, 197, 94, 0.9)' : 'rgba(248, 113, 113, 0.9)');
+  const showWindow = (entry) => {
+    showTimelineWindow(entry).catch((error) => {
+      logStatus(`Timeline error: ${error.message}`);
+      console.error(error);
+    });
+  };
+
+  timelineChart = new Chart(dom.timelineCanvas, {
+    type: 'line',
+    data: {
+      labels: dates,
+      datasets: [
+        {
+          label: `${symbol} close`,
+          data: closes,
+          yAxisID: 'y',
+          borderColor: 'rgba(148, 163, 184, 1)',
+          backgroundColor: 'rgba(148, 163, 184, 1)',
+          pointRadius: 0,
+        },
+        ...series.map(({ h, points }) => {
+          const color = SERIES_COLORS[(h - 1) % SERIES_COLORS.length];
+          return {
+            label: `D+${h} ${TIMELINE_SCORES[targetMode]}`,
+            data: points.map((entry) => entry?.score ?? null),
+            yAxisID: 'score',
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 1,
+            spanGaps: true,
+            pointRadius: points.map((entry) => (entry ? 4 : 0)),
+            pointBackgroundColor: points.map(outcomeColor),
+            pointBorderColor: points.map(outcomeColor),
+          };
+        }),
+      ],
+    },
+    options: {
+      responsive: true,
+      animation: false,
+      interaction: { mode: 'nearest', intersect: true },
+      scales: {
+        y: { position: 'left', title: { display: true, text: 'Close' } },
+        score: {
+          type: 'linear',
+          position: 'right',
+          grid: { drawOnChartArea: false },
+          title: { display: true, text: TIMELINE_SCORES[targetMode] },
+          ...(targetMode === 'regression' ? {} : { min: 0, max: 1 }),
+        },
+      },
+      plugins: {
+        tooltip: {
+          callbacks: {
+            afterLabel: (context) => {
+              const entry = series[context.datasetIndex - 1]?.points[context.dataIndex];
+              return entry
+                ? `${entry.anchorDate} → ${entry.targetDate}: ${entry.correct ? 'correct' : 'incorrect'} (${entry.detail})`
+                : '';
+            },
+          },
+        },
+      },
+      onClick: (event, elements) => {
+        const hit = elements.find((element) => element.datasetIndex > 0);
+        const entry = hit && series[hit.datasetIndex - 1].points[hit.index];
+        if (entry) showWindow(entry);
+      },
+    },
+  });
+
+  series.forEach(({ h }) => {
+    const section = document.createElement('section');
+    section.className = 'timeline-section';
+    const header = document.createElement('h3');
+    header.textContent = `D+${h}`;
+    section.appendChild(header);
+
+    const row = document.createElement('div');
+    row.className = 'timeline-row';
+    shown
+      .filter((entry) => entry.horizon === h)
+      .forEach((entry) => {
+        const cell = document.createElement('div');
+        cell.className = `timeline-cell ${entry.correct ? 'correct' : 'incorrect'}`;
+        cell.dataset.key = timelineKey(entry);
+        cell.title = `${symbol}: anchor ${entry.anchorDate} → ${entry.targetDate} — ${
+          entry.correct ? 'Correct' : 'Incorrect'
+        } (${entry.detail})`;
+        cell.addEventListener('click', () => showWindow(entry));
+        row.appendChild(cell);
+      });
+    section.appendChild(row);
+    dom.timelineContainer.appendChild(section);
+  });
+
+  const cutoffs = confidenceCutoffs(filterTimeline(timeline, { stockIndex }));
+  const correct = shown.filter((entry) => entry.correct).length;
+  const summary = shown.length
+    ? `${symbol}: ${correct} of ${shown.length} shown calls correct (${((correct / shown.length) * 100).toFixed(1)}%).`
+    : `${symbol}: no calls in this selection.`;
+  dom.timelineCaption.textContent = `${summary} ${CONFIDENCE_BANDS[band]}; confidence is the ${
+    CONFIDENCE_MEASURES[targetMode]
+  }, low below ${formatConfidence(cutoffs.low, targetMode)} and high from ${formatConfidence(
+    cutoffs.high,
+    targetMode
+  )} for this stock. Click a point or cell to see the input window behind the call.`;
+}
+
+// The sequenceLength days the model saw for one call: the stock's actual closes next to the scaled inputs of that
+// stock and the shared columns, read back from X_test. Also points the explainability panel at the same call.
+async function showTimelineWindow(entry) {
+  const { sequenceLength, allDates, featureNames, targetMode } = dataset;
+  const dates = allDates.slice(entry.anchorIndex - sequenceLength + 1, entry.anchorIndex + 1);
+  const closes = dataLoader.closesFor([...dates, entry.targetDate], [entry.symbol]).map(([close]) => close);
+  const columns = featureGroups(dataset)
+    .filter((group) => group.name === entry.symbol || group.name === 'Shared features')
+    .flatMap((group) => group.columns);
+
+  const tf = await getTF();
+  const input = tf.tidy(() => dataset.X_test.gather([entry.sampleIndex]).squeeze([0]));
+  let values;
+  try {
+    values = await input.array();
+  } finally {
+    input.dispose();
+  }
+
+  dom.timelineContainer
+    .querySelectorAll('.timeline-cell.selected')
+    .forEach((cell) => cell.classList.remove('selected'));
+  dom.timelineContainer.querySelector(`[data-key="${timelineKey(entry)}"]`)?.classList.add('selected');
+
+  const anchorClose = closes[closes.length - 2];
+  const targetClose = closes[closes.length - 1];
+  dom.timelineWindowCaption.textContent = `${entry.symbol} D+${entry.horizon} call made on ${entry.anchorDate} for ${
+    entry.targetDate
+  }: ${entry.correct ? 'correct' : 'incorrect'} (${entry.detail}), confidence ${formatConfidence(
+    entry.confidence,
+    targetMode
+  )} (${entry.band}). The close went from ${anchorClose.toFixed(2)} to ${targetClose.toFixed(2)} (${(
+    (targetClose / anchorClose - 1) *
+    100
+  ).toFixed(2)}%). The rows are the ${sequenceLength} input days with the scaled values the model was given.`;
+  const rows = dates.map((date, step) => [
+    date,
+    closes[step].toFixed(2),
+    ...columns.map((column) => values[step][column].toFixed(4)),
+  ]);
+  dom.timelineWindow.innerHTML = '';
+  dom.timelineWindow.appendChild(
+    qualityTable(['Date', `${entry.symbol} close`, ...columns.map((column) => featureNames[column])], rows)
+  );
+
+  dom.explainAnchorSelect.value = String(entry.sampleIndex);
+  dom.explainSymbolSelect.value = String(entry.stockIndex);
+  dom.explainHorizonSelect.value = String(entry.horizon - 1);
+}
+
+dom.fileInput.addEventListener('change', handleFileSelection);
+dom.dropZone.addEventListener('dragover', (event) => {
+  event.preventDefault();
+  dom.dropZone.classList.add('drag-over');
+});
+dom.dropZone.addEventListener('dragleave', () => {
+  dom.dropZone.classList.remove('drag-over');
+});
+dom.dropZone.addEventListener('drop', (event) => {
+  event.preventDefault();
+  dom.dropZone.classList.remove('drag-over');
+  selectDataFiles(Array.from(event.dataTransfer.files)).catch((error) => {
+    logStatus(`Unexpected file error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.loadUrlButton.addEventListener('click', () => {
+  loadFromUrl().catch((error) => {
+    logStatus(`Unexpected URL error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.mappingDelimiterSelect.addEventListener('change', () => {
+  changeMappingDelimiter().catch((error) => {
+    logStatus(`Mapping error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.applyMappingButton.addEventListener('click', () => {
+  applyColumnMapping().catch((error) => {
+    logStatus(`Unexpected mapping error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.trainButton.addEventListener('click', () => {
+  trainModel().catch((error) => {
+    logStatus(`Unexpected training error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.pauseTrainingButton.addEventListener('click', togglePauseTraining);
+dom.backendSelect.addEventListener('change', () => {
+  changeBackend().catch((error) => {
+    logStatus(`Unexpected backend error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.batchResolutionInput.addEventListener('change', () => {
+  renderTrainingChart(activeTrainer ? liveHistory : (model?.trainingHistory ?? null));
+});
+dom.exportHistoryCsvButton.addEventListener('click', () => {
+  try {
+    exportTrainingHistory('csv');
+  } catch (error) {
+    logStatus(`Export error: ${error.message}`);
+  }
+});
+dom.exportHistoryJsonButton.addEventListener('click', () => {
+  try {
+    exportTrainingHistory('json');
+  } catch (error) {
+    logStatus(`Export error: ${error.message}`);
+  }
+});
+dom.stopTrainingButton.addEventListener('click', stopTraining);
+dom.evaluateButton.addEventListener('click', () => {
+  evaluateModel().catch((error) => {
+    logStatus(`Unexpected evaluation error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.reliabilitySymbolSelect.addEventListener('change', renderReliability);
+dom.timelineSymbolSelect.addEventListener('change', renderTimeline);
+dom.timelineHorizonSelect.addEventListener('change', renderTimeline);
+dom.timelineBandSelect.addEventListener('change', renderTimeline);
+dom.backtestButton.addEventListener('click', () => {
+  try {
+    runStrategyBacktest();
+  } catch (error) {
+    logStatus(`Backtest error: ${error.message}`);
+    console.error(error);
+  }
+});
+dom.explainButton.addEventListener('click', () => {
+  explainPrediction().catch((error) => {
+    logStatus(`Unexpected explanation error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.importanceButton.addEventListener('click', () => {
+  runPermutationImportance().catch((error) => {
+    logStatus(`Unexpected permutation importance error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.correlationViewSelect.addEventListener('change', () => {
+  if (dataset) renderCorrelationHeatmap(dataset.correlation);
+});
+dom.walkForwardButton.addEventListener('click', () => {
+  runWalkForwardEvaluation().catch((error) => {
+    logStatus(`Unexpected walk-forward error: ${error.message}`);
+    console.error(error);
+  });
+});
+
+dom.searchButton.addEventListener('click', () => {
+  runHyperparameterSearch().catch((error) => {
+    logStatus(`Unexpected search error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.stopSearchButton.addEventListener('click', stopSearch);
+dom.promoteBestButton.addEventListener('click', () => {
+  promoteBestTrial().catch((error) => {
+    logStatus(`Unexpected training error: ${error.message}`);
+    console.error(error);
+  });
+});
+
+dom.alignmentSelect.addEventListener('change', () => {
+  changeAlignment().catch((error) => {
+    logStatus(`Unexpected alignment error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.appendInput.addEventListener('change', (event) => {
+  handleAppendSelection(event).catch((error) => {
+    logStatus(`Append error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.forecastButton.addEventListener('click', () => {
+  runForecast().catch((error) => {
+    logStatus(`Unexpected forecast error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.saveModelButton.addEventListener('click', () => {
+  handleSaveModel().catch((error) => {
+    logStatus(`Save error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.downloadModelButton.addEventListener('click', () => {
+  handleDownloadModel().catch((error) => {
+    logStatus(`Download error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.modelUploadInput.addEventListener('change', (event) => {
+  handleModelUpload(event).catch((error) => {
+    logStatus(`Model upload error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.compareRunsButton.addEventListener('click', compareSelectedRuns);
+dom.exportRunsButton.addEventListener('click', exportSelectedRuns);
+dom.deleteRunsButton.addEventListener('click', () => {
+  deleteSelectedRuns().catch((error) => {
+    logStatus(`Experiment log error: ${error.message}`);
+    console.error(error);
+  });
+});
+dom.importRunsInput.addEventListener('change', (event) => {
+  handleRunsImport(event).catch((error) => {
+    logStatus(`Run import error: ${error.message}`);
+    console.error(error);
+  });
+});
 
 disableControls();
+refreshModelLibrary();
+refreshExperimentLog();
+initializeRuntime().catch((error) => {
+  logStatus(`TensorFlow.js error: ${error.message}`);
+  console.error(error);
+});
@@ -0,0 +1,103 @@
+// Layer stacks StockGRUModel can put in front of its output head. Each build function maps the
+// [sequenceLength, featureCount] input to a flat feature vector using only built-in tfjs layers, so every
+// architecture round-trips through model.save/loadLayersModel without custom layer registration.
+
+function recurrentStack(tf, inputs, { unitsFirst, unitsSecond, dropoutRate }, createLayer) {
+  let x = createLayer({ units: unitsFirst, returnSequences: true, kernelInitializer: 'glorotUniform' }).apply(inputs);
+  x = tf.layers.dropout({ rate: dropoutRate }).apply(x);
+  x = createLayer({ units: unitsSecond, returnSequences: false, kernelInitializer: 'glorotUniform' }).apply(x);
+  return tf.layers.dropout({ rate: dropoutRate }).apply(x);
+}
+
+// Residual convolution blocks, each followed by stride-2 pooling so the receptive field doubles per block until
+// it spans the window. tfjs has no gradients for dilated convolutions, which a textbook TCN would use instead.
+// The window holds only past data, so 'same' padding cannot leak the future.
+function temporalConvolution(tf, inputs, { unitsSecond, dropoutRate, sequenceLength }) {
+  let x = tf.layers.conv1d({ filters: unitsSecond, kernelSize: 1 }).apply(inputs);
+  for (let length = sequenceLength; length > 1; length = Math.ceil(length / 2)) {
+    const conv = tf.layers
+      .conv1d({ filters: unitsSecond, kernelSize: 3, padding: 'same', activation: 'relu' })
+      .apply(x);
+    x = tf.layers.add().apply([x, tf.layers.dropout({ rate: dropoutRate }).apply(conv)]);
+    x = tf.layers.averagePooling1d({ poolSize: 2, strides: 2, padding: 'same' }).apply(x);
+  }
+  return tf.layers.flatten().apply(x);
+}
+
+// One single-head encoder block. The width-3 convolution that embeds each step also lets it see its
+// neighbours, standing in for positional encodings, which tfjs has no layer for.
+function selfAttention(tf, inputs, { unitsSecond, dropoutRate }) {
+  const width = unitsSecond;
+  const embedded = tf.layers
+    .conv1d({ filters: width, kernelSize: 3, padding: 'same', activation: 'relu' })
+    .apply(inputs);
+  const project = () => tf.layers.dense({ units: width, useBias: false }).apply(embedded);
+  const [query, key, value] = [project(), project(), project()];
+
+  const scores = tf.layers.dot({ axes: [2, 2] }).apply([query, key]);
+  const weights = tf.layers
+    .softmax({ axis: -1 })
+    .apply(tf.layers.rescaling({ scale: 1 / Math.sqrt(width) }).apply(scores));
+  const attended = tf.layers.dot({ axes: [2, 1] }).apply([weights, value]);
+  const mixed = tf.layers
+    .layerNormalization()
+    .apply(tf.layers.add().apply([embedded, tf.layers.dropout({ rate: dropoutRate }).apply(attended)]));
+
+  const hidden = tf.layers.dense({ units: width * 2, activation: 'relu' }).apply(mixed);
+  const projected = tf.layers.dense({ units: width }).apply(hidden);
+  const encoded = tf.layers
+    .layerNormalization()
+    .apply(tf.layers.add().apply([mixed, tf.layers.dropout({ rate: dropoutRate }).apply(projected)]));
+  return tf.layers.globalAveragePooling1d().apply(encoded);
+}
+
+export const DEFAULT_ARCHITECTURE = 'gru';
+
+export const TASK_MODES = {
+  joint: 'Shared encoder, joint head',
+  multitask: 'Shared encoder, per-symbol heads',
+  independent: 'Independent model per symbol',
+};
+
+export const ARCHITECTURES = {
+  gru: {
+    label: 'GRU',
+    build: (tf, inputs, config) => recurrentStack(tf, inputs, config, (options) => tf.layers.gru(options)),
+  },
+  lstm: {
+    label: 'LSTM',
+    build: (tf, inputs, config) => recurrentStack(tf, inputs, config, (options) => tf.layers.lstm(options)),
+  },
+  bigru: {
+    label: 'Bidirectional GRU',
+    build: (tf, inputs, config) =>
+      recurrentStack(tf, inputs, config, (options) =>
+        tf.layers.bidirectional({ layer: tf.layers.gru(options), mergeMode: 'concat' })
+      ),
+  },
+  tcn: {
+    label: 'Temporal convolution',
+    build: temporalConvolution,
+  },
+  attention: {
+    label: 'Self-attention encoder',
+    build: selfAttention,
+  },
+  // The output head on the flattened window alone: logistic (softmax for multiclass, linear for regression).
+  logistic: {
+    label: 'Logistic regression',
+    build: (tf, inputs) => tf.layers.flatten().apply(inputs),
+  },
+};
+
+export function architectureLabel(architecture) {
+  return ARCHITECTURES[architecture]?.label ?? architecture;
+}
+
+export function buildArchitecture(tf, architecture, inputs, config) {
+  const entry = ARCHITECTURES[architecture];
+  if (!entry) {
+    throw new Error(`Unknown model architecture "${architecture}".`);
+  }
+  return entry.build(tf, inputs, config);
+}
@@ -0,0 +1,161 @@
+const TRADING_DAYS = 252;
+
+export const STRATEGIES = {
+  long: 'Long if signal > threshold',
+  longShort: 'Long / short',
+  topK: 'Top-k long',
+};
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : NaN);
+
+const std = (values) => {
+  if (values.length < 2) return NaN;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+// Target weights for one rebalance. Each symbol owns a 1/N sleeve for the threshold strategies so a fully
+// invested book matches the equal-weight buy-and-hold benchmark; top-k splits the book across k names.
+export function targetWeights(scores, { strategy = 'long', longAbove = 0.5, shortBelow = 0.5, topK = 3 } = {}) {
+  if (strategy === 'longShort' && shortBelow > longAbove) {
+    throw new Error(
+      `The short band (below ${shortBelow}) overlaps the long band (above ${longAbove}); a score could meet both.`
+    );
+  }
+  const count = scores.length;
+  if (strategy === 'topK') {
+    const k = Math.max(1, Math.min(count, topK));
+    const ranked = scores
+      .map((score, index) => ({ score, index }))
+      .filter(({ score }) => Number.isFinite(score))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+    const weights = new Array(count).fill(0);
+    ranked.forEach(({ index }) => {
+      weights[index] = 1 / k;
+    });
+    return weights;
+  }
+
+  return scores.map((score) => {
+    if (score > longAbove) return 1 / count;
+    if (strategy === 'longShort' && score < shortBelow) return -1 / count;
+    return 0;
+  });
+}
+
+// One score per symbol: P(up) for binary, P(up | not flat) for multiclass and the predicted return (%) for
+// regression, so the same long/short thresholds apply to every probability mode.
+export function signalScores(prediction, datasetInfo, horizonIndex) {
+  const { stockSymbols, horizon, targetMode } = datasetInfo;
+  return stockSymbols.map((_, s) => {
+    const output = prediction[s * horizon + horizonIndex];
+    if (targetMode === 'multiclass') {
+      const [down, , up] = output;
+      return up + down > 0 ? up / (up + down) : 0.5;
+    }
+    return output;
+  });
+}
+
+export function performanceStats(returns, equity, { turnover = [], exposure = [] } = {}) {
+  let peak = 1;
+  let maxDrawdown = 0;
+  equity.forEach((value) => {
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, 1 - value / peak);
+  });
+
+  const activeReturns = returns.filter((_, index) => (exposure.length ? exposure[index] > 0 : true));
+  const volatility = std(returns);
+  const totalReturn = (equity[equity.length - 1] ?? 1) - 1;
+  return {
+    days: returns.length,
+    totalReturn,
+    annualizedReturn: returns.length ? (1 + totalReturn) ** (TRADING_DAYS / returns.length) - 1 : NaN,
+    annualizedVolatility: volatility * Math.sqrt(TRADING_DAYS),
+    sharpe: volatility > 0 ? (mean(returns) / volatility) * Math.sqrt(TRADING_DAYS) : NaN,
+    maxDrawdown,
+    hitRate: activeReturns.length ? activeReturns.filter((value) => value > 0).length / activeReturns.length : NaN,
+    turnover: turnover.length ? mean(turnover) : NaN,
+    exposure: exposure.length ? mean(exposure) : NaN,
+  };
+}
+
+// closes[t][s] is the close of symbol s on dates[t]. A D+h score predicts the move from its close to h closes later,
+// so each signal row opens a sleeve with 1/holdingDays of the book that is held for holdingDays closes, and the book
+// on any day is the sum of the open sleeves. dates and closes carry holdingDays more rows than scores so the last
+// sleeve has an exit. The book set at the close of dates[t] earns the return to the next close, and costs are
+// charged on the weight change at each rebalance.
+export function runBacktest({
+  dates,
+  closes,
+  scores,
+  strategy = 'long',
+  longAbove = 0.5,
+  shortBelow = 0.5,
+  topK = 3,
+  costBps = 5,
+  holdingDays = 1,
+}) {
+  if (!Number.isInteger(holdingDays) || holdingDays < 1) {
+    throw new Error('The holding period must be a whole number of days of at least 1.');
+  }
+  if (closes.length !== scores.length + holdingDays) {
+    throw new Error(`Backtest needs ${holdingDays} more close row(s) than signal rows to exit every position.`);
+  }
+  if (scores.length === 0) {
+    throw new Error('Backtest needs at least one signal.');
+  }
+
+  const cost = costBps / 10000;
+  const symbolCount = closes[0].length;
+  let weights = new Array(symbolCount).fill(0);
+  let equityValue = 1;
+  const equity = [];
+  const returns = [];
+  const turnover = [];
+  const exposure = [];
+  const positions = [];
+  const sleeves = scores.map((row) =>
+    targetWeights(row, { strategy, longAbove, shortBelow, topK }).map((weight) => weight / holdingDays)
+  );
+
+  for (let t = 0; t < closes.length - 1; t += 1) {
+    const open = sleeves.slice(Math.max(0, t - holdingDays + 1), t + 1);
+    const next = weights.map((_, s) => open.reduce((sum, sleeve) => sum + sleeve[s], 0));
+    const traded = next.reduce((sum, weight, s) => sum + Math.abs(weight - weights[s]), 0);
+    const gross = next.reduce((sum, weight, s) => sum + weight * (closes[t + 1][s] / closes[t][s] - 1), 0);
+    const dailyReturn = gross - traded * cost;
+
+    equityValue *= 1 + dailyReturn;
+    equity.push(equityValue);
+    returns.push(dailyReturn);
+    turnover.push(traded);
+    exposure.push(next.reduce((sum, weight) => sum + Math.abs(weight), 0));
+    positions.push(next);
+    weights = next;
+  }
+
+  // Equal-dollar buy-and-hold from the first rebalance close, paying the entry cost once.
+  const benchmarkEquity = closes.slice(1).map((row) => (1 - cost) * mean(row.map((close, s) => close / closes[0][s])));
+  const benchmarkReturns = benchmarkEquity.map((value, t) => value / (t === 0 ? 1 : benchmarkEquity[t - 1]) - 1);
+
+  return {
+    dates: dates.slice(0, closes.length - 1),
+    exitDates: dates.slice(1, closes.length),
+    holdingDays,
+    equity,
+    returns,
+    positions,
+    stats: performanceStats(returns, equity, { turnover, exposure }),
+    benchmark: {
+      equity: benchmarkEquity,
+      returns: benchmarkReturns,
+      stats: performanceStats(benchmarkReturns, benchmarkEquity, {
+        turnover: [1, ...new Array(benchmarkReturns.length - 1).fill(0)],
+        exposure: new Array(benchmarkReturns.length).fill(1),
+      }),
+    },
+  };
+}
@@ -0,0 +1,196 @@
+const EPSILON = 1e-6;
+const MIN_CALIBRATION_SAMPLES = 20;
+
+export const CALIBRATION_METHODS = ['platt', 'isotonic'];
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+const logit = (p) => {
+  const clipped = Math.min(1 - EPSILON, Math.max(EPSILON, p));
+  return Math.log(clipped / (1 - clipped));
+};
+
+// Cross-entropy of sigmoid(a * x + b) against soft targets, written to stay finite for large |a * x + b|.
+function plattLoss(x, targets, a, b) {
+  return x.reduce((sum, value, index) => {
+    const z = a * value + b;
+    const softplus = z > 0 ? z + Math.log1p(Math.exp(-z)) : Math.log1p(Math.exp(z));
+    return sum + softplus - targets[index] * z;
+  }, 0);
+}
+
+// Platt scaling on the logit of the raw probability: p' = sigmoid(a * logit(p) + b), fitted with a
+// backtracking Newton method against Platt's smoothed targets so a separable slice cannot diverge.
+export function fitPlatt(probabilities, labels) {
+  const x = probabilities.map(logit);
+  const positives = labels.filter((label) => label === 1).length;
+  const negatives = labels.length - positives;
+  const high = (positives + 1) / (positives + 2);
+  const low = 1 / (negatives + 2);
+  const targets = labels.map((label) => (label === 1 ? high : low));
+
+  let a = 1;
+  let b = 0;
+  let loss = plattLoss(x, targets, a, b);
+  for (let iteration = 0; iteration < 100; iteration += 1) {
+    let gradA = 0;
+    let gradB = 0;
+    let hessAA = 1e-9;
+    let hessAB = 0;
+    let hessBB = 1e-9;
+    x.forEach((value, index) => {
+      const p = sigmoid(a * value + b);
+      const diff = p - targets[index];
+      const weight = p * (1 - p);
+      gradA += diff * value;
+      gradB += diff;
+      hessAA += weight * value * value;
+      hessAB += weight * value;
+      hessBB += weight;
+    });
+
+    const determinant = hessAA * hessBB - hessAB * hessAB;
+    if (!(determinant > 0)) break;
+    const stepA = (hessBB * gradA - hessAB * gradB) / determinant;
+    const stepB = (hessAA * gradB - hessAB * gradA) / determinant;
+
+    let scale = 1;
+    let nextLoss = plattLoss(x, targets, a - stepA, b - stepB);
+    while (nextLoss > loss && scale > 1e-8) {
+      scale /= 2;
+      nextLoss = plattLoss(x, targets, a - scale * stepA, b - scale * stepB);
+    }
+    if (nextLoss > loss) break;
+    a -= scale * stepA;
+    b -= scale * stepB;
+    const improvement = loss - nextLoss;
+    loss = nextLoss;
+    if (improvement < 1e-10 * Math.max(1, Math.abs(loss))) break;
+  }
+
+  return { a, b };
+}
+
+// Pool-adjacent-violators; the fitted step function is stored as block centres and interpolated linearly.
+export function fitIsotonic(probabilities, labels) {
+  const order = probabilities.map((p, index) => ({ p, label: labels[index] })).sort((left, right) => left.p - right.p);
+  const blocks = [];
+  order.forEach(({ p, label }) => {
+    blocks.push({ sumP: p, sumLabel: label, weight: 1 });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      if (previous.sumLabel / previous.weight < last.sumLabel / last.weight) break;
+      blocks.pop();
+      previous.sumP += last.sumP;
+      previous.sumLabel += last.sumLabel;
+      previous.weight += last.weight;
+    }
+  });
+
+  return {
+    x: blocks.map((block) => block.sumP / block.weight),
+    y: blocks.map((block) => block.sumLabel / block.weight),
+  };
+}
+
+function applyIsotonic({ x, y }, p) {
+  if (p <= x[0]) return y[0];
+  if (p >= x[x.length - 1]) return y[y.length - 1];
+  let high = 1;
+  while (x[high] < p) high += 1;
+  const low = high - 1;
+  const span = x[high] - x[low];
+  return span > 0 ? y[low] + ((p - x[low]) / span) * (y[high] - y[low]) : y[high];
+}
+
+export function calibrateProbability(method, params, p) {
+  if (method === 'platt') return sigmoid(params.a * logit(p) + params.b);
+  if (method === 'isotonic') return applyIsotonic(params, p);
+  throw new Error(`Unknown calibration method "${method}".`);
+}
+
+// predictions/labels are [sample][output] arrays of sigmoid outputs and 0/1 targets; one calibrator per output.
+export function fitCalibration(method, predictions, labels) {
+  if (!CALIBRATION_METHODS.includes(method)) {
+    throw new Error(`Unknown calibration method "${method}".`);
+  }
+  if (predictions.length < MIN_CALIBRATION_SAMPLES) {
+    throw new Error(
+      `Calibration needs at least ${MIN_CALIBRATION_SAMPLES} validation samples, got ${predictions.length}.`
+    );
+  }
+
+  const outputCount = predictions[0].length;
+  const fit = method === 'platt' ? fitPlatt : fitIsotonic;
+  return {
+    method,
+    sampleCount: predictions.length,
+    outputs: Array.from({ length: outputCount }, (_, output) =>
+      fit(
+        predictions.map((row) => row[output]),
+        labels.map((row) => Math.round(row[output]))
+      )
+    ),
+  };
+}
+
+export function applyCalibration(calibration, predictions) {
+  if (!calibration) return predictions;
+  return predictions.map((row) =>
+    row.map((p, output) => calibrateProbability(calibration.method, calibration.outputs[output], p))
+  );
+}
+
+export function reliabilityBins(probabilities, labels, binCount = 10) {
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    lower: index / binCount,
+    upper: (index + 1) / binCount,
+    count: 0,
+    sumPredicted: 0,
+    sumObserved: 0,
+  }));
+  probabilities.forEach((p, index) => {
+    const bin = bins[Math.min(binCount - 1, Math.floor(p * binCount))];
+    bin.count += 1;
+    bin.sumPredicted += p;
+    bin.sumObserved += labels[index];
+  });
+  return bins.map(({ lower, upper, count, sumPredicted, sumObserved }) => ({
+    lower,
+    upper,
+    count,
+    meanPredicted: count ? sumPredicted / count : NaN,
+    observedRate: count ? sumObserved / count : NaN,
+  }));
+}
+
+export function expectedCalibrationError(bins) {
+  const total = bins.reduce((sum, bin) => sum + bin.count, 0);
+  if (total === 0) return NaN;
+  return bins.reduce(
+    (sum, bin) => (bin.count ? sum + (bin.count / total) * Math.abs(bin.observedRate - bin.meanPredicted) : sum),
+    0
+  );
+}
+
+// Pools every horizon of each symbol; outputs are laid out symbol-major as in the model head.
+export function reliabilityReport(predictions, labels, stockSymbols, horizon, binCount = 10) {
+  const summarize = (outputs) => {
+    const probabilities = [];
+    const outcomes = [];
+    predictions.forEach((row, sample) => {
+      outputs.forEach((output) => {
+        probabilities.push(row[output]);
+        outcomes.push(Math.round(labels[sample][output]));
+      });
+    });
+    const bins = reliabilityBins(probabilities, outcomes, binCount);
+    return { count: probabilities.length, bins, ece: expectedCalibrationError(bins) };
+  };
+
+  const outputsOf = (s) => Array.from({ length: horizon }, (_, h) => s * horizon + h);
+  return {
+    pooled: summarize(stockSymbols.flatMap((_, s) => outputsOf(s))),
+    bySymbol: stockSymbols.map((symbol, s) => ({ symbol, ...summarize(outputsOf(s)) })),
+  };
+}
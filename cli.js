@@ -0,0 +1,417 @@
+#!/usr/bin/env node
+// Headless training and evaluation, e.g. for nightly retrains on a server:
+//
+//   node cli.js train --data prices.csv --model models/nightly --out metrics.json
+//   node cli.js evaluate --data prices.csv --model models/nightly
+//   node cli.js forecast --data prices.csv --model models/nightly
+//   node cli.js backtest --data prices.csv --model models/nightly --strategy topK --top-k 3
+//
+// Results are written as JSON to --out, or to stdout. Uses @tensorflow/tfjs-node when it is installed and the
+// pure JavaScript @tensorflow/tfjs build otherwise. Models are saved as model.json plus weights.bin, the same
+// files the browser app downloads and uploads.
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { DataLoader } from './data-loader.js';
+import { StockGRUModel } from './gru.js';
+import { TextSource, isParquetName } from './data-sources.js';
+import { evaluatePredictions } from './metrics.js';
+import { applyCalibration } from './calibration.js';
+import { STRATEGIES, runBacktest, signalScores } from './backtest.js';
+import { ARCHITECTURES } from './architectures.js';
+import { CALENDARS, parseHolidays } from './market-calendar.js';
+
+const COMMANDS = {
+  train: 'Train on --data, evaluate on its test split and save the model to --model',
+  evaluate: 'Score a saved model on the test split of --data, purging windows that overlap its training range',
+  forecast: 'Predict the next days from the latest window of --data',
+  backtest: 'Evaluate a saved model, then backtest its signals on the test split',
+};
+
+const OPTIONS = {
+  data: { type: 'string', multiple: true },
+  model: { type: 'string' },
+  out: { type: 'string' },
+  alignment: { type: 'string', default: 'intersect' },
+  epochs: { type: 'string', default: '30' },
+  'batch-size': { type: 'string', default: '32' },
+  architecture: { type: 'string', default: 'gru' },
+  'task-mode': { type: 'string', default: 'joint' },
+  target: { type: 'string', default: 'binary' },
+  'sequence-length': { type: 'string', default: '12' },
+  horizon: { type: 'string', default: '3' },
+  scaler: { type: 'string', default: 'minmax' },
+  'learning-rate': { type: 'string', default: '0.001' },
+  'units-first': { type: 'string', default: '128' },
+  'units-second': { type: 'string', default: '64' },
+  dropout: { type: 'string', default: '0.2' },
+  strategy: { type: 'string', default: 'long' },
+  threshold: { type: 'string', default: '0.5' },
+  'min-return': { type: 'string', default: '0' },
+  'top-k': { type: 'string', default: '3' },
+  'cost-bps': { type: 'string', default: '5' },
+  'horizon-index': { type: 'string', default: '1' },
+  calendar: { type: 'string', default: 'nyse' },
+  holidays: { type: 'string', default: '' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const VALIDATION_SPLIT = 0.1;
+
+const USAGE = `Usage: node cli.js <command> --data <file> [--data <file> ...] --model <dir> [options]
+
+Commands:
+${Object.entries(COMMANDS)
+  .map(([name, description]) => `  ${name.padEnd(10)}${description}`)
+  .join('\n')}
+
+Options:
+  --data <file>            CSV, JSON or Parquet prices; repeat for one file per ticker
+  --model <dir>            Model directory, written by train and read by the other commands
+  --out <file>             Write the JSON result to a file instead of stdout
+  --alignment <policy>     intersect | forwardFill | interpolate | dropSymbol (intersect)
+                           interpolate fills gaps from the next close, so it looks ahead;
+                           forwardFill repeats the last close, so filled days count as flat
+
+Training:
+  --epochs <n> (30)  --batch-size <n> (32)  --learning-rate <x> (0.001)
+  --architecture <${Object.keys(ARCHITECTURES).join('|')}> (gru)
+  --task-mode <joint|multitask|independent> (joint)  --target <binary|multiclass|regression> (binary)
+  --sequence-length <n> (12)  --horizon <n> (3)  --scaler <minmax|zscore|rolling-zscore|log-return> (minmax)
+  --units-first <n> (128)  --units-second <n> (64)  --dropout <x> (0.2)
+
+Backtest:
+  --strategy <${Object.keys(STRATEGIES).join('|')}> (long)  --threshold <p> (0.5)  --min-return <pct> (0)
+  --top-k <n> (3)  --cost-bps <bps> (5)  --horizon-index <1-based day> (1)
+                           a D+h score is held for h days in overlapping 1/h sleeves
+
+Forecast:
+  --calendar <${Object.keys(CALENDARS).join('|')}> (nyse)  --holidays <date,date,...>  extra closed days
+`;
+
+function numberOption(values, name, parse = Number.parseFloat) {
+  const value = parse(values[name], 10);
+  if (!Number.isFinite(value)) {
+    throw new Error(`--${name} must be a number.`);
+  }
+  return value;
+}
+
+const integerOption = (values, name) => numberOption(values, name, Number.parseInt);
+
+async function loadTF() {
+  for (const name of ['@tensorflow/tfjs-node', '@tensorflow/tfjs']) {
+    try {
+      return await import(name);
+    } catch (error) {
+      if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+    }
+  }
+  throw new Error('Install @tensorflow/tfjs or @tensorflow/tfjs-node to run the CLI.');
+}
+
+// tf.io handlers for a model directory, so the pure JavaScript build (which has no file:// scheme) can save too.
+function directorySaveHandler(tf, directory) {
+  return tf.io.withSaveHandler(async (artifacts) => {
+    const weightData = Array.isArray(artifacts.weightData)
+      ? Buffer.concat(artifacts.weightData.map((buffer) => Buffer.from(buffer)))
+      : Buffer.from(artifacts.weightData);
+    await mkdir(directory, { recursive: true });
+    await writeFile(path.join(directory, 'weights.bin'), weightData);
+    await writeFile(
+      path.join(directory, 'model.json'),
+      JSON.stringify({
+        modelTopology: artifacts.modelTopology,
+        format: artifacts.format,
+        generatedBy: artifacts.generatedBy,
+        convertedBy: artifacts.convertedBy,
+        userDefinedMetadata: artifacts.userDefinedMetadata,
+        weightsManifest: [{ paths: ['weights.bin'], weights: artifacts.weightSpecs }],
+      })
+    );
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  });
+}
+
+function directoryLoadHandler(directory) {
+  return {
+    load: async () => {
+      const manifest = JSON.parse(await readFile(path.join(directory, 'model.json'), 'utf8'));
+      const groups = manifest.weightsManifest ?? [];
+      const buffers = await Promise.all(
+        groups.flatMap((group) => group.paths.map((file) => readFile(path.join(directory, file))))
+      );
+      const weightData = Buffer.concat(buffers);
+      return {
+        modelTopology: manifest.modelTopology,
+        format: manifest.format,
+        generatedBy: manifest.generatedBy,
+        convertedBy: manifest.convertedBy,
+        userDefinedMetadata: manifest.userDefinedMetadata,
+        weightSpecs: groups.flatMap((group) => group.weights),
+        weightData: weightData.buffer.slice(weightData.byteOffset, weightData.byteOffset + weightData.byteLength),
+      };
+    },
+  };
+}
+
+async function loadData(tf, values, loaderOptions = {}) {
+  if (!values.data?.length) {
+    throw new Error('Pass at least one --data file.');
+  }
+  const dataLoader = new DataLoader({ tf, alignment: values.alignment, ...loaderOptions });
+  const sources = await Promise.all(
+    values.data.map(async (file) => new TextSource(file, await readFile(file, isParquetName(file) ? null : 'utf8')))
+  );
+  const info = await dataLoader.loadSources(sources);
+  return { dataLoader, info };
+}
+
+async function loadSavedModel(tf, values) {
+  if (!values.model) {
+    throw new Error('Pass the model directory with --model.');
+  }
+  const model = await StockGRUModel.load(directoryLoadHandler(values.model), { tf });
+  if (!model.preprocessing) {
+    await model.dispose();
+    throw new Error(`${values.model} has no preprocessing metadata; retrain it with this version.`);
+  }
+  return model;
+}
+
+function datasetSummary(info, dataset) {
+  return {
+    symbols: dataset.stockSymbols,
+    firstDate: info.dates[0],
+    lastDate: info.dates[info.dates.length - 1],
+    tradingDays: info.dates.length,
+    trainWindows: dataset.trainDates.length,
+    testWindows: dataset.testDates.length,
+    testStartDate: dataset.testDates[0],
+    testEndDate: dataset.testDates[dataset.testDates.length - 1],
+    purgedTestWindows: dataset.purgedTestWindows,
+    quality: {
+      skipped: info.qualityReport.skipped.length,
+      duplicates: info.qualityReport.duplicates.length,
+      outliers: info.qualityReport.outliers.length,
+      splits: info.qualityReport.splits.length,
+      alignment: info.qualityReport.alignment,
+    },
+  };
+}
+
+// The same test-split metrics the browser's Evaluate button shows.
+async function evaluateTestSplit(model, dataset) {
+  const predictionTensor = await model.predict(dataset.X_test);
+  try {
+    const predictions = applyCalibration(model.calibration, await predictionTensor.array());
+    const stockMetrics = await model.evaluateStockMetrics(dataset.y_test, predictions);
+    const { loss } = await model.evaluateLoss(dataset.X_test, dataset.y_test);
+    const report = evaluatePredictions({
+      predictions,
+      actual: await dataset.y_test.array(),
+      trainActual: await dataset.y_train.array(),
+      trailingLabels: dataset.testTrailingLabels,
+      targetMode: dataset.targetMode,
+      stockSymbols: dataset.stockSymbols,
+      horizon: dataset.horizon,
+    });
+    return {
+      predictions,
+      metrics: {
+        loss,
+        stocks: Object.fromEntries(dataset.stockSymbols.map((symbol, index) => [symbol, stockMetrics[index]])),
+        summary: report.summary,
+      },
+    };
+  } finally {
+    predictionTensor.dispose();
+  }
+}
+
+async function train(tf, values) {
+  if (!values.model) {
+    throw new Error('Pass the directory to save the model to with --model.');
+  }
+  const { dataLoader, info } = await loadData(tf, values, {
+    sequenceLength: integerOption(values, 'sequence-length'),
+    horizon: integerOption(values, 'horizon'),
+    targetMode: values.target,
+    scaler: values.scaler,
+  });
+
+  const dataset = await dataLoader.prepareDataset();
+  const model = new StockGRUModel({
+    ...StockGRUModel.configFromDataset(dataset, {
+      architecture: values.architecture,
+      taskMode: values['task-mode'],
+      learningRate: numberOption(values, 'learning-rate'),
+      unitsFirst: integerOption(values, 'units-first'),
+      unitsSecond: integerOption(values, 'units-second'),
+      dropoutRate: numberOption(values, 'dropout'),
+    }),
+    tf,
+  });
+  try {
+    await model.train(dataset.X_train, dataset.y_train, {
+      epochs: integerOption(values, 'epochs'),
+      batchSize: integerOption(values, 'batch-size'),
+      validationSplit: VALIDATION_SPLIT,
+    });
+    const { metrics } = await evaluateTestSplit(model, dataset);
+    await model.save(directorySaveHandler(tf, values.model));
+    return {
+      command: 'train',
+      model: values.model,
+      architecture: model.architecture,
+      taskMode: model.taskMode,
+      targetMode: model.targetMode,
+      training: model.trainingSummary,
+      dataset: datasetSummary(info, dataset),
+      test: metrics,
+    };
+  } finally {
+    dataset.dispose();
+    await model.dispose();
+  }
+}
+
+async function evaluateSaved(tf, values, { backtest = false } = {}) {
+  const model = await loadSavedModel(tf, values);
+  let dataset;
+  try {
+    const { dataLoader, info } = await loadData(tf, values);
+    dataset = await dataLoader.prepareDataset({ preprocessing: model.preprocessing });
+    const { predictions, metrics } = await evaluateTestSplit(model, dataset);
+    const result = {
+      command: backtest ? 'backtest' : 'evaluate',
+      model: values.model,
+      dataset: datasetSummary(info, dataset),
+      test: metrics,
+    };
+    if (!backtest) return result;
+
+    const horizonIndex = integerOption(values, 'horizon-index') - 1;
+    if (horizonIndex < 0 || horizonIndex >= dataset.horizon) {
+      throw new Error(`--horizon-index must be between 1 and ${dataset.horizon}.`);
+    }
+    if (!STRATEGIES[values.strategy]) {
+      throw new Error(`Unknown strategy "${values.strategy}". Expected one of: ${Object.keys(STRATEGIES).join(', ')}.`);
+    }
+    const regression = dataset.targetMode === 'regression';
+    const threshold = numberOption(values, 'threshold');
+    const minReturn = numberOption(values, 'min-return');
+    const lastAnchor = dataset.testAnchorIndices[dataset.testAnchorIndices.length - 1];
+    const holdingDays = horizonIndex + 1;
+    const dates = [...dataset.testDates, ...dataset.allDates.slice(lastAnchor + 1, lastAnchor + holdingDays + 1)];
+    const backtestResult = runBacktest({
+      dates,
+      closes: dataLoader.closesFor(dates, dataset.stockSymbols),
+      scores: predictions.map((prediction) => signalScores(prediction, dataset, horizonIndex)),
+      strategy: values.strategy,
+      longAbove: regression ? minReturn : threshold,
+      shortBelow: regression ? -minReturn : 1 - threshold,
+      topK: integerOption(values, 'top-k'),
+      costBps: numberOption(values, 'cost-bps'),
+      holdingDays,
+    });
+    return {
+      ...result,
+      backtest: {
+        strategy: values.strategy,
+        horizonIndex: horizonIndex + 1,
+        holdingDays,
+        stats: backtestResult.stats,
+        benchmark: backtestResult.benchmark.stats,
+        equity: backtestResult.exitDates.map((date, index) => ({
+          date,
+          strategy: backtestResult.equity[index],
+          benchmark: backtestResult.benchmark.equity[index],
+        })),
+      },
+    };
+  } finally {
+    dataset?.dispose();
+    await model.dispose();
+  }
+}
+
+async function forecast(tf, values) {
+  const model = await loadSavedModel(tf, values);
+  let window;
+  let predictionTensor;
+  try {
+    const { dataLoader } = await loadData(tf, values);
+    window = await dataLoader.prepareForecast(model.preprocessing, {
+      calendar: values.calendar,
+      holidays: parseHolidays(values.holidays),
+    });
+    predictionTensor = await model.predict(window.input);
+    const [prediction] = applyCalibration(model.calibration, await predictionTensor.array());
+    const { stockSymbols, horizon, targetMode, classLabels, lastCloses, forecastDates, anchorDate } = window;
+    return {
+      command: 'forecast',
+      model: values.model,
+      targetMode,
+      anchorDate,
+      windowStartDate: window.windowDates[0],
+      calendar: window.calendar,
+      forecastDates,
+      symbols: Object.fromEntries(
+        stockSymbols.map((symbol, s) => [
+          symbol,
+          {
+            lastClose: lastCloses[s],
+            // P(up) for binary, class probabilities for multiclass, the predicted return in percent for regression.
+            predictions: forecastDates.map((date, h) => {
+              const output = prediction[s * horizon + h];
+              return targetMode === 'multiclass'
+                ? { date, ...Object.fromEntries(classLabels.map((label, index) => [label, output[index]])) }
+                : { date, value: output };
+            }),
+          },
+        ])
+      ),
+    };
+  } finally {
+    predictionTensor?.dispose();
+    window?.dispose();
+    await model.dispose();
+  }
+}
+
+export async function runCli(argv, { tf = null, stdout = process.stdout } = {}) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command] = positionals;
+  if (values.help || !command) {
+    stdout.write(USAGE);
+    return null;
+  }
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}". Expected one of: ${Object.keys(COMMANDS).join(', ')}.`);
+  }
+
+  const runtime = tf ?? (await loadTF());
+  await runtime.ready();
+  let result;
+  if (command === 'train') result = await train(runtime, values);
+  else if (command === 'forecast') result = await forecast(runtime, values);
+  else result = await evaluateSaved(runtime, values, { backtest: command === 'backtest' });
+
+  const json = `${JSON.stringify(result, null, 2)}\n`;
+  if (values.out) {
+    await mkdir(path.dirname(path.resolve(values.out)), { recursive: true });
+    await writeFile(values.out, json);
+  } else {
+    stdout.write(json);
+  }
+  return result;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  runCli(process.argv.slice(2)).catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,102 @@
+export function logReturns(closes) {
+  return closes.map((value, index) => (index === 0 ? NaN : Math.log(value / closes[index - 1])));
+}
+
+export function pearson(a, b) {
+  let count = 0;
+  let sumA = 0;
+  let sumB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (Number.isFinite(a[i]) && Number.isFinite(b[i])) {
+      sumA += a[i];
+      sumB += b[i];
+      count += 1;
+    }
+  }
+  if (count < 2) return NaN;
+
+  const meanA = sumA / count;
+  const meanB = sumB / count;
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (Number.isFinite(a[i]) && Number.isFinite(b[i])) {
+      cov += (a[i] - meanA) * (b[i] - meanB);
+      varA += (a[i] - meanA) ** 2;
+      varB += (b[i] - meanB) ** 2;
+    }
+  }
+  const denominator = Math.sqrt(varA * varB);
+  return denominator === 0 ? 0 : cov / denominator;
+}
+
+// Correlation of leader[t - lag] with follower[t] for t in [start, end].
+export function laggedCorrelation(leader, follower, lag, start = 0, end = follower.length - 1) {
+  const from = Math.max(start, lag);
+  const a = leader.slice(from - lag, end - lag + 1);
+  const b = follower.slice(from, end + 1);
+  return pearson(a, b);
+}
+
+export function rollingCorrelation(leader, follower, window, lag = 0) {
+  return follower.map((_, index) => {
+    const start = index - window + 1;
+    if (start - lag < 0) return NaN;
+    return laggedCorrelation(leader, follower, lag, start, index);
+  });
+}
+
+export function crossCorrelationMatrix(returnsBySymbol, { maxLag = 3, start = 0, end } = {}) {
+  const count = returnsBySymbol.length;
+  const last = end ?? (returnsBySymbol[0]?.length ?? 0) - 1;
+  const contemporaneous = [];
+  const leadLag = [];
+
+  for (let i = 0; i < count; i += 1) {
+    contemporaneous.push([]);
+    leadLag.push([]);
+    for (let j = 0; j < count; j += 1) {
+      contemporaneous[i].push(i === j ? 1 : laggedCorrelation(returnsBySymbol[i], returnsBySymbol[j], 0, start, last));
+      let best = { corr: NaN, lag: 0 };
+      for (let lag = 1; lag <= maxLag; lag += 1) {
+        const corr = laggedCorrelation(returnsBySymbol[i], returnsBySymbol[j], lag, start, last);
+        if (Number.isFinite(corr) && !(Math.abs(corr) <= Math.abs(best.corr))) {
+          best = { corr, lag };
+        }
+      }
+      leadLag[i].push(best);
+    }
+  }
+
+  return { contemporaneous, leadLag };
+}
+
+export function selectLeadLagPairs(leadLag, topPairs) {
+  const candidates = [];
+  leadLag.forEach((row, leader) => {
+    row.forEach(({ corr, lag }, follower) => {
+      if (leader !== follower && Number.isFinite(corr)) {
+        candidates.push({ leader, follower, lag, corr });
+      }
+    });
+  });
+  candidates.sort((a, b) => Math.abs(b.corr) - Math.abs(a.corr));
+  return candidates.slice(0, topPairs);
+}
+
+export function meanPairwiseCorrelation(returnsBySymbol, window) {
+  const count = returnsBySymbol.length;
+  const length = returnsBySymbol[0]?.length ?? 0;
+  const rolling = [];
+  for (let i = 0; i < count; i += 1) {
+    for (let j = i + 1; j < count; j += 1) {
+      rolling.push(rollingCorrelation(returnsBySymbol[i], returnsBySymbol[j], window));
+    }
+  }
+  return Array.from({ length }, (_, index) => {
+    const values = rolling.map((series) => series[index]);
+    if (values.length === 0 || values.some((value) => !Number.isFinite(value))) return NaN;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  });
+}
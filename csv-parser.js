@@ -0,0 +1,334 @@
+export const DELIMITERS = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab' };
+
+export const DATE_FORMATS = {
+  iso: 'YYYY-MM-DD (ISO 8601)',
+  mdy: 'MM/DD/YYYY',
+  dmy: 'DD/MM/YYYY',
+  unixSeconds: 'Unix timestamp (seconds)',
+  unixMillis: 'Unix timestamp (milliseconds)',
+};
+
+export const LAYOUTS = { long: 'One row per date and symbol', wide: 'One close column per ticker' };
+
+export const COLUMN_ROLES = ['date', 'symbol', 'open', 'high', 'low', 'close', 'volume'];
+
+// Normalized header spellings per role, in order of preference (Close wins over Adj Close when both exist).
+const HEADER_ALIASES = {
+  date: ['date', 'datetime', 'timestamp', 'time', 'day', 'trade date'],
+  symbol: ['symbol', 'ticker', 'sym', 'code', 'instrument', 'name'],
+  open: ['open', 'open price'],
+  high: ['high', 'high price'],
+  low: ['low', 'low price'],
+  close: ['close', 'close price', 'closing price', 'last', 'price', 'adj close', 'adjusted close', 'adjclose'],
+  volume: ['volume', 'vol'],
+};
+
+const normalizeHeader = (header) =>
+  header
+    .toLowerCase()
+    .replace(/[*.]/g, '')
+    .replace(/[_\s]+/g, ' ')
+    .trim();
+
+// RFC 4180: quoted fields may hold delimiters, doubled quotes and line breaks. Each record keeps the physical
+// line it starts on so problems can be reported against the file; blank lines are dropped.
+export function parseDelimited(text, delimiter = ',') {
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          quoted = false;
+        }
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      field = '';
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}.`);
+  }
+  if (field !== '' || fields.length > 0) endRecord();
+
+  return records;
+}
+
+// The candidate seen most often outside quotes on the header line.
+export function detectDelimiter(text) {
+  const counts = Object.fromEntries(Object.keys(DELIMITERS).map((delimiter) => [delimiter, 0]));
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && (char === '\n' || char === '\r')) break;
+    if (!quoted && char in counts) counts[char] += 1;
+  }
+  return Object.entries(counts).reduce((best, entry) => (entry[1] > best[1] ? entry : best), [',', 0])[0];
+}
+
+const isoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+// Returns YYYY-MM-DD or null. Times of day and time zones are dropped; timestamps are read as UTC.
+export function parseDate(value, format) {
+  const text = String(value ?? '').trim();
+  if (format === 'iso') {
+    const match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/.exec(text);
+    return match ? isoDate(Number(match[1]), Number(match[2]), Number(match[3])) : null;
+  }
+  if (format === 'mdy' || format === 'dmy') {
+    const match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?:$|\s)/.exec(text);
+    if (!match) return null;
+    const [first, second, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    return format === 'mdy' ? isoDate(year, first, second) : isoDate(year, second, first);
+  }
+  if (format === 'unixSeconds' || format === 'unixMillis') {
+    if (!/^\d+(\.\d+)?$/.test(text)) return null;
+    const millis = Number(text) * (format === 'unixSeconds' ? 1000 : 1);
+    return new Date(millis).toISOString().slice(0, 10);
+  }
+  throw new Error(`Unknown date format "${format}".`);
+}
+
+// Slash dates where no day exceeds 12 are ambiguous and read as US MM/DD/YYYY.
+export function detectDateFormat(values) {
+  const sample = values
+    .map((value) => String(value ?? '').trim())
+    .filter(Boolean)
+    .slice(0, 500);
+  if (sample.length === 0) return null;
+  if (sample.every((value) => /^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}(?:$|[T\s])/.test(value))) return 'iso';
+  if (sample.every((value) => /^\d{9,10}(\.\d+)?$/.test(value))) return 'unixSeconds';
+  if (sample.every((value) => /^\d{12,13}$/.test(value))) return 'unixMillis';
+  if (sample.every((value) => /^\d{1,2}[-/.]\d{1,2}[-/.]\d{4}(?:$|\s)/.test(value))) {
+    const parts = sample.map((value) => value.split(/[-/.\s]/).map(Number));
+    return parts.some(([first]) => first > 12) ? 'dmy' : 'mdy';
+  }
+  return null;
+}
+
+// Accepts "1,234.5", "$12.30" and, with a non-comma delimiter, decimal commas such as "12,5". Without a decimal
+// point, a comma-delimited file can only hold a comma inside quotes, where it groups thousands ("1,234").
+export function parseNumber(value, delimiter = ',') {
+  let text = String(value ?? '')
+    .trim()
+    .replace(/^\$/, '');
+  if (text === '') return NaN;
+  if (text.includes('.') || (delimiter === ',' && /^-?\d{1,3}(,\d{3})+$/.test(text))) {
+    text = text.replace(/,/g, '');
+  } else if (delimiter !== ',' && /^-?\d+,\d+$/.test(text)) {
+    text = text.replace(',', '.');
+  }
+  return Number(text);
+}
+
+function findColumn(headers, role) {
+  const normalized = headers.map(normalizeHeader);
+  for (const alias of HEADER_ALIASES[role]) {
+    const index = normalized.indexOf(alias);
+    if (index !== -1) return headers[index];
+  }
+  return null;
+}
+
+// Detects delimiter, layout, column roles and date format. The mapping is complete when `problems` is empty;
+// otherwise it is a starting point for manual column mapping. `overrides.symbol` names the ticker of a
+// single-ticker file that has prices but no symbol column.
+export function inferCsvMapping(text, overrides = {}) {
+  const delimiter = overrides.delimiter ?? detectDelimiter(text);
+  return inferMapping(parseDelimited(text, delimiter), { ...overrides, delimiter });
+}
+
+// inferCsvMapping for rows already split into fields ([{ line, fields }], header first), e.g. JSON records.
+export function inferMapping(rows, overrides = {}) {
+  const delimiter = overrides.delimiter ?? ',';
+  if (rows.length <= 1) {
+    throw new Error('The data must include a header row and at least one record.');
+  }
+
+  const headers = rows[0].fields.map((header) => header.trim());
+  const body = rows.slice(1, 201);
+  const columns = Object.fromEntries(COLUMN_ROLES.map((role) => [role, findColumn(headers, role)]));
+  const problems = [];
+
+  if (!columns.date) {
+    problems.push('No date column was recognized.');
+  }
+
+  const valuesOf = (name) => body.map(({ fields }) => fields[headers.indexOf(name)]);
+  // Mostly numeric, so a stray "n/a" in a ticker column does not hide the wide layout.
+  const numeric = (name) => {
+    const values = valuesOf(name).filter((value) => value !== undefined && value.trim() !== '');
+    const parsed = values.filter((value) => Number.isFinite(parseNumber(value, delimiter))).length;
+    return parsed > 0 && parsed >= 0.9 * values.length;
+  };
+
+  let layout = 'long';
+  const symbol = overrides.symbol?.trim().toUpperCase() || null;
+  if (columns.date && !columns.symbol) {
+    const others = headers.filter((header) => header !== columns.date);
+    if (columns.close) {
+      if (!symbol) problems.push('No symbol column was recognized; name the ticker this file holds.');
+    } else if (others.length > 0 && others.every(numeric)) {
+      layout = 'wide';
+      COLUMN_ROLES.filter((role) => role !== 'date').forEach((role) => {
+        columns[role] = null;
+      });
+    } else {
+      problems.push('No symbol or ticker column was recognized, and the other columns are not all numeric.');
+    }
+  }
+  if (layout === 'long' && !columns.close) {
+    problems.push('No close price column was recognized.');
+  }
+
+  const dateFormat = overrides.dateFormat ?? (columns.date ? detectDateFormat(valuesOf(columns.date)) : null);
+  if (columns.date && !dateFormat) {
+    problems.push(`Dates such as "${valuesOf(columns.date)[0]}" do not match a known format.`);
+  }
+
+  return {
+    headers,
+    preview: body.slice(0, 5).map(({ fields }) => fields),
+    mapping: { layout, delimiter, dateFormat, columns, symbol: layout === 'long' && !columns.symbol ? symbol : null },
+    problems,
+  };
+}
+
+// mapping: { layout, delimiter, dateFormat, columns: { date, symbol, open, high, low, close, volume }, symbol }
+// where columns hold header names (null when absent) and `symbol` is the fixed ticker of a file without a
+// symbol column. In the wide layout every column except the date is a ticker's close. Returns per-symbol Maps
+// keyed by ISO date plus the rows that could not be used and why.
+export function parseCsvRecords(text, mapping) {
+  return parseRecords(parseDelimited(text, mapping.delimiter ?? ','), mapping);
+}
+
+export function parseRecords(rows, mapping) {
+  const { layout = 'long', delimiter = ',', dateFormat, columns } = mapping;
+  const fixedSymbol = mapping.symbol?.trim().toUpperCase() || null;
+  if (rows.length <= 1) {
+    throw new Error('The data must include a header row and at least one record.');
+  }
+
+  const headers = rows[0].fields.map((header) => header.trim());
+  const indexOf = (name) => (name ? headers.indexOf(name) : -1);
+  let required = ['date', 'symbol', 'close'];
+  if (layout === 'wide') required = ['date'];
+  else if (fixedSymbol && !columns.symbol) required = ['date', 'close'];
+  required.forEach((role) => {
+    if (indexOf(columns[role]) === -1) {
+      throw new Error(`The ${role} column "${columns[role] ?? ''}" is not in the header row.`);
+    }
+  });
+  if (!DATE_FORMATS[dateFormat]) {
+    throw new Error('Choose a date format for the date column.');
+  }
+
+  const records = new Map();
+  const skipped = [];
+  const duplicates = [];
+  const pointsFor = (symbol) => {
+    if (!records.has(symbol)) records.set(symbol, new Map());
+    return records.get(symbol);
+  };
+  // A repeated (symbol, date) keeps the later row and is reported.
+  const setPoint = (line, symbol, date, point) => {
+    const points = pointsFor(symbol);
+    if (points.has(date)) duplicates.push({ line, symbol, date });
+    points.set(date, point);
+  };
+  const dateIndex = indexOf(columns.date);
+  const tickers = headers
+    .map((header, index) => ({ header, index }))
+    .filter(({ index }) => layout === 'wide' && index !== dateIndex);
+  const optional = ['open', 'high', 'low', 'volume']
+    .map((role) => [role, indexOf(columns[role])])
+    .filter(([, index]) => index !== -1);
+
+  rows.slice(1).forEach(({ line, fields }) => {
+    if (fields.length !== headers.length) {
+      skipped.push({ line, reason: `expected ${headers.length} fields but found ${fields.length}` });
+      return;
+    }
+    const rawDate = fields[dateIndex].trim();
+    const date = parseDate(rawDate, dateFormat);
+    if (!date) {
+      skipped.push({ line, reason: `unreadable date "${rawDate}"` });
+      return;
+    }
+
+    if (layout === 'wide') {
+      tickers.forEach(({ header, index }) => {
+        if (fields[index].trim() === '') return;
+        const symbol = header.toUpperCase();
+        const close = parseNumber(fields[index], delimiter);
+        if (Number.isFinite(close)) {
+          setPoint(line, symbol, date, { close });
+        } else {
+          skipped.push({ line, symbol, reason: `non-numeric ${header} value "${fields[index].trim()}"` });
+        }
+      });
+      return;
+    }
+
+    const symbol = columns.symbol ? fields[indexOf(columns.symbol)].trim().toUpperCase() : fixedSymbol;
+    const close = parseNumber(fields[indexOf(columns.close)], delimiter);
+    if (!symbol) {
+      skipped.push({ line, reason: 'missing symbol' });
+      return;
+    }
+    if (!Number.isFinite(close)) {
+      skipped.push({ line, symbol, reason: `non-numeric close "${fields[indexOf(columns.close)].trim()}"` });
+      return;
+    }
+    const point = { close };
+    optional.forEach(([role, index]) => {
+      point[role] = parseNumber(fields[index], delimiter);
+    });
+    setPoint(line, symbol, date, point);
+  });
+
+  if (records.size === 0) {
+    throw new Error('No stock symbols were detected in the data.');
+  }
+
+  return { records, skipped, duplicates, rowCount: rows.length - 1 };
+}
@@ -1,109 +1,194 @@
-const TF_CDN_URL = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.13.0/dist/tf.min.js';
-
-const getTF = async () => {
-  if (typeof globalThis === 'undefined') {
-    throw new Error('TensorFlow.js requires a browser environment.');
-  }
-
-  if (typeof document === 'undefined') {
-    throw new Error('TensorFlow.js requires a DOM to load its script.');
-  }
-
-  if (!globalThis.__tfReadyPromise) {
-    globalThis.__tfReadyPromise = new Promise((resolve, reject) => {
-      if (globalThis.tf && typeof globalThis.tf.ready === 'function') {
-        globalThis.tf
-          .ready()
-          .then(() => resolve(globalThis.tf))
-          .catch(reject);
-        return;
-      }
-
-      const existing = Array.from(document.scripts).find((script) => script.src.includes('@tensorflow/tfjs'));
-      const targetScript = existing ?? document.createElement('script');
-      const cleanup = () => {
-        targetScript.removeEventListener('load', handleLoad);
-        targetScript.removeEventListener('error', handleError);
-      };
-
-      function handleLoad() {
-        cleanup();
-        targetScript.dataset.tfReady = 'true';
-        if (globalThis.tf && typeof globalThis.tf.ready === 'function') {
-          globalThis.tf
-            .ready()
-            .then(() => resolve(globalThis.tf))
-            .catch(reject);
-        } else {
-          reject(new Error('TensorFlow.js script loaded but tf was not found on the global scope.'));
-        }
-      }
-
-      function handleError(event) {
-        cleanup();
-        reject(new Error(`Unable to load TensorFlow.js script: ${event?.message ?? 'network error'}`));
-      }
-
-      if (!existing) {
-        targetScript.defer = false;
-        targetScript.async = false;
-        targetScript.src = TF_CDN_URL;
-        targetScript.crossOrigin = 'anonymous';
-        targetScript.integrity = 'sha384-uE1YKKcf9zmXLh4FfLLRj1NfX3YAcaqpK+IylCvWbyevnED8GB5blzm0qrx+tr4V';
-        targetScript.addEventListener('load', handleLoad, { once: true });
-        targetScript.addEventListener('error', handleError, { once: true });
-        targetScript.dataset.tfReady = 'loading';
-        document.head.appendChild(targetScript);
-      } else {
-        existing.dataset.tfReady = existing.dataset.tfReady ?? 'loading';
-        existing.addEventListener('load', handleLoad, { once: true });
-        existing.addEventListener('error', handleError, { once: true });
-        if (existing.dataset.tfReady === 'true' || globalThis.tf) {
-          handleLoad();
-        }
-      }
-    });
-  }
+import { PRICE_COLUMNS, DEFAULT_FEATURES, computeFeatureColumns, normalizeFeatureSpec, resolveFeatures } from './features.js';
+import { createScaler } from './scalers.js';
+import { ALIGNMENT_POLICIES, alignRecords, assessQuality } from './data-quality.js';
+import { FileSource, mergeSources } from './data-sources.js';
+import { getTF } from './tf-runtime.js';
+import { nextTradingDates } from './market-calendar.js';
+import {
+  crossCorrelationMatrix,
+  logReturns,
+  meanPairwiseCorrelation,
+  rollingCorrelation,
+  selectLeadLagPairs,
+} from './correlation.js';
+
+export const TARGET_MODES = ['binary', 'multiclass', 'regression'];
+
+export const CLASS_LABELS = ['down', 'flat', 'up'];
+
+// Regression targets are expressed in percent so the loss is not dominated by float precision.
+const RETURN_SCALE = 100;
+
+const PREPROCESSING_VERSION = 1;
+
+const DATASET_TENSORS = ['X_train', 'y_train', 'X_test', 'y_test'];
+
+export async function serializeDataset(dataset) {
+  const payload = {};
+  const transfer = [];
+  Object.entries(dataset).forEach(([key, value]) => {
+    if (typeof value !== 'function' && !DATASET_TENSORS.includes(key)) {
+      payload[key] = value;
+    }
+  });
+  await Promise.all(
+    DATASET_TENSORS.map(async (key) => {
+      // The cpu backend hands out its own backing store, so copy before the buffer is transferred.
+      const data = (await dataset[key].data()).slice();
+      payload[key] = { shape: dataset[key].shape, data };
+      transfer.push(data.buffer);
+    })
+  );
+  return { payload, transfer };
+}
 
-  return globalThis.__tfReadyPromise;
-};
+export async function deserializeDataset(payload, injected = null) {
+  const tf = injected ?? (await getTF());
+  const dataset = { ...payload };
+  DATASET_TENSORS.forEach((key) => {
+    dataset[key] = tf.tensor(payload[key].data, payload[key].shape);
+  });
+  dataset.dispose = () => {
+    DATASET_TENSORS.forEach((key) => dataset[key].dispose());
+  };
+  return dataset;
+}
 
 export class DataLoader {
+  #tf;
+
+  // options.tf injects a TensorFlow.js instance for hosts without a page or worker, such as the Node CLI.
   constructor(options = {}) {
+    this.#tf = options.tf ?? null;
     this.sequenceLength = options.sequenceLength ?? 12;
     this.horizon = options.horizon ?? 3;
-    this.featureCountPerStock = 2; // Open, Close
+    this.featureCountPerStock = DEFAULT_FEATURES.length;
     this.splitRatio = options.splitRatio ?? 0.8;
+    this.scaler = 'minmax';
+    this.scalerOptions = {};
+    this.features = [...DEFAULT_FEATURES];
+    this.crossFeatures = { enabled: false, window: 20, maxLag: 3, topPairs: 5 };
+    this.targetMode = 'binary';
+    this.deadBand = 0.002;
+    this.alignment = 'intersect';
+
+    this.availableColumns = [];
 
     this.symbols = [];
+    this.loadedSymbols = [];
     this.dates = [];
+    this.sourceMapping = null;
+    this.parseReport = null;
+    this.qualityReport = null;
+    this.sourceDataBySymbol = new Map();
     this.rawDataBySymbol = new Map();
     this.normalizedDataBySymbol = new Map();
+    this.normalizedSharedColumns = [];
     this.anchorIndices = [];
+
+    this.configure(options);
+  }
+
+  // Auto-detected format, layout, delimiter, column roles and date format of a file, for the column-mapping UI.
+  // `overrides` can pin the delimiter or date format before detection runs.
+  async inspectFile(file, overrides = {}) {
+    return new FileSource(file).inspect(overrides);
+  }
+
+  // CSV or JSON. Without `options.mapping` the layout is auto-detected and an error lists what could not be
+  // recognized.
+  async loadFile(file, options = {}) {
+    return this.loadSources([new FileSource(file, { mapping: options.mapping })]);
+  }
+
+  // Merges several files, typically one per ticker, into one panel. `options.mapping` is the fallback for files
+  // whose layout cannot be detected on their own; each such file still takes its ticker from its name.
+  async loadFiles(files, options = {}) {
+    return this.loadSources(
+      Array.from(files).map((file) => new FileSource(file, { fallbackMapping: options.mapping ?? null }))
+    );
   }
 
-  async loadFile(file) {
-    if (!(file instanceof File)) {
-      throw new Error('A valid File object is required.');
+  // Reuses the base file's column mapping when the appended file cannot be detected on its own.
+  async appendFile(file, options = {}) {
+    const source = new FileSource(file, { mapping: options.mapping, fallbackMapping: this.sourceMapping });
+    return this.loadSources([source], { append: true });
+  }
+
+  // Reads every source in turn (see data-sources.js for the interface) and loads the merged records. With
+  // `append`, the rows are merged into the loaded data and the result counts the trading days added.
+  async loadSources(sources, { append = false } = {}) {
+    if (sources.length === 0) {
+      throw new Error('Choose at least one data source.');
+    }
+    if (append && this.sourceDataBySymbol.size === 0) {
+      throw new Error('Load a base CSV file before appending new rows.');
     }
-    cached = tfInstance;
-    return cached;
-  };
-})();
 
-    const text = await file.text();
-    this.#parseCSV(text);
+    const parts = [];
+    for (const source of sources) {
+      parts.push(await source.read());
+    }
+    const { records, mapping, report } = mergeSources(parts);
 
-    const text = await file.text();
-    this.#parseCSV(text);
+    const previousLastDate = this.dates[this.dates.length - 1];
+    this.sourceMapping = mapping;
+    this.parseReport = report;
+    this.#ingest(records, { append });
 
     if (this.symbols.length === 0 || this.dates.length === 0) {
-      throw new Error('No usable records were found in the CSV file.');
+      throw new Error('No usable records were found in the data.');
     }
 
+    if (!append) return this.#describe();
+    return {
+      ...this.#describe(),
+      addedDates: this.dates.filter((date) => date > previousLastDate).length,
+    };
+  }
+
+  // Structured-clone friendly copy of the loaded rows, e.g. for handing the data to a worker.
+  exportSnapshot() {
+    return { records: this.sourceDataBySymbol };
+  }
+
+  loadSnapshot(snapshot) {
+    this.#ingest(new Map(snapshot.records));
+    return this.#describe();
+  }
+
+  clone() {
+    const copy = new DataLoader({ ...this.getOptions(), tf: this.#tf });
+    copy.loadSnapshot(this.exportSnapshot());
+    return copy;
+  }
+
+  getOptions() {
+    return {
+      sequenceLength: this.sequenceLength,
+      horizon: this.horizon,
+      splitRatio: this.splitRatio,
+      scaler: this.scaler,
+      scalerOptions: { ...this.scalerOptions },
+      features: [...this.features],
+      crossFeatures: { ...this.crossFeatures },
+      targetMode: this.targetMode,
+      deadBand: this.deadBand,
+      alignment: this.alignment,
+    };
+  }
+
+  async #getTF() {
+    return this.#tf ?? getTF();
+  }
+
+  #describe() {
     return {
       symbols: [...this.symbols],
       dates: [...this.dates],
+      availableColumns: [...this.availableColumns],
+      parseReport: this.parseReport,
+      qualityReport: this.qualityReport,
       sequenceLength: this.sequenceLength,
       horizon: this.horizon,
     };
@@ -117,40 +202,340 @@ export class DataLoader {
     dataset.y_test?.dispose();
   }
 
-  async prepareDataset() {
+  configure(options = {}) {
+    if (options.sequenceLength !== undefined) this.sequenceLength = options.sequenceLength;
+    if (options.horizon !== undefined) this.horizon = options.horizon;
+    if (options.splitRatio !== undefined) this.splitRatio = options.splitRatio;
+    if (options.scaler !== undefined) {
+      createScaler(options.scaler, options.scalerOptions ?? this.scalerOptions);
+      this.scaler = options.scaler;
+    }
+    if (options.scalerOptions !== undefined) this.scalerOptions = { ...options.scalerOptions };
+    if (options.features !== undefined) {
+      options.features.forEach(normalizeFeatureSpec);
+      this.features = [...options.features];
+    }
+    if (options.crossFeatures !== undefined) this.crossFeatures = { ...this.crossFeatures, ...options.crossFeatures };
+    if (options.targetMode !== undefined) {
+      if (!TARGET_MODES.includes(options.targetMode)) {
+        throw new Error(`Unknown target mode "${options.targetMode}". Expected one of: ${TARGET_MODES.join(', ')}.`);
+      }
+      this.targetMode = options.targetMode;
+    }
+    if (options.deadBand !== undefined) this.deadBand = Math.max(0, options.deadBand);
+    if (options.alignment !== undefined && options.alignment !== this.alignment) {
+      if (!ALIGNMENT_POLICIES[options.alignment]) {
+        throw new Error(
+          `Unknown alignment policy "${options.alignment}". Expected one of: ${Object.keys(ALIGNMENT_POLICIES).join(', ')}.`
+        );
+      }
+      const previous = this.alignment;
+      this.alignment = options.alignment;
+      try {
+        if (this.sourceDataBySymbol.size > 0) this.#align();
+      } catch (error) {
+        this.alignment = previous;
+        throw error;
+      }
+    }
+    return this;
+  }
+
+  resolveFeatures() {
+    const resolved = resolveFeatures(this.features, this.availableColumns);
+    if (resolved.stock.length === 0) {
+      throw new Error('At least one per-stock feature must be available in the loaded data.');
+    }
+    return resolved;
+  }
+
+  // With a saved model's `preprocessing`, test windows whose labels overlap its training range are purged (see
+  // #purgeTrainingOverlap) and counted in `purgedTestWindows`.
+  async prepareDataset(options = {}) {
+    const preprocessing = options.preprocessing ?? null;
+    this.#applyPreprocessing(preprocessing);
+    const split = this.#splitAnchors(this.#prepareAnchors());
+    const test = preprocessing ? this.#purgeTrainingOverlap(split.test, preprocessing) : split.test;
+    const dataset = await this.#createDataset({ train: split.train, test }, preprocessing);
+    return { ...dataset, purgedTestWindows: split.test.length - test.length };
+  }
+
+  // The labels of a saved model's last training anchor (scaling.fitEndDate) reach `horizon` trading days further.
+  // Test windows anchored within that range are purged, since the data may be a different file or split than the
+  // one the model was trained on.
+  #purgeTrainingOverlap(anchorIndices, preprocessing) {
+    const { fitEndDate } = preprocessing.scaling;
+    if (!fitEndDate) return anchorIndices;
+    const firstAfterFit = this.dates.findIndex((date) => date > fitEndDate);
+    const firstClear = firstAfterFit === -1 ? this.dates.length : firstAfterFit + this.horizon;
+    const kept = anchorIndices.filter((index) => index >= firstClear);
+    if (kept.length === 0) {
+      throw new Error(
+        `Every test window overlaps the model's training range (through ${fitEndDate} plus the ${this.horizon}-day ` +
+          'label horizon), so none remain after purging. Load data that extends past that range.'
+      );
+    }
+    return kept;
+  }
+
+  planWalkForward(options = {}) {
+    this.#applyPreprocessing(null);
+    const anchorIndices = this.#prepareAnchors();
+    const total = anchorIndices.length;
+    const mode = options.mode ?? 'expanding';
+    const testSize = Math.max(1, options.testSize ?? 20);
+    const step = Math.max(1, options.step ?? testSize);
+    const initialTrainSize = Math.max(1, options.initialTrainSize ?? Math.floor(total * 0.5));
+    const windowSize = Math.max(1, options.windowSize ?? initialTrainSize);
+    // Labels of the last `horizon` training anchors look into the test block, so purge them by default.
+    const gap = Math.max(0, options.gap ?? this.horizon);
+
+    if (mode !== 'expanding' && mode !== 'sliding') {
+      throw new Error(`Unknown walk-forward mode: ${mode}`);
+    }
+
+    if (initialTrainSize + gap + testSize > total) {
+      throw new Error(
+        `Walk-forward needs at least ${initialTrainSize + gap + testSize} samples but only ${total} are available.`
+      );
+    }
+
+    const folds = [];
+    for (let testStart = initialTrainSize + gap; testStart < total; testStart += step) {
+      const testEnd = Math.min(total, testStart + testSize);
+      const trainEnd = testStart - gap;
+      const trainStart = mode === 'sliding' ? Math.max(0, trainEnd - windowSize) : 0;
+      folds.push({
+        index: folds.length,
+        mode,
+        trainStart,
+        trainEnd,
+        testStart,
+        testEnd,
+        trainStartDate: this.dates[anchorIndices[trainStart]],
+        testStartDate: this.dates[anchorIndices[testStart]],
+        testEndDate: this.dates[anchorIndices[testEnd - 1]],
+      });
+    }
+
+    return folds;
+  }
+
+  // A fold over the training portion only: the last `fraction` of the training anchors become a time-ordered
+  // validation block, so model selection never sees the test split. Pass the result to prepareFold.
+  // `block` reuses the validation dates of an earlier plan instead, e.g. one made with another sequence length.
+  planValidation(options = {}) {
+    this.#applyPreprocessing(null);
+    const split = this.#splitAnchors(this.#prepareAnchors());
+    const total = split.train.length;
+    const fraction = options.fraction ?? 0.2;
+    const gap = Math.max(0, options.gap ?? this.horizon);
+    let testStart = total - Math.max(1, Math.floor(total * fraction));
+    let testEnd = total;
+    if (options.block) {
+      const trainDates = split.train.map((index) => this.dates[index]);
+      testStart = trainDates.indexOf(options.block.testStartDate);
+      testEnd = trainDates.indexOf(options.block.testEndDate) + 1;
+      if (testStart === -1 || testEnd === 0) {
+        throw new Error(
+          `The validation block ${options.block.testStartDate} → ${options.block.testEndDate} is not within the ` +
+            'training split.'
+        );
+      }
+    }
+    const trainEnd = testStart - gap;
+
+    if (trainEnd < 1) {
+      throw new Error(
+        `Validation split needs more than ${testEnd - testStart + gap} training samples but only ${testEnd} exist.`
+      );
+    }
+
+    return {
+      index: 0,
+      mode: 'validation',
+      trainStart: 0,
+      trainEnd,
+      testStart,
+      testEnd,
+      trainStartDate: this.dates[split.train[0]],
+      testStartDate: this.dates[split.train[testStart]],
+      testEndDate: this.dates[split.train[testEnd - 1]],
+    };
+  }
+
+  #applyPreprocessing(preprocessing) {
+    if (!preprocessing) {
+      this.symbols = [...this.loadedSymbols];
+      return;
+    }
+
+    const missing = preprocessing.symbols.filter((symbol) => !this.rawDataBySymbol.has(symbol));
+    if (missing.length > 0) {
+      throw new Error(`The loaded data is missing symbol(s) required by the model: ${missing.join(', ')}.`);
+    }
+
+    this.configure({
+      sequenceLength: preprocessing.sequenceLength,
+      horizon: preprocessing.horizon,
+      scaler: preprocessing.scaling.type,
+      scalerOptions: preprocessing.scaling.options,
+      features: preprocessing.features,
+      crossFeatures: {
+        enabled: preprocessing.crossFeatures.enabled,
+        window: preprocessing.crossFeatures.window,
+        maxLag: preprocessing.crossFeatures.maxLag,
+        topPairs: preprocessing.crossFeatures.pairs.length,
+      },
+      targetMode: preprocessing.targetMode,
+      deadBand: preprocessing.deadBand,
+    });
+    this.symbols = [...preprocessing.symbols];
+
+    const { skipped } = this.resolveFeatures();
+    if (skipped.length > 0) {
+      throw new Error(
+        `The loaded data cannot produce the model's features: ${skipped
+          .map(({ name, reason }) => `${name} (${reason})`)
+          .join(', ')}.`
+      );
+    }
+  }
+
+  // `options.preprocessing` applies the scalers and lead-lag pairs of an earlier fold instead of refitting them.
+  async prepareFold(fold, options = {}) {
+    const anchorIndices = this.#prepareAnchors();
+    const split = {
+      train: anchorIndices.slice(fold.trainStart, fold.trainEnd),
+      test: anchorIndices.slice(fold.testStart, fold.testEnd),
+    };
+
+    if (split.train.length === 0 || split.test.length === 0) {
+      throw new Error(`Walk-forward fold ${fold.index + 1} has no training or test samples.`);
+    }
+
+    return this.#createDataset(split, options.preprocessing ?? null);
+  }
+
+  #prepareAnchors() {
     if (this.symbols.length === 0 || this.dates.length === 0) {
       throw new Error('Load a CSV file before preparing the dataset.');
     }
 
-    this.#normalize();
-    const { inputs, labels, anchorIndices } = this.#buildSamples();
+    const warmup = this.#warmup();
+    const anchorIndices = [];
+    for (let idx = warmup + this.sequenceLength - 1; idx < this.dates.length - this.horizon; idx += 1) {
+      anchorIndices.push(idx);
+    }
 
-    if (inputs.length === 0) {
+    if (anchorIndices.length === 0) {
       throw new Error('Not enough data to create training samples.');
     }
 
-    const split = this.#splitSamples(inputs, labels, anchorIndices);
-    const featureSize = this.sequenceLength * this.symbols.length * this.featureCountPerStock;
-    const labelSize = this.symbols.length * this.horizon;
+    return anchorIndices;
+  }
 
-    const tf = await getTF();
+  #warmup() {
+    const crossWarmup = this.crossFeatures.enabled ? this.crossFeatures.window + this.crossFeatures.maxLag : 0;
+    return Math.max(this.resolveFeatures().warmup, crossWarmup);
+  }
 
-    const X_train = tf.tensor3d(
-      this.#flatten(split.train.inputs, featureSize),
-      [split.train.inputs.length, this.sequenceLength, this.symbols.length * this.featureCountPerStock]
-    );
-    const y_train = tf.tensor2d(
-      this.#flatten(split.train.labels, labelSize),
-      [split.train.labels.length, labelSize]
-    );
-    const X_test = tf.tensor3d(
-      this.#flatten(split.test.inputs, featureSize),
-      [split.test.inputs.length, this.sequenceLength, this.symbols.length * this.featureCountPerStock]
-    );
-    const y_test = tf.tensor2d(
-      this.#flatten(split.test.labels, labelSize),
-      [split.test.labels.length, labelSize]
+  // Builds the input window ending on the latest loaded date, which has no label yet.
+  // `calendar` ({ calendar, holidays }, see market-calendar.js) decides which days the forecast dates fall on.
+  async prepareForecast(preprocessing, calendar = {}) {
+    if (!preprocessing) {
+      throw new Error('Forecasting requires a trained or loaded model.');
+    }
+    if (this.symbols.length === 0 || this.dates.length === 0) {
+      throw new Error('Load a CSV file before forecasting.');
+    }
+
+    this.#applyPreprocessing(preprocessing);
+    const anchor = this.dates.length - 1;
+    const firstStep = anchor - this.sequenceLength + 1;
+    if (firstStep < this.#warmup()) {
+      throw new Error(`Forecasting needs at least ${this.#warmup() + this.sequenceLength} common dates.`);
+    }
+
+    const features = this.resolveFeatures();
+    this.#normalize(features, firstStep, anchor, preprocessing.scaling);
+    const crossSectional = this.#crossSectional(firstStep, anchor, preprocessing.crossFeatures.pairs);
+    this.normalizedSharedColumns.push(...crossSectional.columns.map(({ values }) => values));
+
+    const featureCount = this.symbols.length * this.featureCountPerStock + this.normalizedSharedColumns.length;
+    if (featureCount !== preprocessing.featureCount) {
+      throw new Error(`Expected ${preprocessing.featureCount} features per timestep but built ${featureCount}.`);
+    }
+
+    const tf = await this.#getTF();
+    const input = tf.tensor3d(this.#buildInput(anchor), [1, this.sequenceLength, featureCount]);
+    const anchorDate = this.dates[anchor];
+
+    return {
+      input,
+      anchorDate,
+      windowDates: this.dates.slice(firstStep, anchor + 1),
+      forecastDates: nextTradingDates(anchorDate, this.horizon, calendar),
+      calendar: calendar.calendar ?? 'nyse',
+      lastCloses: this.symbols.map((symbol) => this.rawDataBySymbol.get(symbol).get(anchorDate).close),
+      stockSymbols: [...this.symbols],
+      horizon: this.horizon,
+      targetMode: this.targetMode,
+      classLabels: this.targetMode === 'multiclass' ? [...CLASS_LABELS] : null,
+      dispose: () => input.dispose(),
+    };
+  }
+
+  closesFor(dates, symbols = this.symbols) {
+    return dates.map((date) =>
+      symbols.map((symbol) => {
+        const record = this.rawDataBySymbol.get(symbol)?.get(date);
+        if (!record) {
+          throw new Error(`No close price for ${symbol} on ${date}.`);
+        }
+        return record.close;
+      })
     );
+  }
+
+  // With `preprocessing`, scalers and lead-lag pairs come from a saved model instead of being refitted.
+  async #createDataset(split, preprocessing = null) {
+    // Scaling statistics only see the dates covered by training input windows.
+    const fitStart = split.train[0] - this.sequenceLength + 1;
+    const fitEnd = split.train[split.train.length - 1];
+    const features = this.resolveFeatures();
+    const scaling = preprocessing
+      ? this.#normalize(features, fitStart, fitEnd, preprocessing.scaling)
+      : this.#normalize(features, fitStart, fitEnd);
+    const crossSectional = this.#crossSectional(fitStart, fitEnd, preprocessing?.crossFeatures.pairs);
+    this.normalizedSharedColumns.push(...crossSectional.columns.map(({ values }) => values));
+
+    const train = this.#buildSamples(split.train);
+    const test = this.#buildSamples(split.test);
+    const featureCount = this.symbols.length * this.featureCountPerStock + this.normalizedSharedColumns.length;
+    const featureSize = this.sequenceLength * featureCount;
+    const labelSize = this.symbols.length * this.horizon;
+
+    const tf = await this.#getTF();
+
+    const X_train = tf.tensor3d(this.#flatten(train.inputs, featureSize), [
+      train.inputs.length,
+      this.sequenceLength,
+      featureCount,
+    ]);
+    const y_train = this.#labelTensor(tf, train.labels, labelSize);
+    const X_test = tf.tensor3d(this.#flatten(test.inputs, featureSize), [
+      test.inputs.length,
+      this.sequenceLength,
+      featureCount,
+    ]);
+    const y_test = this.#labelTensor(tf, test.labels, labelSize);
+    const datasetFeatures = [...features.stock, ...features.calendar].map(({ name, options }) => ({ name, options }));
+    const featureNames = [
+      ...this.symbols.flatMap((symbol) => features.stockColumns.map((column) => `${symbol}:${column}`)),
+      ...features.calendarColumns,
+      ...crossSectional.columns.map(({ name }) => name),
+    ];
 
     return {
       X_train,
@@ -160,10 +545,45 @@ export class DataLoader {
       stockSymbols: [...this.symbols],
       sequenceLength: this.sequenceLength,
       horizon: this.horizon,
-      featureCount: this.symbols.length * this.featureCountPerStock,
-      trainDates: split.train.dates,
-      testDates: split.test.dates,
-      testAnchorIndices: split.test.anchorIndices,
+      featureCount,
+      featuresPerStock: this.featureCountPerStock,
+      features: datasetFeatures,
+      featureNames,
+      scaling,
+      correlation: crossSectional.correlation,
+      targetMode: this.targetMode,
+      deadBand: this.deadBand,
+      classLabels: this.targetMode === 'multiclass' ? [...CLASS_LABELS] : null,
+      returnScale: this.targetMode === 'regression' ? RETURN_SCALE : null,
+      preprocessing: {
+        version: PREPROCESSING_VERSION,
+        symbols: [...this.symbols],
+        sequenceLength: this.sequenceLength,
+        horizon: this.horizon,
+        features: datasetFeatures,
+        featureNames,
+        featureCount,
+        scaling,
+        crossFeatures: {
+          enabled: this.crossFeatures.enabled,
+          window: this.crossFeatures.window,
+          maxLag: this.crossFeatures.maxLag,
+          pairs: crossSectional.correlation.pairs.map(({ leaderSymbol, followerSymbol, lag, corr }) => ({
+            leaderSymbol,
+            followerSymbol,
+            lag,
+            corr,
+          })),
+        },
+        targetMode: this.targetMode,
+        deadBand: this.deadBand,
+        alignment: this.alignment,
+      },
+      trainDates: split.train.map((i) => this.dates[i]),
+      testDates: split.test.map((i) => this.dates[i]),
+      trainAnchorIndices: split.train,
+      testAnchorIndices: split.test,
+      testTrailingLabels: test.trailingLabels,
       allDates: [...this.dates],
       dispose: () => {
         X_train.dispose();
@@ -174,150 +594,158 @@ export class DataLoader {
     };
   }
 
-  #parseCSV(text) {
-    this.symbols = [];
-    this.dates = [];
-    this.rawDataBySymbol.clear();
-    this.normalizedDataBySymbol.clear();
-
-    const lines = text
-      .split(/\r?\n/)
-      .map((line) => line.trim())
-      .filter((line) => line.length > 0);
-
-    if (lines.length <= 1) {
-      throw new Error('The CSV file must include a header row and at least one record.');
-    }
-
-    const headers = lines[0].split(',').map((h) => h.trim());
-    const headerIndex = (name) => headers.indexOf(name);
-    const idxDate = headerIndex('Date');
-    const idxSymbol = headerIndex('Symbol');
-    const idxOpen = headerIndex('Open');
-    const idxClose = headerIndex('Close');
-
-    if ([idxDate, idxSymbol, idxOpen, idxClose].some((idx) => idx === -1)) {
-      throw new Error('CSV file must contain Date, Symbol, Open, and Close columns.');
+  #ingest(records, { append = false } = {}) {
+    if (!append) {
+      this.sourceDataBySymbol = records;
+    } else {
+      records.forEach((points, symbol) => {
+        if (!this.sourceDataBySymbol.has(symbol)) {
+          this.sourceDataBySymbol.set(symbol, new Map());
+        }
+        const existing = this.sourceDataBySymbol.get(symbol);
+        points.forEach((point, date) => existing.set(date, point));
+      });
     }
 
-    const tempDateSets = new Map();
-
-    for (let i = 1; i < lines.length; i += 1) {
-      const row = lines[i].split(',');
-      if (row.length !== headers.length) {
-        continue;
-      }
-
-      const date = row[idxDate].trim();
-      const symbol = row[idxSymbol].trim();
-      const open = parseFloat(row[idxOpen]);
-      const close = parseFloat(row[idxClose]);
-
-      if (!date || !symbol || Number.isNaN(open) || Number.isNaN(close)) {
-        continue;
-      }
-
-      if (!this.rawDataBySymbol.has(symbol)) {
-        this.rawDataBySymbol.set(symbol, new Map());
-        tempDateSets.set(symbol, new Set());
-      }
-
-      this.rawDataBySymbol.get(symbol).set(date, { open, close });
-      tempDateSets.get(symbol).add(date);
-    }
+    this.#align();
+  }
 
-    this.symbols = Array.from(this.rawDataBySymbol.keys()).sort();
+  // Rebuilds the aligned panel from the source rows under the current alignment policy and refreshes the
+  // quality report. Snapshot loads have no parse report, so that part of the report stays empty.
+  #align() {
+    const aligned = alignRecords(this.sourceDataBySymbol, this.alignment);
+    this.rawDataBySymbol = aligned.bySymbol;
+    this.normalizedDataBySymbol.clear();
 
-    if (this.symbols.length === 0) {
-      throw new Error('No stock symbols were detected in the CSV file.');
-    }
+    this.symbols = [...aligned.symbols];
+    this.loadedSymbols = [...this.symbols];
+    this.dates = aligned.dates;
+    this.qualityReport = assessQuality(this.sourceDataBySymbol, this.parseReport, aligned);
 
-    let commonDates = null;
-    this.symbols.forEach((symbol) => {
-      const dates = Array.from(tempDateSets.get(symbol)).sort();
-      if (commonDates === null) {
-        commonDates = new Set(dates);
-      } else {
-        commonDates = new Set(dates.filter((d) => commonDates.has(d)));
-      }
-    });
-
-    if (!commonDates || commonDates.size === 0) {
-      throw new Error('Stocks do not share a common set of dates.');
-    }
+    this.availableColumns = PRICE_COLUMNS.filter((column) =>
+      this.symbols.every((symbol) =>
+        Array.from(this.rawDataBySymbol.get(symbol).values()).every((point) => Number.isFinite(point[column]))
+      )
+    );
+  }
 
-    this.dates = Array.from(commonDates).sort();
+  #normalize(features, fitStart, fitEnd, fitted = null) {
+    this.normalizedDataBySymbol.clear();
+    this.featureCountPerStock = features.stockColumns.length;
+    const params = {};
 
-    // Remove any rows that are not part of the common date set to keep alignment.
-    this.symbols.forEach((symbol) => {
-      const symbolData = this.rawDataBySymbol.get(symbol);
-      const filtered = new Map();
-      this.dates.forEach((date) => {
-        const point = symbolData.get(date);
-        if (point) {
-          filtered.set(date, point);
+    const scaleColumns = (columns, fittedColumns) =>
+      columns.map(({ name, scaling, values }) => {
+        if (scaling === 'none') {
+          return { name, values, params: null };
+        }
+        let scaler;
+        if (fittedColumns) {
+          const saved = fittedColumns[name];
+          if (!saved) throw new Error(`No saved scaler parameters for feature column "${name}".`);
+          scaler = createScaler(saved.type, saved.options, saved.params);
+        } else {
+          scaler =
+            scaling === 'configured' ? createScaler(this.scaler, this.scalerOptions) : createScaler('zscore');
+          scaler.fit(values.slice(fitStart, fitEnd + 1));
         }
+        return {
+          name,
+          values: scaler.transform(values),
+          params: { type: scaler.constructor.type, options: { ...scaler.options }, params: { ...scaler.params } },
+        };
       });
-      this.rawDataBySymbol.set(symbol, filtered);
-    });
-  }
-
-  #normalize() {
-    this.normalizedDataBySymbol.clear();
 
     this.symbols.forEach((symbol) => {
-      const values = Array.from(this.rawDataBySymbol.get(symbol).values());
-      let minOpen = Infinity;
-      let maxOpen = -Infinity;
-      let minClose = Infinity;
-      let maxClose = -Infinity;
-
-      values.forEach(({ open, close }) => {
-        if (open < minOpen) minOpen = open;
-        if (open > maxOpen) maxOpen = open;
-        if (close < minClose) minClose = close;
-        if (close > maxClose) maxClose = close;
+      const points = this.dates.map((date) => this.rawDataBySymbol.get(symbol).get(date));
+      const series = { dates: this.dates };
+      this.availableColumns.forEach((column) => {
+        series[column] = points.map((point) => point[column]);
       });
 
-      const openRange = maxOpen - minOpen || 1;
-      const closeRange = maxClose - minClose || 1;
-      const normalized = new Map();
+      const columns = scaleColumns(computeFeatureColumns(features.stock, series), fitted?.params[symbol]);
+      params[symbol] = Object.fromEntries(columns.map(({ name, params: columnParams }) => [name, columnParams]));
+      this.normalizedDataBySymbol.set(symbol, columns.map(({ values }) => values));
+    });
 
-      this.dates.forEach((date) => {
-        const point = this.rawDataBySymbol.get(symbol).get(date);
-        const normOpen = (point.open - minOpen) / openRange;
-        const normClose = (point.close - minClose) / closeRange;
-        normalized.set(date, { open: normOpen, close: normClose });
-      });
+    const calendarColumns = scaleColumns(
+      computeFeatureColumns(features.calendar, { dates: this.dates }),
+      fitted?.params.calendar
+    );
+    this.normalizedSharedColumns = calendarColumns.map(({ values }) => values);
+    params.calendar = Object.fromEntries(calendarColumns.map(({ name, params: columnParams }) => [name, columnParams]));
 
-      this.normalizedDataBySymbol.set(symbol, normalized);
+    return {
+      type: this.scaler,
+      options: { ...this.scalerOptions },
+      fitStartDate: fitted ? fitted.fitStartDate : this.dates[fitStart],
+      fitEndDate: fitted ? fitted.fitEndDate : this.dates[fitEnd],
+      params,
+    };
+  }
+
+  // Lead-lag structure is measured on the training window only; the rolling features themselves are causal.
+  #crossSectional(fitStart, fitEnd, savedPairs = null) {
+    const { enabled, window, maxLag, topPairs } = this.crossFeatures;
+    const returns = this.symbols.map((symbol) =>
+      logReturns(this.dates.map((date) => this.rawDataBySymbol.get(symbol).get(date).close))
+    );
+    const { contemporaneous, leadLag } = crossCorrelationMatrix(returns, {
+      maxLag,
+      start: Math.max(1, fitStart),
+      end: fitEnd,
     });
+    const pairs = savedPairs
+      ? savedPairs.map((pair) => ({
+          ...pair,
+          leader: this.symbols.indexOf(pair.leaderSymbol),
+          follower: this.symbols.indexOf(pair.followerSymbol),
+        }))
+      : selectLeadLagPairs(leadLag, topPairs).map((pair) => ({
+          ...pair,
+          leaderSymbol: this.symbols[pair.leader],
+          followerSymbol: this.symbols[pair.follower],
+        }));
+
+    // Correlations need at least two symbols; with one every value would be NaN.
+    const columns =
+      enabled && this.symbols.length > 1
+        ? [
+            { name: 'xcorr:mean', values: meanPairwiseCorrelation(returns, window) },
+            ...pairs.map((pair) => ({
+              name: `xcorr:${pair.leaderSymbol}→${pair.followerSymbol}@${pair.lag}`,
+              values: rollingCorrelation(returns[pair.leader], returns[pair.follower], window, pair.lag),
+            })),
+          ]
+        : [];
+
+    return {
+      columns,
+      correlation: {
+        symbols: [...this.symbols],
+        maxLag,
+        window,
+        fitStartDate: this.dates[fitStart],
+        fitEndDate: this.dates[fitEnd],
+        contemporaneous,
+        leadLag,
+        pairs,
+      },
+    };
   }
 
-  #buildSamples() {
-    const seqLen = this.sequenceLength;
+  #buildSamples(anchorIndices) {
     const horizon = this.horizon;
     const stockCount = this.symbols.length;
-    const featuresPerTimestep = stockCount * this.featureCountPerStock;
     const inputs = [];
     const labels = [];
-    const anchorIndices = [];
+    const trailingLabels = [];
 
-    for (let idx = seqLen - 1; idx < this.dates.length - horizon; idx += 1) {
-      const featureVector = new Float32Array(seqLen * featuresPerTimestep);
+    anchorIndices.forEach((idx) => {
+      const featureVector = this.#buildInput(idx);
       const labelVector = new Float32Array(stockCount * horizon);
-      let featureOffset = 0;
-
-      for (let step = idx - seqLen + 1; step <= idx; step += 1) {
-        const stepDate = this.dates[step];
-        for (let s = 0; s < stockCount; s += 1) {
-          const symbol = this.symbols[s];
-          const normPoint = this.normalizedDataBySymbol.get(symbol).get(stepDate);
-          featureVector[featureOffset] = normPoint.open;
-          featureVector[featureOffset + 1] = normPoint.close;
-          featureOffset += this.featureCountPerStock;
-        }
-      }
+      // Label of the move that ended at the anchor over the same horizon, for the persistence baseline.
+      const trailingVector = new Array(stockCount * horizon).fill(null);
 
       let labelOffset = 0;
       const baseDate = this.dates[idx];
@@ -327,21 +755,72 @@ export class DataLoader {
         for (let h = 1; h <= horizon; h += 1) {
           const futureDate = this.dates[idx + h];
           const futureClose = this.rawDataBySymbol.get(symbol).get(futureDate).close;
-          labelVector[labelOffset] = futureClose > baseClose ? 1 : 0;
+          labelVector[labelOffset] = this.#label(baseClose, futureClose);
+          if (idx - h >= 0) {
+            const pastClose = this.rawDataBySymbol.get(symbol).get(this.dates[idx - h]).close;
+            trailingVector[labelOffset] = this.#label(pastClose, baseClose);
+          }
           labelOffset += 1;
         }
       }
 
       inputs.push(featureVector);
       labels.push(labelVector);
-      anchorIndices.push(idx);
+      trailingLabels.push(trailingVector);
+    });
+
+    return { inputs, labels, trailingLabels };
+  }
+
+  #buildInput(idx) {
+    const seqLen = this.sequenceLength;
+    const stockCount = this.symbols.length;
+    const featuresPerTimestep = stockCount * this.featureCountPerStock + this.normalizedSharedColumns.length;
+    const featureVector = new Float32Array(seqLen * featuresPerTimestep);
+    let featureOffset = 0;
+
+    for (let step = idx - seqLen + 1; step <= idx; step += 1) {
+      for (let s = 0; s < stockCount; s += 1) {
+        const columns = this.normalizedDataBySymbol.get(this.symbols[s]);
+        for (let c = 0; c < columns.length; c += 1) {
+          featureVector[featureOffset] = columns[c][step];
+          featureOffset += 1;
+        }
+      }
+      for (let c = 0; c < this.normalizedSharedColumns.length; c += 1) {
+        featureVector[featureOffset] = this.normalizedSharedColumns[c][step];
+        featureOffset += 1;
+      }
     }
 
-    return { inputs, labels, anchorIndices };
+    return featureVector;
   }
 
-  #splitSamples(inputs, labels, anchorIndices) {
-    const total = inputs.length;
+  #label(baseClose, futureClose) {
+    const change = futureClose / baseClose - 1;
+    if (this.targetMode === 'regression') {
+      return change * RETURN_SCALE;
+    }
+    if (this.targetMode === 'multiclass') {
+      if (change > this.deadBand) return 2;
+      if (change < -this.deadBand) return 0;
+      return 1;
+    }
+    return futureClose > baseClose ? 1 : 0;
+  }
+
+  #labelTensor(tf, labels, labelSize) {
+    const flat = this.#flatten(labels, labelSize);
+    if (this.targetMode !== 'multiclass') {
+      return tf.tensor2d(flat, [labels.length, labelSize]);
+    }
+    return tf.tidy(() =>
+      tf.oneHot(tf.tensor2d(flat, [labels.length, labelSize], 'int32'), CLASS_LABELS.length).toFloat()
+    );
+  }
+
+  #splitAnchors(anchorIndices) {
+    const total = anchorIndices.length;
     const trainCount = Math.min(total - 1, Math.max(1, Math.floor(total * this.splitRatio)));
     const testCount = total - trainCount;
 
@@ -349,22 +828,10 @@ export class DataLoader {
       throw new Error('Dataset split produced no test samples. Adjust the split ratio or provide more data.');
     }
 
-    const split = {
-      train: {
-        inputs: inputs.slice(0, trainCount),
-        labels: labels.slice(0, trainCount),
-        dates: anchorIndices.slice(0, trainCount).map((i) => this.dates[i]),
-        anchorIndices: anchorIndices.slice(0, trainCount),
-      },
-      test: {
-        inputs: inputs.slice(trainCount),
-        labels: labels.slice(trainCount),
-        dates: anchorIndices.slice(trainCount).map((i) => this.dates[i]),
-        anchorIndices: anchorIndices.slice(trainCount),
-      },
+    return {
+      train: anchorIndices.slice(0, trainCount),
+      test: anchorIndices.slice(trainCount),
     };
-
-    return split;
   }
 
   #flatten(samples, sampleSize) {
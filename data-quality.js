@@ -0,0 +1,230 @@
+export const ALIGNMENT_POLICIES = {
+  intersect: 'Intersect dates',
+  forwardFill: 'Forward-fill gaps (filled days count as flat)',
+  interpolate: 'Interpolate gaps (uses the next close)',
+  dropSymbol: 'Drop gappy symbols',
+};
+
+// Under 'dropSymbol', a symbol missing more than this share of the union of dates is removed before intersecting.
+const DROP_SYMBOL_MAX_MISSING = 0.02;
+// Robust z-score (median / MAD) of a daily log return above which the move is reported as an outlier.
+const OUTLIER_Z = 6;
+const SPLIT_RATIOS = [2, 3, 4, 5, 8, 10, 15, 20];
+const SPLIT_TOLERANCE = 0.03;
+
+const sortedDates = (points) => Array.from(points.keys()).sort();
+
+function intersectDates(records, symbols) {
+  let common = null;
+  symbols.forEach((symbol) => {
+    const dates = sortedDates(records.get(symbol));
+    common = common === null ? new Set(dates) : new Set(dates.filter((date) => common.has(date)));
+  });
+  return Array.from(common ?? []).sort();
+}
+
+// A gap filled with the previous close; volume is zero because nothing traded.
+const carryForward = (previous) =>
+  Object.fromEntries(Object.keys(previous).map((key) => [key, key === 'volume' ? 0 : previous.close]));
+
+const interpolatePoint = (before, after, t) =>
+  Object.fromEntries(Object.keys(before).map((key) => [key, before[key] + (after[key] - before[key]) * t]));
+
+// records: Map<symbol, Map<date, point>>. Filling policies keep the union of dates between the latest first
+// date and the earliest last date, so no symbol is extrapolated past its own history. Interpolation is linear
+// in trading-day steps of that union. It fills a gap from the next observed close, so the inputs on filled days
+// see a price from later on; forward-filling is the option that never looks ahead. A forward-filled day repeats
+// the previous close, so its return is 0% and, in binary mode, a label ending on it reads as down/flat. On thinly
+// traded symbols with many gaps that tilts the labels towards 0; intersect avoids filled days altogether.
+export function alignRecords(records, policy = 'intersect') {
+  if (!ALIGNMENT_POLICIES[policy]) {
+    throw new Error(`Unknown alignment policy "${policy}".`);
+  }
+
+  let symbols = Array.from(records.keys()).sort();
+  const union = Array.from(new Set(symbols.flatMap((symbol) => Array.from(records.get(symbol).keys())))).sort();
+  const droppedSymbols = [];
+  const filled = Object.fromEntries(symbols.map((symbol) => [symbol, 0]));
+  let dates;
+  let bySymbol;
+
+  if (policy === 'intersect' || policy === 'dropSymbol') {
+    if (policy === 'dropSymbol') {
+      const missing = symbols.map((symbol) => ({ symbol, missing: union.length - records.get(symbol).size }));
+      const kept = missing.filter(({ missing: count }) => count <= DROP_SYMBOL_MAX_MISSING * union.length);
+      // Keep at least the best-covered symbol so the panel is never empty.
+      const survivors =
+        kept.length > 0 ? kept : [missing.reduce((best, entry) => (entry.missing < best.missing ? entry : best))];
+      droppedSymbols.push(...missing.filter((entry) => !survivors.includes(entry)));
+      symbols = survivors.map(({ symbol }) => symbol);
+    }
+    dates = intersectDates(records, symbols);
+    bySymbol = new Map(
+      symbols.map((symbol) => {
+        const points = records.get(symbol);
+        return [symbol, new Map(dates.map((date) => [date, points.get(date)]))];
+      })
+    );
+  } else {
+    const firsts = symbols.map((symbol) => sortedDates(records.get(symbol))[0]);
+    const lasts = symbols.map((symbol) => sortedDates(records.get(symbol)).at(-1));
+    const start = firsts.reduce((latest, date) => (date > latest ? date : latest));
+    const end = lasts.reduce((earliest, date) => (date < earliest ? date : earliest));
+    dates = union.filter((date) => date >= start && date <= end);
+    const unionIndex = new Map(union.map((date, index) => [date, index]));
+
+    bySymbol = new Map(
+      symbols.map((symbol) => {
+        const points = records.get(symbol);
+        const observed = sortedDates(points);
+        const aligned = new Map();
+        let cursor = 0;
+        dates.forEach((date) => {
+          while (cursor + 1 < observed.length && observed[cursor + 1] <= date) cursor += 1;
+          if (points.has(date)) {
+            aligned.set(date, points.get(date));
+            return;
+          }
+          const before = observed[cursor];
+          const after = observed[cursor + 1];
+          filled[symbol] += 1;
+          if (policy === 'interpolate' && after !== undefined) {
+            const t =
+              (unionIndex.get(date) - unionIndex.get(before)) / (unionIndex.get(after) - unionIndex.get(before));
+            aligned.set(date, interpolatePoint(points.get(before), points.get(after), t));
+          } else {
+            aligned.set(date, carryForward(points.get(before)));
+          }
+        });
+        return [symbol, aligned];
+      })
+    );
+  }
+
+  if (dates.length === 0) {
+    throw new Error('Stocks do not share a common set of dates.');
+  }
+
+  return {
+    policy,
+    symbols,
+    dates,
+    bySymbol,
+    droppedSymbols,
+    filled: Object.fromEntries(symbols.map((symbol) => [symbol, filled[symbol]])),
+    unionDates: union.length,
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function splitLabel(ratio) {
+  for (const factor of SPLIT_RATIOS) {
+    if (Math.abs(ratio / factor - 1) < SPLIT_TOLERANCE) return `${factor}:1`;
+    if (Math.abs(ratio * factor - 1) < SPLIT_TOLERANCE) return `1:${factor}`;
+  }
+  return null;
+}
+
+// Close-to-close moves of one symbol, on its own dates: suspected splits (the previous close is close to an
+// integer multiple or fraction of the new one) and return outliers among the remaining moves.
+function scanPrices(symbol, points) {
+  const dates = sortedDates(points);
+  const moves = [];
+  const outliers = [];
+  const splits = [];
+  dates.forEach((date, index) => {
+    const { close } = points.get(date);
+    if (!(close > 0)) {
+      outliers.push({ symbol, date, change: NaN, reason: `non-positive close ${close}` });
+      return;
+    }
+    if (index === 0) return;
+    const previous = points.get(dates[index - 1]).close;
+    if (!(previous > 0)) return;
+    const label = splitLabel(previous / close);
+    const change = close / previous - 1;
+    if (label) {
+      splits.push({ symbol, date, previousDate: dates[index - 1], ratio: label, change });
+    } else {
+      moves.push({ date, change, logReturn: Math.log(close / previous) });
+    }
+  });
+
+  if (moves.length >= 10) {
+    const center = median(moves.map(({ logReturn }) => logReturn));
+    const mad = median(moves.map(({ logReturn }) => Math.abs(logReturn - center)));
+    if (mad > 0) {
+      moves.forEach(({ date, change, logReturn }) => {
+        const z = (0.6745 * (logReturn - center)) / mad;
+        if (Math.abs(z) > OUTLIER_Z) {
+          outliers.push({ symbol, date, change, reason: `robust z-score ${z.toFixed(1)}` });
+        }
+      });
+    }
+  }
+  return { outliers, splits };
+}
+
+// parseReport is the parser's { rowCount, skipped, duplicates } (null for data restored from a snapshot);
+// alignment is the result of alignRecords on the same records.
+export function assessQuality(records, parseReport, alignment) {
+  const union = Array.from(new Set(Array.from(records.values()).flatMap((points) => Array.from(points.keys())))).sort();
+  const outliers = [];
+  const splits = [];
+
+  const coverage = Array.from(records.keys())
+    .sort()
+    .map((symbol) => {
+      const points = records.get(symbol);
+      const dates = sortedDates(points);
+      const inRange = union.filter((date) => date >= dates[0] && date <= dates[dates.length - 1]);
+      let missing = 0;
+      let run = 0;
+      let longestGap = 0;
+      inRange.forEach((date) => {
+        if (points.has(date)) {
+          run = 0;
+        } else {
+          missing += 1;
+          run += 1;
+          longestGap = Math.max(longestGap, run);
+        }
+      });
+
+      const scan = scanPrices(symbol, points);
+      outliers.push(...scan.outliers);
+      splits.push(...scan.splits);
+      return {
+        symbol,
+        firstDate: dates[0],
+        lastDate: dates[dates.length - 1],
+        observed: dates.length,
+        missing,
+        longestGap,
+        coverage: dates.length / union.length,
+        filled: alignment.filled[symbol] ?? 0,
+        dropped: alignment.droppedSymbols.some((entry) => entry.symbol === symbol),
+      };
+    });
+
+  return {
+    rowCount: parseReport?.rowCount ?? null,
+    skipped: parseReport?.skipped ?? [],
+    duplicates: parseReport?.duplicates ?? [],
+    coverage,
+    outliers,
+    splits,
+    alignment: {
+      policy: alignment.policy,
+      unionDates: alignment.unionDates,
+      alignedDates: alignment.dates.length,
+      droppedSymbols: alignment.droppedSymbols,
+      filledPoints: Object.values(alignment.filled).reduce((sum, count) => sum + count, 0),
+    },
+  };
+}
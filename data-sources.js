@@ -0,0 +1,306 @@
+import { detectDelimiter, inferMapping, parseDelimited, parseRecords } from './csv-parser.js';
+import { isParquet, readParquet } from './parquet.js';
+
+// A data source is any object with a `name` and an async `read()` resolving to { records, mapping, report }:
+// per-symbol Maps of points keyed by ISO date (the structure parseRecords produces), the column mapping that was
+// used, and a parse report. DataLoader.loadSources accepts anything with that shape, so another feed only has to
+// produce the same records. Content is text, except for Parquet, which is read from its bytes (a Uint8Array).
+
+export const SOURCE_FORMATS = { csv: 'Delimited text', json: 'JSON', parquet: 'Parquet' };
+
+const PARQUET_NAME = /\.parquet$/i;
+
+export function detectFormat(name = '', content = '') {
+  if (/\.json$/i.test(name)) return 'json';
+  if (/\.(csv|tsv|txt)$/i.test(name)) return 'csv';
+  if (PARQUET_NAME.test(name) || (content instanceof Uint8Array && isParquet(content))) return 'parquet';
+  return /^\s*[[{]/.test(content) ? 'json' : 'csv';
+}
+
+// Whether a source should be read as bytes rather than text.
+export const isParquetName = (name = '') => PARQUET_NAME.test(name);
+
+// "AAPL.csv", "aapl_daily.csv" and "BRK-B (1).csv" name the ticker of a one-file-per-ticker upload.
+export function symbolFromName(name = '') {
+  const base = name
+    .split(/[\\/]/)
+    .pop()
+    .replace(/\.[^.]*$/, '');
+  const match = /^[A-Za-z0-9^][A-Za-z0-9.^=-]*/.exec(base);
+  return match ? match[0].toUpperCase() : null;
+}
+
+const cell = (value) => (value === null || value === undefined ? '' : String(value));
+
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function recordsToRows(records) {
+  const headers = [];
+  records.forEach((record) => {
+    Object.keys(record).forEach((key) => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+  return [
+    { line: 0, fields: headers },
+    ...records.map((record, index) => ({ line: index + 1, fields: headers.map((key) => cell(record[key])) })),
+  ];
+}
+
+// Converts parsed JSON into header-first rows for the CSV mapper. Row `line` is the 1-based record index.
+// Accepted shapes:
+//   [{ date, symbol, close, ... }, ...]            records
+//   [["date", "close"], ["2024-01-02", 1.5], ...]   rows with a header row
+//   { AAPL: [{ date, close, ... }], MSFT: [...] }    records grouped by ticker
+//   { records: [...] } or { data: [...] }            either of the above, wrapped
+//   { date: [...], symbol: [...], close: [...] }     column arrays of equal length
+export function jsonToRows(value) {
+  if (Array.isArray(value)) {
+    if (value.length > 0 && value.every(Array.isArray)) {
+      return value.map((fields, index) => ({ line: index + 1, fields: fields.map(cell) }));
+    }
+    if (value.every(isRecord)) return recordsToRows(value);
+    throw new Error('JSON arrays must hold either records or rows with a header row.');
+  }
+  if (!isRecord(value)) {
+    throw new Error('JSON data must be an array or an object.');
+  }
+
+  const wrapped = value.records ?? value.data;
+  if (Array.isArray(wrapped)) return jsonToRows(wrapped);
+
+  const entries = Object.entries(value);
+  if (entries.length > 0 && entries.every(([, items]) => Array.isArray(items) && items.every(isRecord))) {
+    return recordsToRows(entries.flatMap(([symbol, items]) => items.map((item) => ({ symbol, ...item }))));
+  }
+  if (entries.length > 0 && entries.every(([, items]) => Array.isArray(items) && !items.some(isRecord))) {
+    const length = entries[0][1].length;
+    if (entries.some(([, items]) => items.length !== length)) {
+      throw new Error('JSON column arrays must all have the same length.');
+    }
+    return [
+      { line: 0, fields: entries.map(([key]) => key) },
+      ...Array.from({ length }, (_, index) => ({
+        line: index + 1,
+        fields: entries.map(([, items]) => cell(items[index])),
+      })),
+    ];
+  }
+  throw new Error('Unrecognized JSON layout; expected records, rows, records per ticker or column arrays.');
+}
+
+function readRows(content, format, delimiter) {
+  if (format === 'parquet') {
+    if (!(content instanceof Uint8Array)) {
+      throw new Error('Parquet data has to be read as bytes, not text.');
+    }
+    return { rows: jsonToRows(readParquet(content)), delimiter: ',' };
+  }
+  if (format === 'json') {
+    let value;
+    try {
+      value = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    return { rows: jsonToRows(value), delimiter: ',' };
+  }
+  const resolved = delimiter ?? detectDelimiter(content);
+  return { rows: parseDelimited(content, resolved), delimiter: resolved };
+}
+
+// Layout detection for one payload. A file without a symbol column is taken to hold the ticker in its name.
+export function inspectText(content, { name = '', format = detectFormat(name, content), ...overrides } = {}) {
+  const { rows, delimiter } = readRows(content, format, format === 'csv' ? overrides.delimiter : ',');
+  const inspection = inferMapping(rows, {
+    ...overrides,
+    delimiter,
+    symbol: overrides.symbol ?? symbolFromName(name) ?? undefined,
+  });
+  return {
+    ...inspection,
+    mapping: { ...inspection.mapping, format },
+    complete: inspection.problems.length === 0,
+  };
+}
+
+// `mapping` is used as given. Otherwise the layout is detected, and when detection fails `fallbackMapping`
+// (e.g. the mapping of the base file) is used with the ticker taken from this source's name.
+export function parseText(content, { name = '', format, mapping = null, fallbackMapping = null } = {}) {
+  let resolved = mapping;
+  if (!resolved) {
+    const inspection = inspectText(content, { name, format });
+    if (inspection.complete) {
+      resolved = inspection.mapping;
+    } else if (fallbackMapping) {
+      resolved = { ...fallbackMapping, symbol: symbolFromName(name) ?? fallbackMapping.symbol };
+    } else {
+      throw new Error(`Could not detect the layout of ${name || 'the data'}. ${inspection.problems.join(' ')}`);
+    }
+  }
+
+  const resolvedFormat = resolved.format ?? format ?? detectFormat(name, content);
+  const { rows } = readRows(content, resolvedFormat, resolved.delimiter);
+  const { records, skipped, duplicates, rowCount } = parseRecords(rows, resolved);
+  return {
+    records,
+    mapping: { ...resolved, format: resolvedFormat },
+    report: {
+      source: name,
+      format: resolvedFormat,
+      layout: resolved.layout,
+      delimiter: resolved.delimiter,
+      dateFormat: resolved.dateFormat,
+      columns: { ...resolved.columns },
+      rowCount,
+      skipped,
+      duplicates,
+    },
+  };
+}
+
+// Combines what several sources read into one panel. A (symbol, date) present in more than one source keeps the
+// later source's point and is reported as a duplicate, like a repeated row within one file. Parts may themselves
+// be merged results; their per-source reports are flattened.
+export function mergeSources(parts) {
+  const records = new Map();
+  const skipped = [];
+  const duplicates = [];
+  parts.forEach(({ records: partRecords, report }) => {
+    skipped.push(...report.skipped.map((entry) => ({ source: report.source, ...entry })));
+    duplicates.push(...report.duplicates.map((entry) => ({ source: report.source, ...entry })));
+    partRecords.forEach((points, symbol) => {
+      if (!records.has(symbol)) records.set(symbol, new Map());
+      const merged = records.get(symbol);
+      points.forEach((point, date) => {
+        if (merged.has(date)) duplicates.push({ source: report.source, line: null, symbol, date });
+        merged.set(date, point);
+      });
+    });
+  });
+
+  return {
+    records,
+    mapping: parts[0]?.mapping ?? null,
+    report: {
+      sources: parts.flatMap(({ report }) => report.sources ?? [report]),
+      rowCount: parts.reduce((sum, { report }) => sum + report.rowCount, 0),
+      skipped,
+      duplicates,
+    },
+  };
+}
+
+export class FileSource {
+  #file;
+  #options;
+
+  constructor(file, options = {}) {
+    if (!(file instanceof File)) {
+      throw new Error('A valid File object is required.');
+    }
+    this.#file = file;
+    this.#options = options;
+    this.name = file.name;
+  }
+
+  async #content() {
+    return isParquetName(this.name) ? new Uint8Array(await this.#file.arrayBuffer()) : this.#file.text();
+  }
+
+  async inspect(overrides = {}) {
+    return inspectText(await this.#content(), { name: this.name, ...overrides });
+  }
+
+  async read() {
+    return parseText(await this.#content(), { name: this.name, ...this.#options });
+  }
+}
+
+// Text (or Parquet bytes) already in memory, e.g. a file read from disk by the Node CLI.
+export class TextSource {
+  #text;
+  #options;
+
+  constructor(name, text, options = {}) {
+    this.#text = text;
+    this.#options = options;
+    this.name = name;
+  }
+
+  async inspect(overrides = {}) {
+    return inspectText(this.#text, { name: this.name, ...overrides });
+  }
+
+  async read() {
+    return parseText(this.#text, { name: this.name, ...this.#options });
+  }
+}
+
+// Reads quotes over HTTP, e.g. from a local quotes server. A "{symbol}" placeholder in the URL is requested once
+// per ticker in `symbols`, and each response without a symbol column then holds that ticker. Without the
+// placeholder at most one symbol may be given, naming the ticker of a response that has no symbol column; the URL
+// itself never names a ticker. JSON and Parquet are recognized by content type or extension.
+export class HttpSource {
+  #url;
+  #symbols;
+  #fetch;
+  #init;
+  #mapping;
+
+  constructor(url, { symbols = [], fetch = globalThis.fetch, init = {}, mapping = null } = {}) {
+    if (!url) {
+      throw new Error('A source URL is required.');
+    }
+    if (typeof fetch !== 'function') {
+      throw new Error('No fetch implementation is available for HTTP sources.');
+    }
+    this.#url = url;
+    this.#symbols = symbols.map((symbol) => symbol.trim().toUpperCase()).filter(Boolean);
+    this.#fetch = fetch;
+    this.#init = init;
+    this.#mapping = mapping;
+    this.name = url;
+  }
+
+  #requests() {
+    if (this.#url.includes('{symbol}')) {
+      if (this.#symbols.length === 0) {
+        throw new Error('The URL has a {symbol} placeholder; list the symbols to request.');
+      }
+      return this.#symbols.map((symbol) => ({
+        symbol,
+        url: this.#url.replaceAll('{symbol}', encodeURIComponent(symbol)),
+      }));
+    }
+    if (this.#symbols.length > 1) {
+      throw new Error(
+        `${this.#symbols.length} symbols were given but the URL has no {symbol} placeholder to request them with.`
+      );
+    }
+    return [{ symbol: this.#symbols[0] ?? null, url: this.#url }];
+  }
+
+  async read() {
+    const parts = [];
+    for (const { symbol, url } of this.#requests()) {
+      const response = await this.#fetch(url, this.#init);
+      if (!response.ok) {
+        throw new Error(`${url} responded with ${response.status} ${response.statusText}.`);
+      }
+      const contentType = response.headers?.get('content-type') ?? '';
+      const path = url.split(/[?#]/)[0];
+      const content =
+        /parquet/i.test(contentType) || isParquetName(path)
+          ? new Uint8Array(await response.arrayBuffer())
+          : await response.text();
+      const format = /json/i.test(contentType) ? 'json' : detectFormat(path, content);
+      const mapping = this.#mapping ?? inspectText(content, { format, symbol: symbol ?? undefined });
+      if (!this.#mapping && !mapping.complete) {
+        throw new Error(`Could not detect the layout of ${url}. ${mapping.problems.join(' ')}`);
+      }
+      parts.push(parseText(content, { name: url, format, mapping: this.#mapping ?? mapping.mapping }));
+    }
+    return mergeSources(parts);
+  }
+}
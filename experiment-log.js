@@ -0,0 +1,168 @@
+import { METRIC_KEYS } from './metrics.js';
+
+// Experiment log: one record per training run with the data it was trained on, the DataLoader options, model config,
+// training schedule and history, and the test metrics once it has been evaluated. Runs are kept in their own
+// IndexedDB database, next to the tf.io model store, and move between machines as JSON files.
+
+const DB_NAME = 'stock-gru-experiments';
+const STORE = 'runs';
+const EXPORT_FORMAT = 'stock-gru-experiments';
+const EXPORT_VERSION = 1;
+
+export const RUN_METRICS = {
+  accuracy: 'Accuracy',
+  precision: 'Precision',
+  recall: 'Recall',
+  f1: 'F1',
+  mcc: 'MCC',
+  brier: 'Brier',
+  logLoss: 'Log loss',
+  rocAuc: 'ROC-AUC',
+};
+
+// SHA-256 of the loaded rows (DataLoader.exportSnapshot().records) in symbol and date order, so the same quotes
+// hash the same whichever files, formats or appends they came from. Null where SubtleCrypto is unavailable, which
+// browsers limit to secure contexts (https, localhost).
+export async function hashRecords(recordsBySymbol) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) return null;
+  const lines = [...recordsBySymbol.keys()].sort().flatMap((symbol) => {
+    const points = recordsBySymbol.get(symbol);
+    return [...points.keys()].sort().map((date) => JSON.stringify([symbol, date, points.get(date)]));
+  });
+  const digest = await subtle.digest('SHA-256', new TextEncoder().encode(lines.join('\n')));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Per-batch history is left out; it can run to tens of thousands of rows and the epochs are what runs are compared on.
+export function createRun({ name = null, data, loaderOptions, modelConfig, trainOptions, summary, history }) {
+  const timestamp = new Date();
+  return {
+    id: `${timestamp.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name || `${modelConfig.architecture} ${modelConfig.targetMode}`,
+    timestamp: timestamp.toISOString(),
+    data,
+    loaderOptions,
+    modelConfig,
+    trainOptions,
+    summary: summary ?? null,
+    history: history ? { metricName: history.metricName, epochs: history.epochs } : null,
+    metrics: null,
+  };
+}
+
+// The parts of one evaluation kept with a run: per-stock metrics as returned by evaluateStockMetrics and the
+// overall model row of evaluatePredictions' summary.
+export function evaluationMetrics({ stockSymbols, stockMetrics, report, calibration = null }) {
+  return {
+    evaluatedAt: new Date().toISOString(),
+    calibration,
+    perStock: stockSymbols.map((symbol, index) => ({ symbol, ...stockMetrics[index] })),
+    overall: report.summary.overall.model,
+  };
+}
+
+function openLog() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available, so runs cannot be recorded.'));
+  }
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Runs `operate(store)` in one transaction and resolves with the result of the last request it returns.
+async function withStore(mode, operate) {
+  const db = await openLog();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = operate(transaction.objectStore(STORE));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error ?? new Error('The experiment log transaction was aborted.'));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export async function listRuns() {
+  const runs = await withStore('readonly', (store) => store.getAll());
+  return runs.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+export async function saveRuns(runs) {
+  await withStore('readwrite', (store) => runs.map((run) => store.put(run)).pop());
+}
+
+export async function deleteRuns(ids) {
+  await withStore('readwrite', (store) => ids.map((id) => store.delete(id)).pop());
+}
+
+// NaN metrics (e.g. ROC-AUC with a single class) become null in JSON.
+export function runsToJSON(runs) {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), runs },
+    null,
+    2
+  );
+}
+
+export function runsFromJSON(text) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  if (value?.format !== EXPORT_FORMAT || !Array.isArray(value.runs)) {
+    throw new Error('The file is not an experiment log export.');
+  }
+  if (value.version > EXPORT_VERSION) {
+    throw new Error(`Experiment log version ${value.version} is newer than this app supports (${EXPORT_VERSION}).`);
+  }
+  value.runs.forEach((run, index) => {
+    if (typeof run?.id !== 'string' || typeof run.timestamp !== 'string' || !run.modelConfig || !run.loaderOptions) {
+      throw new Error(`Run ${index + 1} is missing its id, timestamp, model config or loader options.`);
+    }
+  });
+  return value.runs;
+}
+
+const finalEpoch = (run) => run.history?.epochs[run.history.epochs.length - 1] ?? null;
+
+const meanOf = (values) => {
+  const finite = values.filter(Number.isFinite);
+  return finite.length ? finite.reduce((sum, value) => sum + value, 0) / finite.length : null;
+};
+
+// Lines up runs for the comparison view. `symbols` is the union of the runs' evaluated symbols and `accuracy[r][s]`
+// is run r's accuracy on symbols[s], null where the run did not cover the symbol or was never evaluated. Each row
+// of `rows` holds one value per run.
+export function compareRuns(runs) {
+  const symbols = [...new Set(runs.flatMap((run) => run.metrics?.perStock.map(({ symbol }) => symbol) ?? []))];
+  const accuracy = runs.map((run) =>
+    symbols.map((symbol) => run.metrics?.perStock.find((item) => item.symbol === symbol)?.accuracy ?? null)
+  );
+  const row = (key, label, pick) => ({ key, label, values: runs.map((run) => pick(run) ?? null) });
+  return {
+    symbols,
+    accuracy,
+    rows: [
+      row('epochs', 'Epochs trained', (run) => run.history?.epochs.length),
+      row('loss', 'Final loss', (run) => finalEpoch(run)?.loss),
+      row('valLoss', 'Final val loss', (run) => finalEpoch(run)?.val_loss),
+      row('meanAccuracy', 'Mean per-stock accuracy', (run) =>
+        run.metrics ? meanOf(run.metrics.perStock.map((item) => item.accuracy)) : null
+      ),
+      row('meanMae', 'Mean MAE (%)', (run) =>
+        run.metrics ? meanOf(run.metrics.perStock.map((item) => item.mae)) : null
+      ),
+      ...METRIC_KEYS.map((key) => row(key, RUN_METRICS[key], (run) => run.metrics?.overall?.[key])),
+    ],
+  };
+}
@@ -0,0 +1,171 @@
+import { getTF } from './tf-runtime.js';
+import { createRandom } from './hyperparameter-search.js';
+
+// Why a trained StockGRUModel predicts what it does. Local attributions split one output (stock, horizon) of one
+// input window over the [sequenceLength, featureCount] cells of that window; permutation importance ranks input
+// groups (each symbol's columns, then the shared calendar / cross-sectional columns) by how much the test loss
+// grows when that group is shuffled across samples. Both work on raw, uncalibrated outputs.
+
+export const ATTRIBUTION_METHODS = {
+  integratedGradients: 'Integrated gradients',
+  occlusion: 'Occlusion',
+};
+
+// The scalar explained per sample: P(up) for binary, the predicted return for regression and P(up) − P(down)
+// for multiclass.
+function outputScore(outputs, outputIndex, targetMode) {
+  const selected = outputs.gather([outputIndex], 1).squeeze([1]);
+  if (targetMode !== 'multiclass') return selected;
+  return selected
+    .gather([2], 1)
+    .sub(selected.gather([0], 1))
+    .squeeze([1]);
+}
+
+// The "nothing unusual" reference window: every cell set to its feature's mean over the training windows.
+export function meanBaseline(tf, X_train) {
+  return tf.tidy(() => X_train.mean([0, 1]).expandDims(0).tile([X_train.shape[1], 1]));
+}
+
+// Attributions for one window. `input` is [sequenceLength, featureCount] and `baseline` has the same shape.
+// Integrated gradients averages the gradient along the straight path from baseline to input (midpoint rule over
+// `steps`), so the attributions add up to score(input) − score(baseline) up to `gap`. Occlusion replaces one
+// cell at a time with its baseline value and reports how much the score drops.
+export async function attributeWindow(
+  model,
+  { input, baseline, stockIndex, horizonIndex, method = 'integratedGradients', steps = 32, tf: injected = null }
+) {
+  if (!ATTRIBUTION_METHODS[method]) {
+    throw new Error(`Unknown attribution method "${method}".`);
+  }
+  const tf = injected ?? (await getTF());
+  const layersModel = await model.ready();
+  const outputIndex = stockIndex * model.horizon + horizonIndex;
+  const score = (batch) => outputScore(layersModel.apply(batch, { training: false }), outputIndex, model.targetMode);
+
+  const [sequenceLength, featureCount] = input.shape;
+  const result = tf.tidy(() => {
+    const window = input.expandDims(0);
+    const reference = baseline.expandDims(0);
+    const ends = score(tf.concat([window, reference])).arraySync();
+
+    let attributions;
+    if (method === 'integratedGradients') {
+      const alphas = tf.linspace(0.5 / steps, 1 - 0.5 / steps, steps).reshape([steps, 1, 1]);
+      const path = reference.add(window.sub(reference).mul(alphas));
+      const gradients = tf.grad((batch) => score(batch).sum())(path);
+      attributions = gradients.mean(0).mul(input.sub(baseline));
+    } else {
+      // One occluded copy of the window per cell: copy k has cell k taken from the baseline.
+      const cells = sequenceLength * featureCount;
+      const mask = tf.eye(cells).reshape([cells, sequenceLength, featureCount]);
+      const occluded = window.mul(tf.scalar(1).sub(mask)).add(reference.mul(mask));
+      attributions = tf.scalar(ends[0]).sub(score(occluded)).reshape([sequenceLength, featureCount]);
+    }
+
+    const values = attributions.arraySync();
+    const total = values.flat().reduce((sum, value) => sum + value, 0);
+    return { values, score: ends[0], baselineScore: ends[1], total };
+  });
+
+  return {
+    method,
+    stockIndex,
+    horizonIndex,
+    attributions: result.values,
+    score: result.score,
+    baselineScore: result.baselineScore,
+    // Integrated gradients is exact up to the path discretization; occlusion ignores interactions, so its cells
+    // need not add up to the score difference.
+    gap: method === 'integratedGradients' ? result.score - result.baselineScore - result.total : null,
+  };
+}
+
+// Column groups of a dataset for permutation importance: one per symbol, plus the shared columns if any.
+export function featureGroups(datasetInfo) {
+  const { stockSymbols, featuresPerStock, featureCount } = datasetInfo;
+  const groups = stockSymbols.map((symbol, s) => ({
+    name: symbol,
+    columns: Array.from({ length: featuresPerStock }, (_, f) => s * featuresPerStock + f),
+  }));
+  const sharedStart = stockSymbols.length * featuresPerStock;
+  if (featureCount > sharedStart) {
+    groups.push({
+      name: 'Shared features',
+      columns: Array.from({ length: featureCount - sharedStart }, (_, f) => sharedStart + f),
+    });
+  }
+  return groups;
+}
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+async function scoreInputs(model, X, y) {
+  const { loss } = await model.evaluateLoss(X, y);
+  const predictions = await model.predict(X);
+  try {
+    return { loss, accuracy: mean(await model.evaluateStockAccuracies(y, predictions)) };
+  } finally {
+    predictions.dispose();
+  }
+}
+
+// Shuffles each group's whole input block (all timesteps) across samples `repeats` times and reports the mean
+// increase in loss and drop in mean per-stock accuracy, most important group first.
+export async function permutationImportance(
+  model,
+  { X, y, groups, repeats = 3, seed = 1, onProgress = null, tf: injected = null }
+) {
+  const tf = injected ?? (await getTF());
+  const [sampleCount, sequenceLength, featureCount] = X.shape;
+  const sampleSize = sequenceLength * featureCount;
+  const data = await X.data();
+  const random = createRandom(seed);
+  const reference = await scoreInputs(model, X, y);
+  const total = groups.length * repeats;
+  let done = 0;
+
+  const ranking = [];
+  for (const group of groups) {
+    const lossIncreases = [];
+    const accuracyDrops = [];
+    for (let repeat = 0; repeat < repeats; repeat += 1) {
+      const order = Array.from({ length: sampleCount }, (_, index) => index);
+      for (let i = order.length - 1; i > 0; i -= 1) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+
+      const shuffled = data.slice();
+      order.forEach((source, target) => {
+        for (let t = 0; t < sequenceLength; t += 1) {
+          const rowOffset = t * featureCount;
+          group.columns.forEach((column) => {
+            shuffled[target * sampleSize + rowOffset + column] = data[source * sampleSize + rowOffset + column];
+          });
+        }
+      });
+
+      const permuted = tf.tensor3d(shuffled, X.shape);
+      try {
+        const scored = await scoreInputs(model, permuted, y);
+        lossIncreases.push(scored.loss - reference.loss);
+        accuracyDrops.push(reference.accuracy - scored.accuracy);
+      } finally {
+        permuted.dispose();
+      }
+      done += 1;
+      if (onProgress) await onProgress(done, total, group.name);
+    }
+
+    ranking.push({
+      name: group.name,
+      lossIncrease: mean(lossIncreases),
+      lossIncreaseSpread: Math.max(...lossIncreases) - Math.min(...lossIncreases),
+      accuracyDrop: mean(accuracyDrops),
+    });
+  }
+
+  ranking.sort((a, b) => b.lossIncrease - a.lossIncrease);
+  return { reference, repeats, ranking };
+}
@@ -0,0 +1,205 @@
+export const PRICE_COLUMNS = ['open', 'close', 'high', 'low', 'volume'];
+
+const filled = (length) => new Array(length).fill(NaN);
+
+const logReturnSeries = (close) =>
+  close.map((value, index) => (index === 0 ? NaN : Math.log(value / close[index - 1])));
+
+const ema = (values, period) => {
+  const result = filled(values.length);
+  const alpha = 2 / (period + 1);
+  let current = NaN;
+  values.forEach((value, index) => {
+    if (!Number.isFinite(value)) return;
+    current = Number.isFinite(current) ? alpha * value + (1 - alpha) * current : value;
+    result[index] = current;
+  });
+  return result;
+};
+
+const rollingStd = (values, window) =>
+  values.map((_, index) => {
+    if (index + 1 < window) return NaN;
+    const slice = values.slice(index - window + 1, index + 1);
+    if (slice.some((value) => !Number.isFinite(value))) return NaN;
+    const mean = slice.reduce((sum, value) => sum + value, 0) / window;
+    return Math.sqrt(slice.reduce((sum, value) => sum + (value - mean) ** 2, 0) / window);
+  });
+
+const rawColumn = (column) => ({
+  kind: 'stock',
+  requires: [column],
+  scaling: 'configured',
+  warmup: () => 0,
+  columns: () => [column],
+  compute: (series) => [[...series[column]]],
+});
+
+// `scaling` picks how a column is standardized before windowing:
+// 'configured' uses the DataLoader scaler, 'zscore' always z-scores on the training window, 'none' keeps raw values.
+export const FEATURE_DEFINITIONS = {
+  open: rawColumn('open'),
+  close: rawColumn('close'),
+  high: rawColumn('high'),
+  low: rawColumn('low'),
+  volume: rawColumn('volume'),
+  return: {
+    kind: 'stock',
+    requires: ['close'],
+    scaling: 'zscore',
+    warmup: () => 1,
+    columns: () => ['return'],
+    compute: ({ close }) => [close.map((value, index) => (index === 0 ? NaN : value / close[index - 1] - 1))],
+  },
+  logReturn: {
+    kind: 'stock',
+    requires: ['close'],
+    scaling: 'zscore',
+    warmup: () => 1,
+    columns: () => ['logReturn'],
+    compute: ({ close }) => [logReturnSeries(close)],
+  },
+  volatility: {
+    kind: 'stock',
+    requires: ['close'],
+    scaling: 'zscore',
+    defaults: { window: 10 },
+    warmup: ({ window }) => window,
+    columns: () => ['volatility'],
+    compute: ({ close }, { window }) => [rollingStd(logReturnSeries(close), window)],
+  },
+  rsi: {
+    kind: 'stock',
+    requires: ['close'],
+    scaling: 'none',
+    defaults: { period: 14 },
+    warmup: ({ period }) => period,
+    columns: () => ['rsi'],
+    compute: ({ close }, { period }) => {
+      const result = filled(close.length);
+      let avgGain = 0;
+      let avgLoss = 0;
+      for (let index = 1; index < close.length; index += 1) {
+        const change = close[index] - close[index - 1];
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+        if (index <= period) {
+          avgGain += gain / period;
+          avgLoss += loss / period;
+        } else {
+          avgGain = (avgGain * (period - 1) + gain) / period;
+          avgLoss = (avgLoss * (period - 1) + loss) / period;
+        }
+        if (index >= period) {
+          const rs = avgLoss === 0 ? Infinity : avgGain / avgLoss;
+          result[index] = avgLoss === 0 && avgGain === 0 ? 0.5 : 1 - 1 / (1 + rs);
+        }
+      }
+      return [result];
+    },
+  },
+  macd: {
+    kind: 'stock',
+    requires: ['close'],
+    scaling: 'zscore',
+    defaults: { fast: 12, slow: 26, signal: 9 },
+    warmup: ({ slow, signal }) => slow + signal,
+    columns: () => ['macd', 'macdHistogram'],
+    compute: ({ close }, { fast, slow, signal }) => {
+      const fastEma = ema(close, fast);
+      const slowEma = ema(close, slow);
+      const line = close.map((value, index) => (fastEma[index] - slowEma[index]) / value);
+      const signalLine = ema(line, signal);
+      return [line, line.map((value, index) => value - signalLine[index])];
+    },
+  },
+  bollingerB: {
+    kind: 'stock',
+    requires: ['close'],
+    scaling: 'none',
+    defaults: { window: 20, k: 2 },
+    warmup: ({ window }) => window - 1,
+    columns: () => ['bollingerB'],
+    compute: ({ close }, { window, k }) => {
+      const spread = rollingStd(close, window);
+      return [
+        close.map((value, index) => {
+          if (!Number.isFinite(spread[index])) return NaN;
+          const slice = close.slice(index - window + 1, index + 1);
+          const mean = slice.reduce((sum, item) => sum + item, 0) / window;
+          const width = 2 * k * spread[index];
+          return width === 0 ? 0.5 : (value - (mean - k * spread[index])) / width;
+        }),
+      ];
+    },
+  },
+  dayOfWeek: {
+    kind: 'calendar',
+    requires: [],
+    scaling: 'none',
+    warmup: () => 0,
+    columns: () => ['dayOfWeekSin', 'dayOfWeekCos'],
+    compute: ({ dates }) => {
+      const days = dates.map((date) => new Date(`${date}T00:00:00Z`).getUTCDay());
+      return [
+        days.map((day) => Math.sin((2 * Math.PI * day) / 7)),
+        days.map((day) => Math.cos((2 * Math.PI * day) / 7)),
+      ];
+    },
+  },
+};
+
+export const FEATURE_NAMES = Object.keys(FEATURE_DEFINITIONS);
+
+export const DEFAULT_FEATURES = ['open', 'close'];
+
+export function normalizeFeatureSpec(spec) {
+  const { name, ...options } = typeof spec === 'string' ? { name: spec } : spec;
+  const definition = FEATURE_DEFINITIONS[name];
+  if (!definition) {
+    throw new Error(`Unknown feature "${name}". Expected one of: ${FEATURE_NAMES.join(', ')}.`);
+  }
+  return { name, options: { ...definition.defaults, ...options } };
+}
+
+export function resolveFeatures(specs, availableColumns) {
+  const available = new Set(availableColumns);
+  const stock = [];
+  const calendar = [];
+  const skipped = [];
+
+  specs.map(normalizeFeatureSpec).forEach((feature) => {
+    const definition = FEATURE_DEFINITIONS[feature.name];
+    const missing = definition.requires.filter((column) => !available.has(column));
+    if (missing.length > 0) {
+      skipped.push({ name: feature.name, reason: `missing column(s): ${missing.join(', ')}` });
+      return;
+    }
+    const resolved = {
+      ...feature,
+      definition,
+      columns: definition.columns(feature.options),
+      warmup: definition.warmup(feature.options),
+    };
+    (definition.kind === 'calendar' ? calendar : stock).push(resolved);
+  });
+
+  return {
+    stock,
+    calendar,
+    skipped,
+    warmup: Math.max(0, ...stock.map((feature) => feature.warmup), ...calendar.map((feature) => feature.warmup)),
+    stockColumns: stock.flatMap((feature) => feature.columns),
+    calendarColumns: calendar.flatMap((feature) => feature.columns),
+  };
+}
+
+export function computeFeatureColumns(features, series) {
+  return features.flatMap((feature) =>
+    feature.definition.compute(series, feature.options).map((values, index) => ({
+      name: feature.columns[index],
+      scaling: feature.definition.scaling,
+      values,
+    }))
+  );
+}
@@ -1,126 +1,371 @@
-const TF_CDN_URL = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.13.0/dist/tf.min.js';
+import { DEFAULT_ARCHITECTURE, TASK_MODES, buildArchitecture } from './architectures.js';
+import { getTF } from './tf-runtime.js';
 
-const getTF = async () => {
-  if (typeof globalThis === 'undefined') {
-    throw new Error('TensorFlow.js requires a browser environment.');
-  }
+const MODEL_FORMAT = 'stock-gru';
+const MODEL_FORMAT_VERSION = 1;
+const LOSS_EPSILON = 1e-7;
+const MIN_SYMBOL_UNITS = 8;
 
-  if (typeof document === 'undefined') {
-    throw new Error('TensorFlow.js requires a DOM to load its script.');
-  }
+const symbolModelName = (symbolIndex) => `symbol_${symbolIndex}`;
 
-  if (!globalThis.__tfReadyPromise) {
-    globalThis.__tfReadyPromise = new Promise((resolve, reject) => {
-      if (globalThis.tf && typeof globalThis.tf.ready === 'function') {
-        globalThis.tf
-          .ready()
-          .then(() => resolve(globalThis.tf))
-          .catch(reject);
-        return;
-      }
+// Early stopping, learning-rate reduction on plateau and best-weight tracking for one compiled model.
+// earlyStopping: { monitor = 'val_loss', patience = 5, minDelta = 0 }
+// reduceLROnPlateau: { factor = 0.5, patience = 3, minLearningRate = 1e-5 }
+// Both fall back to the training loss when the monitored key is missing (e.g. no validation split).
+function trainingSchedule(tf, model, { earlyStopping, reduceLROnPlateau, restoreBestWeights }) {
+  const monitor = earlyStopping?.monitor ?? 'val_loss';
+  const minDelta = earlyStopping?.minDelta ?? 0;
+  const state = { best: Infinity, bestEpoch: null, lastEpoch: null, wait: 0, plateauWait: 0, stopReason: null };
+  let bestWeights = null;
+  const release = () => {
+    bestWeights?.forEach((tensor) => tensor.dispose());
+    bestWeights = null;
+  };
 
-      const existing = Array.from(document.scripts).find((script) => script.src.includes('@tensorflow/tfjs'));
-      const targetScript = existing ?? document.createElement('script');
-      const cleanup = () => {
-        targetScript.removeEventListener('load', handleLoad);
-        targetScript.removeEventListener('error', handleError);
-      };
+  return {
+    monitor,
+    cancel() {
+      state.stopReason = 'cancelled';
+    },
+    // Returns true once early stopping has triggered.
+    epochEnd(epoch, logs) {
+      const value = logs[monitor] ?? logs.loss;
+      state.lastEpoch = epoch;
 
-      function handleLoad() {
-        cleanup();
-        targetScript.dataset.tfReady = 'true';
-        if (globalThis.tf && typeof globalThis.tf.ready === 'function') {
-          globalThis.tf
-            .ready()
-            .then(() => resolve(globalThis.tf))
-            .catch(reject);
-        } else {
-          reject(new Error('TensorFlow.js script loaded but tf was not found on the global scope.'));
+      if (Number.isFinite(value) && value < state.best - minDelta) {
+        state.best = value;
+        state.bestEpoch = epoch;
+        state.wait = 0;
+        state.plateauWait = 0;
+        if (restoreBestWeights) {
+          release();
+          bestWeights = model.getWeights().map((weight) => tf.keep(weight.clone()));
         }
+        return false;
       }
-
-      function handleError(event) {
-        cleanup();
-        reject(new Error(`Unable to load TensorFlow.js script: ${event?.message ?? 'network error'}`));
+      state.wait += 1;
+      state.plateauWait += 1;
+      if (reduceLROnPlateau && state.plateauWait >= (reduceLROnPlateau.patience ?? 3)) {
+        const current = model.optimizer.learningRate;
+        model.optimizer.learningRate = Math.max(
+          current * (reduceLROnPlateau.factor ?? 0.5),
+          reduceLROnPlateau.minLearningRate ?? 1e-5
+        );
+        state.plateauWait = 0;
+      }
+      if (earlyStopping && state.wait >= (earlyStopping.patience ?? 5)) {
+        state.stopReason ??= 'early-stopping';
+        return true;
       }
+      return false;
+    },
+    // Puts the best weights back when training ended past them and summarizes the run.
+    finish() {
+      const restoredBestWeights = Boolean(bestWeights) && state.bestEpoch !== state.lastEpoch;
+      if (restoredBestWeights) {
+        model.setWeights(bestWeights);
+      }
+      release();
+      return {
+        monitor,
+        stopReason: state.stopReason,
+        bestEpoch: state.bestEpoch,
+        bestValue: Number.isFinite(state.best) ? state.best : null,
+        restoredBestWeights,
+        finalLearningRate: model.optimizer.learningRate,
+      };
+    },
+    release,
+  };
+}
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
 
-      if (!existing) {
-        targetScript.defer = false;
-        targetScript.async = false;
-        targetScript.src = TF_CDN_URL;
-        targetScript.crossOrigin = 'anonymous';
-        targetScript.integrity = 'sha384-uE1YKKcf9zmXLh4FfLLRj1NfX3YAcaqpK+IylCvWbyevnED8GB5blzm0qrx+tr4V';
-        targetScript.addEventListener('load', handleLoad, { once: true });
-        targetScript.addEventListener('error', handleError, { once: true });
-        targetScript.dataset.tfReady = 'loading';
-        document.head.appendChild(targetScript);
-      } else {
-        existing.dataset.tfReady = existing.dataset.tfReady ?? 'loading';
-        existing.addEventListener('load', handleLoad, { once: true });
-        existing.addEventListener('error', handleError, { once: true });
-        if (existing.dataset.tfReady === 'true' || globalThis.tf) {
-          handleLoad();
+export class StockGRUModel {
+  #stopRequested = false;
+  #pauseGate = null;
+  #schedules = [];
+  #symbolModels = null;
+  #tf;
+
+  // options.symbolLossWeights maps symbols to loss weights (default 1) and becomes a per-symbol array here.
+  static configFromDataset(datasetInfo, options = {}) {
+    const { symbolLossWeights, ...rest } = options;
+    let lossWeights = null;
+    if (symbolLossWeights && Object.keys(symbolLossWeights).length > 0) {
+      Object.entries(symbolLossWeights).forEach(([symbol, weight]) => {
+        if (!datasetInfo.stockSymbols.includes(symbol)) {
+          throw new Error(`Loss weight given for "${symbol}", which is not in the dataset.`);
+        }
+        if (!Number.isFinite(weight) || weight < 0) {
+          throw new Error(`Loss weight for "${symbol}" must be a non-negative number.`);
         }
+      });
+      lossWeights = datasetInfo.stockSymbols.map((symbol) => symbolLossWeights[symbol] ?? 1);
+      if (lossWeights.every((weight) => weight === 0)) {
+        throw new Error('At least one symbol needs a positive loss weight.');
       }
-    });
-  }
+    }
 
-  return globalThis.__tfReadyPromise;
-};
+    return {
+      ...rest,
+      lossWeights,
+      sequenceLength: datasetInfo.sequenceLength,
+      featureCount: datasetInfo.featureCount,
+      featuresPerStock: datasetInfo.featuresPerStock,
+      stockCount: datasetInfo.stockSymbols.length,
+      horizon: datasetInfo.horizon,
+      targetMode: datasetInfo.targetMode,
+      classCount: datasetInfo.classLabels?.length,
+      preprocessing: datasetInfo.preprocessing,
+    };
+  }
 
-export class StockGRUModel {
+  // config.tf injects a TensorFlow.js instance (e.g. @tensorflow/tfjs-node); it is not part of the saved config.
   constructor(config = {}) {
+    this.#tf = config.tf ?? null;
+    this.architecture = config.architecture ?? DEFAULT_ARCHITECTURE;
+    this.taskMode = config.taskMode ?? 'joint';
+    if (!TASK_MODES[this.taskMode]) {
+      throw new Error(`Unknown task mode "${this.taskMode}".`);
+    }
     this.sequenceLength = config.sequenceLength ?? 12;
     this.featureCount = config.featureCount ?? 20;
     this.stockCount = config.stockCount ?? 10;
     this.horizon = config.horizon ?? 3;
     this.learningRate = config.learningRate ?? 1e-3;
+    this.targetMode = config.targetMode ?? 'binary';
+    this.regressionLoss = config.regressionLoss ?? 'mse';
+    this.huberDelta = config.huberDelta ?? 1;
+    this.classCount = config.classCount ?? 3;
+    this.lossWeights = config.lossWeights ?? null;
+    this.preprocessing = config.preprocessing ?? null;
+    this.trainingStopped = false;
+    this.trainingSummary = config.trainingSummary ?? null;
+    this.trainingHistory = config.trainingHistory ?? null;
+    this.calibration = config.calibration ?? null;
+    this.config = {
+      architecture: this.architecture,
+      taskMode: this.taskMode,
+      sequenceLength: this.sequenceLength,
+      featureCount: this.featureCount,
+      featuresPerStock: config.featuresPerStock ?? null,
+      stockCount: this.stockCount,
+      horizon: this.horizon,
+      learningRate: this.learningRate,
+      targetMode: this.targetMode,
+      regressionLoss: this.regressionLoss,
+      huberDelta: this.huberDelta,
+      classCount: this.classCount,
+      lossWeights: this.lossWeights,
+      headUnits: config.headUnits ?? 16,
+      unitsFirst: config.unitsFirst ?? 128,
+      unitsSecond: config.unitsSecond ?? 64,
+      dropoutRate: config.dropoutRate ?? 0.2,
+    };
 
     this.modelPromise = this.#buildModel(config);
   }
 
-  async #buildModel(config) {
-    const tf = await getTF();
-    const unitsFirst = config.unitsFirst ?? 128;
-    const unitsSecond = config.unitsSecond ?? 64;
-    const dropoutRate = config.dropoutRate ?? 0.2;
-
-    const model = tf.sequential();
-    model.add(
-      tf.layers.gru({
-        units: unitsFirst,
-        returnSequences: true,
-        inputShape: [this.sequenceLength, this.featureCount],
-        kernelInitializer: 'glorotUniform',
-      })
-    );
-    model.add(tf.layers.dropout({ rate: dropoutRate }));
-    model.add(
-      tf.layers.gru({
-        units: unitsSecond,
-        returnSequences: false,
-        kernelInitializer: 'glorotUniform',
-      })
-    );
-    model.add(tf.layers.dropout({ rate: dropoutRate }));
-    model.add(
-      tf.layers.dense({
-        units: this.stockCount * this.horizon,
-        activation: 'sigmoid',
-        kernelInitializer: 'glorotUniform',
-      })
-    );
+  static async load(source, { tf: injected = null } = {}) {
+    const tf = injected ?? (await getTF());
+    const layersModel = await tf.loadLayersModel(source);
+    const metadata = layersModel.getUserDefinedMetadata();
+    if (metadata?.format !== MODEL_FORMAT || !metadata.modelConfig) {
+      layersModel.dispose();
+      throw new Error('The model file does not contain StockGRUModel metadata.');
+    }
+    return new StockGRUModel({
+      ...metadata.modelConfig,
+      preprocessing: metadata.preprocessing ?? null,
+      trainingSummary: metadata.training?.summary ?? null,
+      trainingHistory: metadata.training?.history ?? null,
+      calibration: metadata.calibration ?? null,
+      pretrainedModel: layersModel,
+      tf: injected,
+    });
+  }
+
+  async #getTF() {
+    return this.#tf ?? getTF();
+  }
 
+  async #buildModel(config) {
+    const tf = await this.#getTF();
     const optimizer = tf.train.adam(this.learningRate);
+
+    if (config.pretrainedModel) {
+      config.pretrainedModel.compile({ optimizer, ...this.#lossConfig(tf) });
+      if (this.taskMode === 'independent') {
+        this.#symbolModels = Array.from({ length: this.stockCount }, (_, s) =>
+          this.#compileSymbolModel(tf, config.pretrainedModel.getLayer(symbolModelName(s)))
+        );
+      }
+      return config.pretrainedModel;
+    }
+
+    const inputs = tf.input({ shape: [this.sequenceLength, this.featureCount] });
+    const constants = [];
+    const model = tf.model({ inputs, outputs: this.#buildOutputs(tf, inputs, constants) });
+    constants.forEach((tensor) => tensor.dispose());
+
     model.compile({
       optimizer,
-      loss: 'binaryCrossentropy',
-      metrics: ['binaryAccuracy'],
+      ...this.#lossConfig(tf),
     });
 
     return model;
   }
 
+  // Outputs stay symbol-major (s * horizon + h) in every task mode, so labels and evaluation never change.
+  // joint: one encoder and one dense layer for all outputs. multitask: a shared encoder with a small head per
+  // symbol. independent: a separate small model per symbol (see #buildSymbolModel) whose outputs are stacked.
+  #buildOutputs(tf, inputs, constants) {
+    if (this.taskMode === 'independent') {
+      this.#symbolModels = Array.from({ length: this.stockCount }, (_, s) => this.#buildSymbolModel(tf, s, constants));
+      const outputs = this.#symbolModels.map((symbolModel) => symbolModel.apply(inputs));
+      return outputs.length === 1 ? outputs[0] : tf.layers.concatenate({ axis: 1 }).apply(outputs);
+    }
+
+    let outputs;
+    if (this.taskMode === 'joint') {
+      outputs = this.#outputLayer(
+        tf,
+        this.stockCount * this.horizon,
+        buildArchitecture(tf, this.architecture, inputs, this.config)
+      );
+    } else {
+      const shared = buildArchitecture(tf, this.architecture, inputs, this.config);
+      const heads = Array.from({ length: this.stockCount }, () => {
+        const hidden = tf.layers.dense({ units: this.config.headUnits, activation: 'relu' }).apply(shared);
+        return this.#outputLayer(tf, this.horizon, hidden);
+      });
+      outputs = heads.length === 1 ? heads[0] : tf.layers.concatenate().apply(heads);
+    }
+    return this.#classProbabilities(tf, outputs, this.stockCount * this.horizon);
+  }
+
+  #outputLayer(tf, units, features) {
+    const multiclass = this.targetMode === 'multiclass';
+    return tf.layers
+      .dense({
+        units: multiclass ? units * this.classCount : units,
+        activation: multiclass || this.targetMode === 'regression' ? 'linear' : 'sigmoid',
+        kernelInitializer: 'glorotUniform',
+      })
+      .apply(features);
+  }
+
+  #classProbabilities(tf, outputs, outputCount) {
+    if (this.targetMode !== 'multiclass') return outputs;
+    const grouped = tf.layers.reshape({ targetShape: [outputCount, this.classCount] }).apply(outputs);
+    return tf.layers.softmax({ axis: -1 }).apply(grouped);
+  }
+
+  // One symbol's own model: it sees only that symbol's columns plus the shared calendar/cross columns and has its
+  // own optimizer, so train() can fit it with its own learning-rate schedule and early stopping. The configured
+  // units are the budget for all symbols together, so each model gets its share of them.
+  #buildSymbolModel(tf, symbolIndex, constants) {
+    const share = (units) => Math.max(MIN_SYMBOL_UNITS, Math.round(units / this.stockCount));
+    const config = {
+      ...this.config,
+      unitsFirst: share(this.config.unitsFirst),
+      unitsSecond: share(this.config.unitsSecond),
+    };
+    const inputs = tf.input({ shape: [this.sequenceLength, this.featureCount] });
+    const symbolInputs = this.#selectSymbolColumns(tf, inputs, symbolIndex, constants);
+    const features = buildArchitecture(tf, this.architecture, symbolInputs, config);
+    const outputs = this.#classProbabilities(tf, this.#outputLayer(tf, this.horizon, features), this.horizon);
+    return this.#compileSymbolModel(tf, tf.model({ inputs, outputs, name: symbolModelName(symbolIndex) }));
+  }
+
+  // Loss weights only matter where symbols share weights, so each symbol's model is fitted unweighted.
+  #compileSymbolModel(tf, symbolModel) {
+    symbolModel.compile({ optimizer: tf.train.adam(this.learningRate), ...this.#lossConfig(tf, null) });
+    return symbolModel;
+  }
+
+  // A frozen 0/1 projection picks one symbol's block of columns plus the shared tail; tfjs has no slicing layer.
+  #selectSymbolColumns(tf, inputs, symbolIndex, constants) {
+    const perStock = this.config.featuresPerStock;
+    if (!perStock) {
+      throw new Error('Independent mode needs featuresPerStock from the dataset.');
+    }
+    const sharedStart = this.stockCount * perStock;
+    const columns = [
+      ...Array.from({ length: perStock }, (_, f) => symbolIndex * perStock + f),
+      ...Array.from({ length: this.featureCount - sharedStart }, (_, f) => sharedStart + f),
+    ];
+    const selection = tf.buffer([this.featureCount, columns.length]);
+    columns.forEach((column, index) => selection.set(1, column, index));
+    const kernel = selection.toTensor();
+    constants.push(kernel);
+    return tf.layers
+      .dense({ units: columns.length, useBias: false, trainable: false, weights: [kernel] })
+      .apply(inputs);
+  }
+
+  #lossConfig(tf, lossWeights = this.lossWeights) {
+    const weighted = lossWeights?.some((weight) => weight !== 1);
+    if (this.targetMode === 'multiclass') {
+      return {
+        loss: weighted ? this.#weightedLoss(tf) : 'categoricalCrossentropy',
+        metrics: ['categoricalAccuracy'],
+      };
+    }
+    if (this.targetMode === 'regression') {
+      let loss = 'meanSquaredError';
+      if (weighted) {
+        loss = this.#weightedLoss(tf);
+      } else if (this.regressionLoss === 'huber') {
+        loss = (yTrue, yPred) => tf.losses.huberLoss(yTrue, yPred, undefined, this.huberDelta);
+      }
+      return { loss, metrics: ['mae'] };
+    }
+    return { loss: weighted ? this.#weightedLoss(tf) : 'binaryCrossentropy', metrics: ['binaryAccuracy'] };
+  }
+
+  // Loss per output ([batch, stockCount * horizon]) scaled by its symbol's weight. Weights are normalized to
+  // average 1, so equal weights reproduce the unweighted loss.
+  #weightedLoss(tf) {
+    const perOutput = this.lossWeights.flatMap((weight) => new Array(this.horizon).fill(weight));
+    const average = perOutput.reduce((sum, weight) => sum + weight, 0) / perOutput.length;
+    const scale = perOutput.map((weight) => weight / average);
+
+    return (yTrue, yPred) =>
+      tf.tidy(() => {
+        let losses;
+        if (this.targetMode === 'multiclass') {
+          losses = yTrue
+            .mul(yPred.clipByValue(LOSS_EPSILON, 1 - LOSS_EPSILON).log())
+            .sum(-1)
+            .neg();
+        } else if (this.targetMode === 'regression') {
+          losses =
+            this.regressionLoss === 'huber'
+              ? tf.losses.huberLoss(yTrue, yPred, undefined, this.huberDelta, tf.Reduction.NONE)
+              : yPred.sub(yTrue).square();
+        } else {
+          const p = yPred.clipByValue(LOSS_EPSILON, 1 - LOSS_EPSILON);
+          losses = yTrue
+            .mul(p.log())
+            .add(tf.scalar(1).sub(yTrue).mul(tf.scalar(1).sub(p).log()))
+            .neg();
+        }
+        return losses.mul(tf.tensor1d(scale)).mean();
+      });
+  }
+
+  static metricNameFor(targetMode) {
+    if (targetMode === 'multiclass') return 'categoricalAccuracy';
+    if (targetMode === 'regression') return 'mae';
+    return 'binaryAccuracy';
+  }
+
+  get metricName() {
+    return StockGRUModel.metricNameFor(this.targetMode);
+  }
+
   async ready() {
     if (!this.modelPromise) {
       throw new Error('Model was disposed.');
@@ -130,50 +375,252 @@ export class StockGRUModel {
 
   async train(X_train, y_train, options = {}) {
     const model = await this.ready();
-    const trainOptions = {
+    const tf = await this.#getTF();
+    this.#stopRequested = false;
+    this.trainingStopped = false;
+    this.trainingSummary = null;
+    this.trainingHistory = { metricName: this.metricName, epochs: [], batches: [] };
+    const scheduleOptions = {
+      earlyStopping: options.earlyStopping ?? null,
+      reduceLROnPlateau: options.reduceLROnPlateau ?? null,
+      restoreBestWeights: options.restoreBestWeights ?? false,
+    };
+    const fitOptions = {
       epochs: options.epochs ?? 30,
       batchSize: options.batchSize ?? 32,
       validationSplit: options.validationSplit ?? 0.1,
       shuffle: false,
-      callbacks: this.#buildCallbacks(options.callbacks ?? {}),
     };
 
-    return model.fit(X_train, y_train, trainOptions);
+    try {
+      if (this.#symbolModels) {
+        return await this.#trainIndependent(tf, X_train, y_train, fitOptions, options.callbacks ?? {}, scheduleOptions);
+      }
+      model.optimizer.learningRate = this.learningRate;
+      const schedule = trainingSchedule(tf, model, scheduleOptions);
+      this.#schedules = [schedule];
+      return await model.fit(X_train, y_train, {
+        ...fitOptions,
+        callbacks: this.#buildCallbacks(tf, model, options.callbacks ?? {}, schedule),
+      });
+    } finally {
+      this.#releaseBestWeights();
+      this.resume();
+    }
   }
 
-  #buildCallbacks(callbackConfig) {
-    const { onEpochEnd, onTrainBegin, onTrainEnd } = callbackConfig;
+  // Fits every symbol's model for one epoch in turn, so each keeps its own optimizer, learning-rate schedule,
+  // early stopping and best weights while progress is still reported per epoch. The reported logs average the
+  // symbols' latest epochs (a symbol that stopped early keeps its last values), which is the unweighted loss of
+  // the stacked outputs.
+  async #trainIndependent(tf, X_train, y_train, fitOptions, callbackConfig, scheduleOptions) {
+    const { onEpochEnd, onBatchEnd, onTrainBegin, onTrainEnd } = callbackConfig;
+    const history = this.trainingHistory;
+    const classAxes = y_train.shape.slice(2);
+    const members = this.#symbolModels.map((symbolModel, s) => {
+      symbolModel.optimizer.learningRate = this.learningRate;
+      return {
+        model: symbolModel,
+        labels: y_train.slice([0, s * this.horizon, ...classAxes.map(() => 0)], [-1, this.horizon, ...classAxes]),
+        schedule: trainingSchedule(tf, symbolModel, scheduleOptions),
+        logs: null,
+        stopped: false,
+      };
+    });
+    this.#schedules = members.map((member) => member.schedule);
+
+    try {
+      if (onTrainBegin) await onTrainBegin({});
+      for (let epoch = 0; epoch < fitOptions.epochs && !this.#stopRequested; epoch += 1) {
+        const active = members.filter((member) => !member.stopped);
+        if (active.length === 0) break;
+        let batchCount = 0;
+        for (const member of active) {
+          await member.model.fit(X_train, member.labels, {
+            ...fitOptions,
+            epochs: epoch + 1,
+            initialEpoch: epoch,
+            callbacks: {
+              onBatchEnd: async (_, logs = {}) => {
+                const batch = batchCount;
+                batchCount += 1;
+                history.batches.push({ epoch, batch, loss: logs.loss, [this.metricName]: logs[this.metricName] });
+                if (onBatchEnd) await onBatchEnd(batch, logs);
+                if (this.#pauseGate) await this.#pauseGate.promise;
+                if (this.#stopRequested) member.model.stopTraining = true;
+              },
+              onEpochEnd: async (_, logs = {}) => {
+                member.logs = { ...logs, learningRate: member.model.optimizer.learningRate };
+                member.stopped = member.schedule.epochEnd(epoch, logs);
+              },
+            },
+          });
+          if (this.#stopRequested) break;
+        }
+
+        const reported = members.filter((member) => member.logs);
+        const epochLogs = Object.fromEntries(
+          Object.keys(reported[0].logs).map((key) => [key, mean(reported.map((member) => member.logs[key]))])
+        );
+        history.epochs.push({ epoch, ...epochLogs });
+        if (onEpochEnd) await onEpochEnd(epoch, epochLogs);
+        await tf.nextFrame();
+      }
+
+      if (this.#stopRequested) {
+        this.trainingStopped = true;
+        members.forEach((member) => member.schedule.cancel());
+      }
+      const perSymbol = members.map((member) => member.schedule.finish());
+      const best = perSymbol.filter((summary) => summary.bestValue !== null);
+      this.trainingSummary = {
+        monitor: perSymbol[0].monitor,
+        // Cancelling stops every symbol; early stopping counts once every symbol has stopped early.
+        stopReason: new Set(perSymbol.map((summary) => summary.stopReason)).size === 1 ? perSymbol[0].stopReason : null,
+        // The last epoch at which any symbol still improved, and the mean of the symbols' best values.
+        bestEpoch: best.length ? Math.max(...best.map((summary) => summary.bestEpoch)) : null,
+        bestValue: best.length ? mean(best.map((summary) => summary.bestValue)) : null,
+        restoredBestWeights: perSymbol.some((summary) => summary.restoredBestWeights),
+        finalLearningRate: mean(perSymbol.map((summary) => summary.finalLearningRate)),
+        perSymbol,
+      };
+      if (onTrainEnd) await onTrainEnd({ stopped: this.trainingStopped, ...this.trainingSummary });
+    } finally {
+      members.forEach((member) => member.labels.dispose());
+    }
+  }
+
+  // Takes effect at the end of the current batch.
+  requestStop() {
+    this.#stopRequested = true;
+    this.resume();
+  }
+
+  pause() {
+    if (this.#pauseGate) return;
+    let release;
+    const promise = new Promise((resolve) => {
+      release = resolve;
+    });
+    this.#pauseGate = { promise, release };
+  }
+
+  resume() {
+    this.#pauseGate?.release();
+    this.#pauseGate = null;
+  }
+
+  get paused() {
+    return Boolean(this.#pauseGate);
+  }
+
+  #releaseBestWeights() {
+    this.#schedules.forEach((schedule) => schedule.release());
+    this.#schedules = [];
+  }
+
+  #buildCallbacks(tf, model, callbackConfig, schedule) {
+    const { onEpochEnd, onBatchEnd, onTrainBegin, onTrainEnd } = callbackConfig;
+    const history = this.trainingHistory;
+    let currentEpoch = 0;
+
     return {
       onTrainBegin: async (logs) => {
         if (onTrainBegin) await onTrainBegin(logs ?? {});
       },
-      onEpochEnd: async (epoch, logs) => {
-        if (onEpochEnd) await onEpochEnd(epoch, logs ?? {});
-        const tf = await getTF();
+      onEpochBegin: async (epoch) => {
+        currentEpoch = epoch;
+      },
+      onBatchEnd: async (batch, logs = {}) => {
+        history.batches.push({ epoch: currentEpoch, batch, loss: logs.loss, [this.metricName]: logs[this.metricName] });
+        if (onBatchEnd) await onBatchEnd(batch, logs);
+        if (this.#pauseGate) await this.#pauseGate.promise;
+        if (this.#stopRequested) {
+          model.stopTraining = true;
+          this.trainingStopped = true;
+          schedule.cancel();
+        }
+      },
+      onEpochEnd: async (epoch, logs = {}) => {
+        if (schedule.epochEnd(epoch, logs)) {
+          model.stopTraining = true;
+        }
+
+        const epochLogs = { ...logs, learningRate: model.optimizer.learningRate };
+        history.epochs.push({ epoch, ...epochLogs });
+        if (onEpochEnd) await onEpochEnd(epoch, epochLogs);
         await tf.nextFrame();
       },
       onTrainEnd: async (logs) => {
-        if (onTrainEnd) await onTrainEnd(logs ?? {});
+        this.trainingSummary = schedule.finish();
+        if (onTrainEnd) await onTrainEnd({ ...logs, stopped: this.trainingStopped, ...this.trainingSummary });
       },
     };
   }
 
+  async getWeightData() {
+    const model = await this.ready();
+    return Promise.all(
+      model.getWeights().map(async (weight) => ({
+        shape: weight.shape,
+        dtype: weight.dtype,
+        data: (await weight.data()).slice(),
+      }))
+    );
+  }
+
+  async setWeightData(weightData) {
+    const model = await this.ready();
+    const tf = await this.#getTF();
+    const tensors = weightData.map(({ shape, dtype, data }) => tf.tensor(data, shape, dtype));
+    try {
+      model.setWeights(tensors);
+    } finally {
+      tensors.forEach((tensor) => tensor.dispose());
+    }
+  }
+
+  async save(destination) {
+    const model = await this.ready();
+    model.setUserDefinedMetadata({
+      format: MODEL_FORMAT,
+      version: MODEL_FORMAT_VERSION,
+      modelConfig: this.config,
+      preprocessing: this.preprocessing,
+      calibration: this.calibration,
+      // Per-batch history stays in memory only; epochs are enough to reproduce the curves later.
+      training: this.trainingHistory
+        ? { summary: this.trainingSummary, history: { ...this.trainingHistory, batches: [] } }
+        : null,
+    });
+    return model.save(destination);
+  }
+
   async predict(inputs) {
     const model = await this.ready();
     return model.predict(inputs);
   }
 
+  // Compiled loss and metric on a held-out set, e.g. the validation block of a hyperparameter trial.
+  async evaluateLoss(X, y, batchSize = 256) {
+    const model = await this.ready();
+    const results = model.evaluate(X, y, { batchSize });
+    const tensors = Array.isArray(results) ? results : [results];
+    const [loss, metric] = await Promise.all(tensors.map(async (tensor) => (await tensor.data())[0]));
+    tensors.forEach((tensor) => tensor.dispose());
+    return { loss, [this.metricName]: metric };
+  }
+
   async evaluateStockAccuracies(yTrue, yPred) {
-    const tf = await getTF();
+    const tf = await this.#getTF();
     return tf.tidy(() => {
       const predTensor = yPred instanceof tf.Tensor ? yPred : tf.tensor(yPred);
       const trueTensor = yTrue instanceof tf.Tensor ? yTrue : tf.tensor(yTrue);
 
-      const binaryPred = predTensor.greaterEqual(0.5).toInt();
-      const trueBinary = trueTensor.round().toInt();
+      const { predicted, actual } = this.#discretize(tf, predTensor, trueTensor);
 
-      const reshapedPred = binaryPred.reshape([-1, this.stockCount, this.horizon]);
-      const reshapedTrue = trueBinary.reshape([-1, this.stockCount, this.horizon]);
+      const reshapedPred = predicted.reshape([-1, this.stockCount, this.horizon]);
+      const reshapedTrue = actual.reshape([-1, this.stockCount, this.horizon]);
 
       const matchTensor = reshapedPred.equal(reshapedTrue);
       const accuracyPerStock = matchTensor.mean(2).mean(0);
@@ -182,12 +629,45 @@ export class StockGRUModel {
     });
   }
 
+  async evaluateStockMetrics(yTrue, yPred) {
+    const tf = await this.#getTF();
+    const accuracies = await this.evaluateStockAccuracies(yTrue, yPred);
+    if (this.targetMode !== 'regression') {
+      return accuracies.map((accuracy) => ({ accuracy }));
+    }
+
+    return tf.tidy(() => {
+      const predTensor = yPred instanceof tf.Tensor ? yPred : tf.tensor(yPred);
+      const trueTensor = yTrue instanceof tf.Tensor ? yTrue : tf.tensor(yTrue);
+      const error = predTensor.sub(trueTensor).reshape([-1, this.stockCount, this.horizon]);
+      const mae = Array.from(error.abs().mean(2).mean(0).dataSync());
+      const rmse = Array.from(error.square().mean(2).mean(0).sqrt().dataSync());
+      return accuracies.map((accuracy, index) => ({ accuracy, mae: mae[index], rmse: rmse[index] }));
+    });
+  }
+
+  // Maps raw outputs and targets onto comparable integer classes: up/down for binary and
+  // regression (sign of the return), argmax class for multiclass.
+  #discretize(tf, predTensor, trueTensor) {
+    if (this.targetMode === 'multiclass') {
+      return { predicted: predTensor.argMax(-1), actual: trueTensor.argMax(-1) };
+    }
+    if (this.targetMode === 'regression') {
+      return { predicted: predTensor.greater(0).toInt(), actual: trueTensor.greater(0).toInt() };
+    }
+    return { predicted: predTensor.greaterEqual(0.5).toInt(), actual: trueTensor.round().toInt() };
+  }
+
   async dispose() {
     if (!this.modelPromise) return;
     const model = await this.modelPromise.catch(() => null);
     if (model) {
+      // Compiled with optimizer instances, which the layers models do not own or dispose.
+      this.#symbolModels?.forEach((symbolModel) => symbolModel.optimizer?.dispose());
+      model.optimizer?.dispose();
       model.dispose();
     }
+    this.#symbolModels = null;
     this.modelPromise = null;
   }
 }
@@ -0,0 +1,221 @@
+import { StockGRUModel } from './gru.js';
+
+export const SEARCH_STRATEGIES = {
+  grid: 'Grid',
+  random: 'Random',
+  halving: 'Successive halving',
+};
+
+export const SEARCH_OBJECTIVES = {
+  loss: { label: 'Validation loss', direction: 'min' },
+  accuracy: { label: 'Validation accuracy', direction: 'max' },
+};
+
+export const SEARCH_PARAMETERS = [
+  'unitsFirst',
+  'unitsSecond',
+  'dropoutRate',
+  'learningRate',
+  'sequenceLength',
+  'horizon',
+];
+
+const MAX_GRID_SIZE = 256;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// mulberry32, so a seed reproduces the same random trials.
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function gridConfigs(space) {
+  const size = SEARCH_PARAMETERS.reduce((product, key) => product * space[key].length, 1);
+  if (size > MAX_GRID_SIZE) {
+    throw new Error(
+      `Grid has ${size} combinations; narrow the search space to at most ${MAX_GRID_SIZE} or use random.`
+    );
+  }
+  return SEARCH_PARAMETERS.reduce(
+    (configs, key) => configs.flatMap((config) => space[key].map((value) => ({ ...config, [key]: value }))),
+    [{}]
+  );
+}
+
+export function randomConfigs(space, count, seed = 1) {
+  const random = createRandom(seed);
+  const seen = new Set();
+  const configs = [];
+  for (let attempt = 0; configs.length < count && attempt < count * 20; attempt += 1) {
+    const config = Object.fromEntries(
+      SEARCH_PARAMETERS.map((key) => [key, space[key][Math.floor(random() * space[key].length)]])
+    );
+    const id = JSON.stringify(config);
+    if (!seen.has(id)) {
+      seen.add(id);
+      configs.push(config);
+    }
+  }
+  return configs;
+}
+
+export function compareTrials(objective) {
+  const { direction } = SEARCH_OBJECTIVES[objective];
+  return (a, b) => {
+    const left = a[objective];
+    const right = b[objective];
+    if (!Number.isFinite(left)) return Number.isFinite(right) ? 1 : 0;
+    if (!Number.isFinite(right)) return -1;
+    return direction === 'min' ? left - right : right - left;
+  };
+}
+
+// Trains on the training split up to the shared validation block and scores on that block.
+async function runTrial({ dataLoader, params, epochs, batchSize, validationBlock, modelOptions, shouldStop }) {
+  dataLoader.configure({ sequenceLength: params.sequenceLength, horizon: params.horizon });
+  const fold = dataLoader.planValidation({ block: validationBlock });
+  const dataset = await dataLoader.prepareFold(fold);
+  const model = new StockGRUModel(
+    StockGRUModel.configFromDataset(dataset, {
+      ...modelOptions,
+      unitsFirst: params.unitsFirst,
+      unitsSecond: params.unitsSecond,
+      dropoutRate: params.dropoutRate,
+      learningRate: params.learningRate,
+    })
+  );
+
+  try {
+    await model.train(dataset.X_train, dataset.y_train, {
+      epochs,
+      batchSize,
+      validationSplit: 0,
+      callbacks: {
+        onBatchEnd: () => {
+          if (shouldStop?.()) model.requestStop();
+        },
+      },
+    });
+    const scores = await model.evaluateLoss(dataset.X_test, dataset.y_test);
+    const prediction = await model.predict(dataset.X_test);
+    const accuracies = await model.evaluateStockAccuracies(dataset.y_test, prediction);
+    prediction.dispose();
+    return {
+      loss: scores.loss,
+      accuracy: mean(accuracies),
+      trainSize: dataset.trainDates.length,
+      validationSize: dataset.testDates.length,
+      validationStartDate: fold.testStartDate,
+      validationEndDate: fold.testEndDate,
+      stopped: model.trainingStopped,
+    };
+  } finally {
+    dataset.dispose();
+    await model.dispose();
+  }
+}
+
+// Runs every trial on its own copy of the loader so sequenceLength/horizon changes never leak into the app.
+// Successive halving retrains the surviving configs from scratch with eta times more epochs per rung.
+export async function runSearch({
+  dataLoader,
+  strategy = 'random',
+  space,
+  trialCount = 10,
+  seed = 1,
+  epochs = 10,
+  batchSize = 32,
+  validationFraction = 0.2,
+  objective = 'loss',
+  eta = 3,
+  modelOptions = {},
+  callbacks = {},
+}) {
+  if (!SEARCH_STRATEGIES[strategy]) {
+    throw new Error(`Unknown search strategy "${strategy}".`);
+  }
+  if (!SEARCH_OBJECTIVES[objective]) {
+    throw new Error(`Unknown search objective "${objective}".`);
+  }
+  SEARCH_PARAMETERS.forEach((key) => {
+    if (!Array.isArray(space[key]) || space[key].length === 0) {
+      throw new Error(`Search space for "${key}" needs at least one value.`);
+    }
+  });
+
+  // Trials with different horizons predict different targets, so their validation scores cannot be ranked.
+  if (space.horizon.length > 1) {
+    throw new Error('Search one horizon at a time; scores of different horizons cannot be compared.');
+  }
+
+  const { onTrialBegin, onTrialEnd, shouldStop } = callbacks;
+  const loader = dataLoader.clone();
+  const trials = [];
+  // Every trial is scored on the same dates: the validation block of the shortest sequence length. A longer sequence
+  // only moves the test split later, so the block stays clear of every trial's test split.
+  loader.configure({ sequenceLength: Math.min(...space.sequenceLength), horizon: space.horizon[0] });
+  const validationBlock = loader.planValidation({ fraction: validationFraction });
+
+  const evaluate = async (configs, rung, rungEpochs) => {
+    const rungTrials = [];
+    for (const params of configs) {
+      if (shouldStop?.()) break;
+      const trial = { id: trials.length + 1, rung, epochs: rungEpochs, params, status: 'running' };
+      trials.push(trial);
+      if (onTrialBegin) await onTrialBegin(trial);
+
+      const started = Date.now();
+      try {
+        Object.assign(
+          trial,
+          await runTrial({
+            dataLoader: loader,
+            params,
+            epochs: rungEpochs,
+            batchSize,
+            validationBlock,
+            modelOptions,
+            shouldStop,
+          })
+        );
+        trial.status = trial.stopped ? 'stopped' : 'done';
+      } catch (error) {
+        trial.status = 'failed';
+        trial.error = error.message;
+      }
+      trial.durationMs = Date.now() - started;
+      rungTrials.push(trial);
+      if (onTrialEnd) await onTrialEnd(trial);
+    }
+    return rungTrials;
+  };
+
+  if (strategy === 'halving') {
+    let survivors = randomConfigs(space, trialCount, seed);
+    const rungs = Math.max(1, Math.floor(Math.log(survivors.length) / Math.log(eta)) + 1);
+    for (let rung = 0; rung < rungs && survivors.length > 0; rung += 1) {
+      const rungEpochs = Math.max(1, Math.round(epochs / eta ** (rungs - 1 - rung)));
+      const ranked = (await evaluate(survivors, rung, rungEpochs))
+        .filter((trial) => trial.status === 'done')
+        .sort(compareTrials(objective));
+      if (shouldStop?.()) break;
+      survivors = ranked.slice(0, Math.max(1, Math.floor(ranked.length / eta))).map((trial) => trial.params);
+    }
+  } else {
+    const configs = strategy === 'grid' ? gridConfigs(space) : randomConfigs(space, trialCount, seed);
+    await evaluate(configs, 0, epochs);
+  }
+
+  // With halving only the last rung saw the full budget, so the best trial comes from the highest rung reached.
+  const finished = trials.filter((trial) => trial.status === 'done');
+  const topRung = Math.max(-1, ...finished.map((trial) => trial.rung));
+  const best = finished.filter((trial) => trial.rung === topRung).sort(compareTrials(objective))[0] ?? null;
+  return { strategy, objective, trials, best };
+}
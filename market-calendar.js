@@ -0,0 +1,101 @@
+// Trading calendars for the dates after the last loaded close, where the data cannot say which days the exchange
+// is open. "nyse" skips weekends and the regular NYSE holidays; one-off closures (e.g. national days of mourning)
+// are not rule-based and can be passed as extra `holidays`.
+
+export const CALENDARS = {
+  nyse: 'NYSE holidays',
+  weekdays: 'Weekdays only',
+};
+
+const iso = (year, month, day) => new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+
+// The nth `weekday` (0 = Sunday) of a month; a negative n counts from the end of the month.
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    return iso(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month + 1, 0));
+  const offset = (lastDay.getUTCDay() - weekday + 7) % 7;
+  return iso(year, month, lastDay.getUTCDate() - offset + (n + 1) * 7);
+}
+
+// Saturday holidays are observed on the Friday before and Sunday holidays on the Monday after.
+function observed(year, month, day) {
+  const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+  if (weekday === 6) return iso(year, month, day - 1);
+  if (weekday === 0) return iso(year, month, day + 1);
+  return iso(year, month, day);
+}
+
+// Anonymous Gregorian algorithm.
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month: month - 1, day };
+}
+
+export function nyseHolidays(year) {
+  const easter = easterSunday(year);
+  const holidays = [
+    nthWeekday(year, 0, 1, 3), // Martin Luther King Jr. Day
+    nthWeekday(year, 1, 1, 3), // Washington's Birthday
+    iso(year, easter.month, easter.day - 2), // Good Friday
+    nthWeekday(year, 4, 1, -1), // Memorial Day
+    observed(year, 6, 4),
+    nthWeekday(year, 8, 1, 1), // Labor Day
+    nthWeekday(year, 10, 4, 4), // Thanksgiving
+    observed(year, 11, 25),
+  ];
+  // New Year's Day on a Saturday is not made up on the Friday before, which belongs to the previous year.
+  if (new Date(Date.UTC(year, 0, 1)).getUTCDay() !== 6) holidays.push(observed(year, 0, 1));
+  if (year >= 2022) holidays.push(observed(year, 5, 19)); // Juneteenth
+  return holidays.sort();
+}
+
+export function isTradingDay(date, { calendar = 'nyse', holidays = [] } = {}) {
+  if (!CALENDARS[calendar]) {
+    throw new Error(`Unknown trading calendar "${calendar}". Expected one of: ${Object.keys(CALENDARS).join(', ')}.`);
+  }
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  if (day === 0 || day === 6 || holidays.includes(date)) return false;
+  return calendar !== 'nyse' || !nyseHolidays(Number(date.slice(0, 4))).includes(date);
+}
+
+// The `count` trading days after `date` (an ISO date) under the given calendar and extra holidays.
+export function nextTradingDates(date, count, options = {}) {
+  const result = [];
+  const cursor = new Date(`${date}T00:00:00Z`);
+  while (result.length < count) {
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+    const next = cursor.toISOString().slice(0, 10);
+    if (isTradingDay(next, options)) result.push(next);
+  }
+  return result;
+}
+
+// "2025-01-09, 2025-01-10" → ['2025-01-09', '2025-01-10'].
+export function parseHolidays(text = '') {
+  return text
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(entry) || Number.isNaN(Date.parse(`${entry}T00:00:00Z`))) {
+        throw new Error(`Holiday "${entry}" must be an ISO date like 2025-01-09.`);
+      }
+      return entry;
+    });
+}
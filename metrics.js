@@ -0,0 +1,222 @@
+const EPSILON = 1e-7;
+
+export const METRIC_KEYS = ['accuracy', 'precision', 'recall', 'f1', 'mcc', 'brier', 'logLoss', 'rocAuc'];
+export const BASELINES = {
+  alwaysUp: 'Always up',
+  persistence: 'Persistence',
+  majority: 'Train majority',
+};
+
+const mean = (values) => {
+  const finite = values.filter(Number.isFinite);
+  return finite.length ? finite.reduce((sum, value) => sum + value, 0) / finite.length : NaN;
+};
+
+const argMax = (values) => values.reduce((best, value, index) => (value > values[best] ? index : best), 0);
+
+// Mann-Whitney U with average ranks for ties; NaN when one of the classes is absent.
+export function rocAuc(scores, positives) {
+  const positiveCount = positives.filter(Boolean).length;
+  const negativeCount = positives.length - positiveCount;
+  if (positiveCount === 0 || negativeCount === 0) return NaN;
+
+  const order = scores.map((score, index) => ({ score, positive: positives[index] })).sort((a, b) => a.score - b.score);
+  let rankSum = 0;
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].score === order[start].score) end += 1;
+    const averageRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i += 1) {
+      if (order[i].positive) rankSum += averageRank;
+    }
+    start = end + 1;
+  }
+  return (rankSum - (positiveCount * (positiveCount + 1)) / 2) / (positiveCount * negativeCount);
+}
+
+// labels/predicted are class indices. probabilities (one vector per sample) enable Brier, log loss and AUC;
+// scores is an alternative ranking signal for the positive class when no probabilities exist (regression).
+// With two classes precision/recall/F1 refer to class 1 (up); with more they are macro averages.
+export function classificationMetrics({ labels, predicted, probabilities = null, scores = null, classCount = 2 }) {
+  const count = labels.length;
+  if (count === 0) {
+    return Object.fromEntries([['count', 0], ...METRIC_KEYS.map((key) => [key, NaN])]);
+  }
+
+  const confusion = Array.from({ length: classCount }, () => new Array(classCount).fill(0));
+  labels.forEach((label, index) => {
+    confusion[label][predicted[index]] += 1;
+  });
+
+  const truePerClass = confusion.map((row) => row.reduce((sum, value) => sum + value, 0));
+  const predictedPerClass = confusion[0].map((_, column) => confusion.reduce((sum, row) => sum + row[column], 0));
+  const correct = confusion.reduce((sum, row, index) => sum + row[index], 0);
+
+  const perClass = confusion.map((row, k) => {
+    const precision = predictedPerClass[k] ? row[k] / predictedPerClass[k] : 0;
+    const recall = truePerClass[k] ? row[k] / truePerClass[k] : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    return { precision, recall, f1 };
+  });
+  const reported = classCount === 2 ? [perClass[1]] : perClass;
+
+  const covariance = correct * count - predictedPerClass.reduce((sum, p, k) => sum + p * truePerClass[k], 0);
+  const predictedSpread = count ** 2 - predictedPerClass.reduce((sum, p) => sum + p ** 2, 0);
+  const trueSpread = count ** 2 - truePerClass.reduce((sum, t) => sum + t ** 2, 0);
+  const mccDenominator = Math.sqrt(predictedSpread * trueSpread);
+
+  let brier = NaN;
+  let logLoss = NaN;
+  let auc = NaN;
+  if (probabilities) {
+    brier = mean(
+      probabilities.map((vector, index) =>
+        classCount === 2
+          ? (vector[1] - labels[index]) ** 2
+          : vector.reduce((sum, p, k) => sum + (p - (labels[index] === k ? 1 : 0)) ** 2, 0)
+      )
+    );
+    logLoss = mean(
+      probabilities.map((vector, index) => -Math.log(Math.min(1 - EPSILON, Math.max(EPSILON, vector[labels[index]]))))
+    );
+    auc =
+      classCount === 2
+        ? rocAuc(
+            probabilities.map((vector) => vector[1]),
+            labels.map((label) => label === 1)
+          )
+        : mean(
+            Array.from({ length: classCount }, (_, k) =>
+              rocAuc(
+                probabilities.map((vector) => vector[k]),
+                labels.map((label) => label === k)
+              )
+            )
+          );
+  } else if (scores) {
+    auc = rocAuc(
+      scores,
+      labels.map((label) => label === classCount - 1)
+    );
+  }
+
+  return {
+    count,
+    accuracy: correct / count,
+    precision: mean(reported.map(({ precision }) => precision)),
+    recall: mean(reported.map(({ recall }) => recall)),
+    f1: mean(reported.map(({ f1 }) => f1)),
+    mcc: mccDenominator ? covariance / mccDenominator : 0,
+    brier,
+    logLoss,
+    rocAuc: auc,
+  };
+}
+
+// Turns one cell (sample × output) of a model output or label tensor into a class index, keeping the
+// probability vector or ranking score where the target mode provides one.
+function decodeCell(targetMode, value) {
+  if (targetMode === 'multiclass') {
+    return { label: argMax(value), probabilities: value };
+  }
+  if (targetMode === 'regression') {
+    return { label: value > 0 ? 1 : 0, score: value };
+  }
+  return { label: value >= 0.5 ? 1 : 0, probabilities: [1 - value, value] };
+}
+
+const decodeLabel = (targetMode, value) => {
+  if (value === null || value === undefined) return null;
+  if (targetMode === 'multiclass') return Array.isArray(value) ? argMax(value) : value;
+  if (targetMode === 'regression') return value > 0 ? 1 : 0;
+  return Math.round(value);
+};
+
+// predictions/actual/trainActual are the nested arrays of the model output and label tensors.
+// trailingLabels holds the label of the move that ended at each test anchor (persistence baseline).
+export function evaluatePredictions({
+  predictions,
+  actual,
+  trainActual,
+  trailingLabels = null,
+  targetMode = 'binary',
+  stockSymbols,
+  horizon,
+}) {
+  const classCount = targetMode === 'multiclass' ? 3 : 2;
+  const upClass = classCount - 1;
+  const cells = [];
+
+  stockSymbols.forEach((symbol, s) => {
+    for (let h = 0; h < horizon; h += 1) {
+      const offset = s * horizon + h;
+      const labels = actual.map((row) => decodeLabel(targetMode, row[offset]));
+      const decoded = predictions.map((row) => decodeCell(targetMode, row[offset]));
+      const hasProbabilities = targetMode !== 'regression';
+
+      const trainLabels = trainActual.map((row) => decodeLabel(targetMode, row[offset]));
+      const frequencies = new Array(classCount).fill(0);
+      trainLabels.forEach((label) => {
+        frequencies[label] += 1 / trainLabels.length;
+      });
+      const majorityClass = argMax(frequencies);
+
+      const persistencePairs = labels
+        .map((label, index) => ({ label, predicted: decodeLabel(targetMode, trailingLabels?.[index]?.[offset]) }))
+        .filter(({ predicted }) => predicted !== null);
+
+      cells.push({
+        symbol,
+        horizon: h + 1,
+        count: labels.length,
+        upRate: labels.filter((label) => label === upClass).length / labels.length,
+        model: classificationMetrics({
+          labels,
+          predicted: decoded.map(({ label }) => label),
+          probabilities: hasProbabilities ? decoded.map(({ probabilities }) => probabilities) : null,
+          scores: hasProbabilities ? null : decoded.map(({ score }) => score),
+          classCount,
+        }),
+        baselines: {
+          alwaysUp: classificationMetrics({ labels, predicted: labels.map(() => upClass), classCount }),
+          persistence: classificationMetrics({
+            labels: persistencePairs.map(({ label }) => label),
+            predicted: persistencePairs.map(({ predicted }) => predicted),
+            classCount,
+          }),
+          majority: classificationMetrics({
+            labels,
+            predicted: labels.map(() => majorityClass),
+            probabilities: labels.map(() => frequencies),
+            classCount,
+          }),
+        },
+      });
+    }
+  });
+
+  return { classCount, cells, summary: summarizeCells(cells) };
+}
+
+// Unweighted means over stock × horizon cells, grouped by horizon and overall.
+export function summarizeCells(cells) {
+  const average = (group) => {
+    const pick = (select) =>
+      Object.fromEntries(METRIC_KEYS.map((key) => [key, mean(group.map((cell) => select(cell)[key]))]));
+    return {
+      upRate: mean(group.map((cell) => cell.upRate)),
+      model: pick((cell) => cell.model),
+      baselines: Object.fromEntries(Object.keys(BASELINES).map((name) => [name, pick((cell) => cell.baselines[name])])),
+    };
+  };
+
+  const horizons = Array.from(new Set(cells.map((cell) => cell.horizon))).sort((a, b) => a - b);
+  return {
+    byHorizon: horizons.map((horizon) => ({
+      horizon,
+      ...average(cells.filter((cell) => cell.horizon === horizon)),
+    })),
+    overall: average(cells),
+  };
+}
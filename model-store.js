@@ -0,0 +1,91 @@
+import { StockGRUModel } from './gru.js';
+import { getTF } from './tf-runtime.js';
+
+const NAMESPACE = 'stock-gru';
+
+export const STORAGE_SCHEMES = {
+  indexeddb: 'indexeddb://',
+  localstorage: 'localstorage://',
+};
+
+const validateName = (name) => {
+  const trimmed = (name ?? '').trim();
+  if (!trimmed) {
+    throw new Error('Model name cannot be empty.');
+  }
+  if (trimmed.includes('/')) {
+    throw new Error('Model name cannot contain "/".');
+  }
+  return trimmed;
+};
+
+const modelUrlPrefix = (storage) => `${STORAGE_SCHEMES[storage]}${NAMESPACE}/`;
+
+export function modelUrl(storage, name) {
+  const scheme = STORAGE_SCHEMES[storage];
+  if (!scheme) {
+    throw new Error(`Unknown model storage "${storage}".`);
+  }
+  return `${modelUrlPrefix(storage)}${validateName(name)}`;
+}
+
+export async function listSavedModels() {
+  const tf = await getTF();
+  const models = await tf.io.listModels();
+  return Object.entries(models)
+    .map(([url, info]) => {
+      const storage = Object.keys(STORAGE_SCHEMES).find((key) => url.startsWith(modelUrlPrefix(key)));
+      if (!storage) return null;
+      return {
+        url,
+        storage,
+        name: url.slice(modelUrlPrefix(storage).length),
+        dateSaved: info.dateSaved ? new Date(info.dateSaved) : null,
+        bytes: (info.modelTopologyBytes ?? 0) + (info.weightSpecsBytes ?? 0) + (info.weightDataBytes ?? 0),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.dateSaved?.getTime() ?? 0) - (a.dateSaved?.getTime() ?? 0));
+}
+
+export async function saveModel(model, storage, name) {
+  return model.save(modelUrl(storage, name));
+}
+
+export async function loadModel(storage, name) {
+  return StockGRUModel.load(modelUrl(storage, name));
+}
+
+// tf.io.moveModel would silently replace a model already saved under the new name.
+export async function renameModel(storage, name, newName) {
+  const tf = await getTF();
+  const target = modelUrl(storage, newName);
+  if (target in (await tf.io.listModels())) {
+    throw new Error(`A model named "${validateName(newName)}" is already saved there; delete or rename it first.`);
+  }
+  return tf.io.moveModel(modelUrl(storage, name), target);
+}
+
+export async function deleteModel(storage, name) {
+  const tf = await getTF();
+  return tf.io.removeModel(modelUrl(storage, name));
+}
+
+export async function downloadModel(model, name) {
+  return model.save(`downloads://${validateName(name)}`);
+}
+
+// Expects the model.json plus every weight shard it references, as picked in a multi-file input.
+export async function uploadModel(files) {
+  const tf = await getTF();
+  const list = Array.from(files ?? []);
+  const jsonFile = list.find((file) => file.name.endsWith('.json'));
+  if (!jsonFile) {
+    throw new Error('Select the model .json file together with its weight files.');
+  }
+  const weightFiles = list.filter((file) => file !== jsonFile);
+  if (weightFiles.length === 0) {
+    throw new Error('No weight files were selected alongside the model .json file.');
+  }
+  return StockGRUModel.load(tf.io.browserFiles([jsonFile, ...weightFiles]));
+}
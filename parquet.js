@@ -0,0 +1,374 @@
+// A minimal Apache Parquet reader for quote files: flat schemas (no nested or repeated columns), PLAIN and
+// dictionary encodings, v1 and v2 data pages, uncompressed or Snappy. The footer and page headers are Thrift
+// compact-protocol structs, which are decoded generically into objects keyed by field id.
+
+const MAGIC = 'PAR1';
+const TYPES = ['BOOLEAN', 'INT32', 'INT64', 'INT96', 'FLOAT', 'DOUBLE', 'BYTE_ARRAY', 'FIXED_LEN_BYTE_ARRAY'];
+const CODECS = ['UNCOMPRESSED', 'SNAPPY', 'GZIP', 'LZO', 'BROTLI', 'LZ4', 'ZSTD', 'LZ4_RAW'];
+const ENCODINGS = [
+  'PLAIN',
+  'GROUP_VAR_INT',
+  'PLAIN_DICTIONARY',
+  'RLE',
+  'BIT_PACKED',
+  'DELTA_BINARY_PACKED',
+  'DELTA_LENGTH_BYTE_ARRAY',
+  'DELTA_BYTE_ARRAY',
+  'RLE_DICTIONARY',
+  'BYTE_STREAM_SPLIT',
+];
+const PAGE_TYPES = { data: 0, dictionary: 2, dataV2: 3 };
+const REPETITION = { optional: 1, repeated: 2 };
+const CONVERTED = { decimal: 5, date: 6, timestampMillis: 9, timestampMicros: 10 };
+const MS_PER_DAY = 86400000;
+
+const utf8 = new TextDecoder();
+
+export function isParquet(bytes) {
+  return bytes.length >= 4 && utf8.decode(bytes.subarray(0, 4)) === MAGIC;
+}
+
+const byteReader = (bytes, offset = 0) => ({
+  bytes,
+  view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+  offset,
+});
+
+function nextByte(reader) {
+  if (reader.offset >= reader.bytes.length) {
+    throw new Error('The Parquet file ends unexpectedly.');
+  }
+  const byte = reader.bytes[reader.offset];
+  reader.offset += 1;
+  return byte;
+}
+
+// Unsigned LEB128; plain arithmetic keeps values above 2^31 exact up to 2^53.
+function readVarint(reader) {
+  let result = 0;
+  let factor = 1;
+  for (;;) {
+    const byte = nextByte(reader);
+    result += (byte & 0x7f) * factor;
+    if (byte < 0x80) return result;
+    factor *= 128;
+  }
+}
+
+const zigzag = (value) => (value % 2 === 0 ? value / 2 : -(value + 1) / 2);
+
+function readLittleEndian(reader, byteCount) {
+  let value = 0;
+  for (let i = 0; i < byteCount; i += 1) value += nextByte(reader) * 2 ** (8 * i);
+  return value;
+}
+
+function readThrift(reader, type) {
+  switch (type) {
+    case 1:
+      return true;
+    case 2:
+      return false;
+    case 3:
+      return (nextByte(reader) << 24) >> 24;
+    case 4:
+    case 5:
+    case 6:
+      return zigzag(readVarint(reader));
+    case 7: {
+      const value = reader.view.getFloat64(reader.offset, true);
+      reader.offset += 8;
+      return value;
+    }
+    case 8: {
+      const length = readVarint(reader);
+      const value = reader.bytes.subarray(reader.offset, reader.offset + length);
+      reader.offset += length;
+      return value;
+    }
+    case 9:
+    case 10: {
+      const header = nextByte(reader);
+      const size = header >> 4 === 15 ? readVarint(reader) : header >> 4;
+      const elementType = header & 0x0f;
+      // Booleans in lists are one byte each rather than part of a field header.
+      const readElement =
+        elementType === 1 || elementType === 2 ? () => nextByte(reader) === 1 : () => readThrift(reader, elementType);
+      return Array.from({ length: size }, readElement);
+    }
+    case 11: {
+      const size = readVarint(reader);
+      if (size === 0) return new Map();
+      const types = nextByte(reader);
+      return new Map(
+        Array.from({ length: size }, () => [readThrift(reader, types >> 4), readThrift(reader, types & 0x0f)])
+      );
+    }
+    case 12:
+      return readStruct(reader);
+    default:
+      throw new Error(`Unsupported Thrift type ${type} in the Parquet metadata.`);
+  }
+}
+
+function readStruct(reader) {
+  const struct = {};
+  let fieldId = 0;
+  for (;;) {
+    const header = nextByte(reader);
+    if (header === 0) return struct;
+    fieldId = header >> 4 === 0 ? zigzag(readVarint(reader)) : fieldId + (header >> 4);
+    struct[fieldId] = readThrift(reader, header & 0x0f);
+  }
+}
+
+// Snappy raw format: the uncompressed length as a varint, then literals and back-references into the output.
+function snappyDecompress(input, expectedLength) {
+  const reader = byteReader(input);
+  const length = readVarint(reader);
+  if (length !== expectedLength) {
+    throw new Error('Corrupt Snappy page in the Parquet file.');
+  }
+  const output = new Uint8Array(length);
+  let position = 0;
+  while (reader.offset < input.length) {
+    const tag = nextByte(reader);
+    const kind = tag & 3;
+    if (kind === 0) {
+      const size = (tag >> 2 < 60 ? tag >> 2 : readLittleEndian(reader, (tag >> 2) - 59)) + 1;
+      if (reader.offset + size > input.length || position + size > length) {
+        throw new Error('Corrupt Snappy page in the Parquet file.');
+      }
+      output.set(input.subarray(reader.offset, reader.offset + size), position);
+      reader.offset += size;
+      position += size;
+    } else {
+      const size = kind === 1 ? ((tag >> 2) & 7) + 4 : (tag >> 2) + 1;
+      const offset = kind === 1 ? ((tag >> 5) << 8) + nextByte(reader) : readLittleEndian(reader, kind === 2 ? 2 : 4);
+      if (offset === 0 || offset > position || position + size > length) {
+        throw new Error('Corrupt Snappy page in the Parquet file.');
+      }
+      // Byte by byte, since a copy may overlap the bytes it produces.
+      for (let i = 0; i < size; i += 1) {
+        output[position] = output[position - offset];
+        position += 1;
+      }
+    }
+  }
+  if (position !== length) {
+    throw new Error('Corrupt Snappy page in the Parquet file.');
+  }
+  return output;
+}
+
+function decompress(bytes, column, uncompressedSize) {
+  if (column.codec === 'UNCOMPRESSED') return bytes;
+  if (column.codec === 'SNAPPY') return snappyDecompress(bytes, uncompressedSize);
+  throw new Error(
+    `Parquet column "${column.name}" is ${column.codec}-compressed; only uncompressed and Snappy files can be read.`
+  );
+}
+
+// The RLE / bit-packing hybrid used for definition levels and dictionary indices.
+function readHybrid(bytes, bitWidth, count) {
+  const reader = byteReader(bytes);
+  const values = [];
+  while (values.length < count) {
+    const header = readVarint(reader);
+    if (header % 2 === 1) {
+      // Groups of eight values packed least significant bit first.
+      let buffer = 0;
+      let bits = 0;
+      for (let i = 0; i < Math.floor(header / 2) * 8; i += 1) {
+        while (bits < bitWidth) {
+          buffer += nextByte(reader) * 2 ** bits;
+          bits += 8;
+        }
+        values.push(buffer % 2 ** bitWidth);
+        buffer = Math.floor(buffer / 2 ** bitWidth);
+        bits -= bitWidth;
+      }
+    } else {
+      const value = readLittleEndian(reader, Math.ceil(bitWidth / 8));
+      for (let i = 0; i < header / 2; i += 1) values.push(value);
+    }
+  }
+  return values.slice(0, count);
+}
+
+function decodePlain(bytes, column, count) {
+  const reader = byteReader(bytes);
+  const { view } = reader;
+  const fixed = (size, read) => Array.from({ length: count }, (_, i) => read(i * size));
+  switch (column.type) {
+    case 'BOOLEAN':
+      return Array.from({ length: count }, (_, i) => ((bytes[i >> 3] >> (i & 7)) & 1) === 1);
+    case 'INT32':
+      return fixed(4, (offset) => view.getInt32(offset, true));
+    case 'INT64':
+      return fixed(8, (offset) => view.getBigInt64(offset, true));
+    case 'FLOAT':
+      return fixed(4, (offset) => view.getFloat32(offset, true));
+    case 'DOUBLE':
+      return fixed(8, (offset) => view.getFloat64(offset, true));
+    case 'BYTE_ARRAY':
+      return Array.from({ length: count }, () => {
+        const length = view.getUint32(reader.offset, true);
+        reader.offset += 4 + length;
+        return bytes.subarray(reader.offset - length, reader.offset);
+      });
+    case 'FIXED_LEN_BYTE_ARRAY':
+      return fixed(column.typeLength, (offset) => bytes.subarray(offset, offset + column.typeLength));
+    default:
+      throw new Error(`Parquet column "${column.name}" has type ${column.type}, which cannot be read.`);
+  }
+}
+
+// Big-endian two's complement, as FIXED_LEN_BYTE_ARRAY decimals are stored.
+const bigEndianInteger = (bytes) =>
+  BigInt.asIntN(
+    bytes.length * 8,
+    bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n)
+  );
+
+function convert(value, column) {
+  if (column.date) return new Date(value * MS_PER_DAY).toISOString().slice(0, 10);
+  if (column.timestampDivisor) return new Date(Number(value / column.timestampDivisor)).toISOString();
+  if (column.scale !== null) {
+    const unscaled = value instanceof Uint8Array ? bigEndianInteger(value) : value;
+    return Number(unscaled) / 10 ** column.scale;
+  }
+  if (value instanceof Uint8Array) return utf8.decode(value);
+  return typeof value === 'bigint' ? Number(value) : value;
+}
+
+function decodeValues(bytes, encoding, count, column, dictionary) {
+  if (encoding === 'PLAIN') return decodePlain(bytes, column, count).map((value) => convert(value, column));
+  if (encoding === 'PLAIN_DICTIONARY' || encoding === 'RLE_DICTIONARY') {
+    if (!dictionary) {
+      throw new Error(`Parquet column "${column.name}" uses a dictionary it does not contain.`);
+    }
+    return readHybrid(bytes.subarray(1), bytes[0], count).map((index) => dictionary[index]);
+  }
+  if (encoding === 'RLE' && column.type === 'BOOLEAN') {
+    const length = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true);
+    return readHybrid(bytes.subarray(4, 4 + length), 1, count).map((bit) => bit === 1);
+  }
+  throw new Error(`Parquet column "${column.name}" uses the ${encoding} encoding, which cannot be read.`);
+}
+
+// Optional columns store a definition level per value (1 = present) and only the present values.
+function withNulls(levels, values) {
+  if (!levels) return values;
+  let next = 0;
+  return levels.map((level) => {
+    if (level === 0) return null;
+    next += 1;
+    return values[next - 1];
+  });
+}
+
+function readColumnChunk(bytes, meta, column) {
+  const chunk = { ...column, codec: CODECS[meta[4]] ?? `codec ${meta[4]}` };
+  const valueCount = meta[5];
+  // Some writers store a dictionary page offset of 0 when there is no dictionary.
+  const start = meta[11] > 0 ? Math.min(meta[11], meta[9]) : meta[9];
+  const reader = byteReader(bytes, start);
+  let values = [];
+  let dictionary = null;
+
+  while (values.length < valueCount) {
+    const header = readStruct(reader);
+    const page = bytes.subarray(reader.offset, reader.offset + header[3]);
+    reader.offset += header[3];
+
+    if (header[1] === PAGE_TYPES.dictionary) {
+      const data = decompress(page, chunk, header[2]);
+      dictionary = decodePlain(data, chunk, header[7][1]).map((value) => convert(value, chunk));
+    } else if (header[1] === PAGE_TYPES.data) {
+      const { 1: count, 2: encoding } = header[5];
+      const data = decompress(page, chunk, header[2]);
+      let levels = null;
+      let body = data;
+      if (chunk.optional) {
+        const levelsLength = new DataView(data.buffer, data.byteOffset, 4).getUint32(0, true);
+        levels = readHybrid(data.subarray(4, 4 + levelsLength), 1, count);
+        body = data.subarray(4 + levelsLength);
+      }
+      const present = levels ? levels.filter((level) => level === 1).length : count;
+      values = values.concat(withNulls(levels, decodeValues(body, ENCODINGS[encoding], present, chunk, dictionary)));
+    } else if (header[1] === PAGE_TYPES.dataV2) {
+      const {
+        1: count,
+        2: nullCount,
+        4: encoding,
+        5: definitionLength,
+        6: repetitionLength,
+        7: compressed,
+      } = header[8];
+      // v2 pages keep their levels uncompressed in front of the (possibly compressed) values.
+      const levelsEnd = repetitionLength + definitionLength;
+      const levels = chunk.optional ? readHybrid(page.subarray(repetitionLength, levelsEnd), 1, count) : null;
+      const body =
+        compressed === false
+          ? page.subarray(levelsEnd)
+          : decompress(page.subarray(levelsEnd), chunk, header[2] - levelsEnd);
+      values = values.concat(
+        withNulls(levels, decodeValues(body, ENCODINGS[encoding], count - nullCount, chunk, dictionary))
+      );
+    }
+  }
+  return values;
+}
+
+function describeColumn(element) {
+  const name = utf8.decode(element[4]);
+  if (element[5] > 0 || element[3] === REPETITION.repeated) {
+    throw new Error(`Parquet column "${name}" is nested or repeated; only flat tables can be read.`);
+  }
+  const logical = element[10] ?? {};
+  const unit = logical[8]?.[2];
+  let timestampDivisor = null;
+  if (element[6] === CONVERTED.timestampMillis || unit?.[1]) timestampDivisor = 1n;
+  else if (element[6] === CONVERTED.timestampMicros || unit?.[2]) timestampDivisor = 1000n;
+  else if (unit?.[3]) timestampDivisor = 1000000n;
+  let scale = null;
+  if (element[6] === CONVERTED.decimal) scale = element[7] ?? 0;
+  else if (logical[5]) scale = logical[5][1] ?? 0;
+
+  return {
+    name,
+    type: TYPES[element[1]],
+    typeLength: element[2],
+    optional: element[3] === REPETITION.optional,
+    date: element[6] === CONVERTED.date || Boolean(logical[6]),
+    timestampDivisor,
+    scale,
+  };
+}
+
+// Column arrays keyed by column name, in file order: { date: ['2024-01-02', ...], close: [185.6, ...] }.
+// DATE columns become ISO dates, timestamps ISO date-times, decimals and 64-bit integers numbers, and strings
+// text. Missing values are null.
+export function readParquet(content) {
+  const bytes = content instanceof Uint8Array ? content : new Uint8Array(content);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (!isParquet(bytes) || bytes.length < 12 || utf8.decode(bytes.subarray(bytes.length - 4)) !== MAGIC) {
+    throw new Error('Not a Parquet file: the PAR1 markers are missing.');
+  }
+  const footerLength = view.getUint32(bytes.length - 8, true);
+  if (footerLength > bytes.length - 12) {
+    throw new Error('The Parquet footer is longer than the file.');
+  }
+  const metadata = readStruct(byteReader(bytes, bytes.length - 8 - footerLength));
+
+  const columns = metadata[2].slice(1).map(describeColumn);
+  const result = Object.fromEntries(columns.map((column) => [column.name, []]));
+  (metadata[4] ?? []).forEach((rowGroup) => {
+    rowGroup[1].forEach((chunk, index) => {
+      const column = columns[index];
+      result[column.name] = result[column.name].concat(readColumnChunk(bytes, chunk[3], column));
+    });
+  });
+  return result;
+}
@@ -0,0 +1,135 @@
+const EPSILON = 1e-8;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+
+const std = (values, center = mean(values)) =>
+  Math.sqrt(values.reduce((sum, value) => sum + (value - center) ** 2, 0) / (values.length || 1));
+
+const logReturns = (series) =>
+  Array.from(series, (value, index) => {
+    const previous = series[index - 1];
+    if (index === 0 || !(value > 0) || !(previous > 0)) return 0;
+    return Math.log(value / previous);
+  });
+
+export class MinMaxScaler {
+  static type = 'minmax';
+
+  constructor(options = {}, params = null) {
+    this.options = { ...options };
+    this.params = params;
+  }
+
+  fit(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach((value) => {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    });
+    this.params = { min, max };
+    return this;
+  }
+
+  transform(series) {
+    const { min, max } = this.#requireParams();
+    const range = max - min || 1;
+    return Array.from(series, (value) => (value - min) / range);
+  }
+
+  #requireParams() {
+    if (!this.params) throw new Error('MinMaxScaler must be fitted before transform.');
+    return this.params;
+  }
+}
+
+export class ZScoreScaler {
+  static type = 'zscore';
+
+  constructor(options = {}, params = null) {
+    this.options = { ...options };
+    this.params = params;
+  }
+
+  fit(values) {
+    const center = mean(values);
+    this.params = { mean: center, std: std(values, center) };
+    return this;
+  }
+
+  transform(series) {
+    if (!this.params) throw new Error('ZScoreScaler must be fitted before transform.');
+    const { mean: center, std: spread } = this.params;
+    const scale = spread > EPSILON ? spread : 1;
+    return Array.from(series, (value) => (value - center) / scale);
+  }
+}
+
+// Causal: each value is standardized against the trailing window ending at that date, so no fitted
+// statistic is needed except a fallback spread for flat windows.
+export class RollingZScoreScaler {
+  static type = 'rolling-zscore';
+
+  constructor(options = {}, params = null) {
+    this.options = { window: 20, ...options };
+    this.params = params;
+  }
+
+  fit(values) {
+    this.params = { fallbackStd: std(values) };
+    return this;
+  }
+
+  transform(series) {
+    if (!this.params) throw new Error('RollingZScoreScaler must be fitted before transform.');
+    const window = Math.max(2, this.options.window);
+    const values = Array.from(series);
+    return values.map((value, index) => {
+      const slice = values.slice(Math.max(0, index - window + 1), index + 1);
+      if (slice.length < 2) return 0;
+      const center = mean(slice);
+      const spread = std(slice, center);
+      const scale = spread > EPSILON ? spread : this.params.fallbackStd || 1;
+      return (value - center) / scale;
+    });
+  }
+}
+
+// Day-over-day log returns divided by the spread of training-period returns.
+export class LogReturnScaler {
+  static type = 'log-return';
+
+  constructor(options = {}, params = null) {
+    this.options = { ...options };
+    this.params = params;
+  }
+
+  fit(values) {
+    const returns = logReturns(values).slice(1);
+    this.params = { std: std(returns) };
+    return this;
+  }
+
+  transform(series) {
+    if (!this.params) throw new Error('LogReturnScaler must be fitted before transform.');
+    const scale = this.params.std > EPSILON ? this.params.std : 1;
+    return logReturns(series).map((value) => value / scale);
+  }
+}
+
+const SCALERS = new Map(
+  [MinMaxScaler, ZScoreScaler, RollingZScoreScaler, LogReturnScaler].map((ScalerClass) => [
+    ScalerClass.type,
+    ScalerClass,
+  ])
+);
+
+export const SCALER_TYPES = Array.from(SCALERS.keys());
+
+export function createScaler(type = 'minmax', options = {}, params = null) {
+  const ScalerClass = SCALERS.get(type);
+  if (!ScalerClass) {
+    throw new Error(`Unknown scaler "${type}". Expected one of: ${SCALER_TYPES.join(', ')}.`);
+  }
+  return new ScalerClass(options, params);
+}
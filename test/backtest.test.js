@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBacktest, targetWeights } from '../backtest.js';
+
+// One symbol that gains 10% a day: every long sleeve earns exactly that for each day it is open.
+const DATES = ['d0', 'd1', 'd2', 'd3', 'd4'];
+const CLOSES = DATES.map((_, t) => [100 * 1.1 ** t]);
+
+test('a D+1 backtest rebalances the whole book every day', () => {
+  const result = runBacktest({ dates: DATES, closes: CLOSES, scores: [[0.9], [0.9], [0.9], [0.9]], costBps: 0 });
+  assert.deepEqual(result.exitDates, ['d1', 'd2', 'd3', 'd4']);
+  assert.deepEqual(result.positions, [[1], [1], [1], [1]]);
+  result.returns.forEach((value) => assert.ok(Math.abs(value - 0.1) < 1e-12));
+});
+
+test('a D+h backtest holds each call for h days in overlapping sleeves', () => {
+  // Three calls held for two days: the book ramps up, holds both sleeves, then lets the last one run out.
+  const result = runBacktest({
+    dates: DATES,
+    closes: CLOSES,
+    scores: [[0.9], [0.9], [0.1]],
+    costBps: 0,
+    holdingDays: 2,
+  });
+  assert.equal(result.holdingDays, 2);
+  assert.deepEqual(result.dates, ['d0', 'd1', 'd2', 'd3']);
+  assert.deepEqual(result.positions, [[0.5], [1], [0.5], [0]]);
+  assert.deepEqual(
+    result.returns.map((value) => Math.round(value * 1e12) / 1e12),
+    [0.05, 0.1, 0.05, 0]
+  );
+
+  assert.throws(
+    () => runBacktest({ dates: DATES, closes: CLOSES, scores: [[0.9], [0.9], [0.9], [0.9]], holdingDays: 2 }),
+    /needs 2 more close row\(s\) than signal rows/
+  );
+});
+
+test('long/short bands must not overlap', () => {
+  assert.deepEqual(targetWeights([0.7, 0.5, 0.2], { strategy: 'longShort', longAbove: 0.6, shortBelow: 0.4 }), [
+    1 / 3,
+    0,
+    -1 / 3,
+  ]);
+  assert.throws(
+    () => targetWeights([0.5], { strategy: 'longShort', longAbove: 0.4, shortBelow: 0.6 }),
+    /short band \(below 0.6\) overlaps the long band \(above 0.4\)/
+  );
+  // The bands only matter for long/short.
+  assert.deepEqual(targetWeights([0.5], { longAbove: 0.4, shortBelow: 0.6 }), [1]);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectDateFormat,
+  detectDelimiter,
+  inferCsvMapping,
+  parseCsvRecords,
+  parseDate,
+  parseDelimited,
+  parseNumber,
+} from '../csv-parser.js';
+
+test('parseDelimited handles quotes, escaped quotes, CRLF, BOM and blank lines', () => {
+  const text = '\uFEFFDate,Note\r\n2024-01-02,"a, b"\r\n\r\n2024-01-03,"say ""hi"""\r\n';
+  assert.deepEqual(parseDelimited(text), [
+    { line: 1, fields: ['Date', 'Note'] },
+    { line: 2, fields: ['2024-01-02', 'a, b'] },
+    { line: 4, fields: ['2024-01-03', 'say "hi"'] },
+  ]);
+});
+
+test('parseDelimited keeps line breaks inside quotes and reports the starting line', () => {
+  const rows = parseDelimited('a,b\n"x\ny",1\nz,2');
+  assert.deepEqual(rows[1], { line: 2, fields: ['x\ny', '1'] });
+  assert.deepEqual(rows[2], { line: 4, fields: ['z', '2'] });
+  assert.throws(() => parseDelimited('a,b\n"open,1'), /Unterminated quoted field starting on line 2/);
+});
+
+test('detectDelimiter ignores delimiters inside quoted headers', () => {
+  assert.equal(detectDelimiter('Date;Symbol;Close\n2024-01-02;A;1,5'), ';');
+  assert.equal(detectDelimiter('"Date;Time"\tClose\n'), '\t');
+  assert.equal(detectDelimiter('Date\n'), ',');
+});
+
+test('parseDate validates calendar dates and formats', () => {
+  assert.equal(parseDate('2024-02-29', 'iso'), '2024-02-29');
+  assert.equal(parseDate('2023-02-29', 'iso'), null);
+  assert.equal(parseDate('2024-01-02T15:30:00Z', 'iso'), '2024-01-02');
+  assert.equal(parseDate('03/04/2024', 'mdy'), '2024-03-04');
+  assert.equal(parseDate('03/04/2024', 'dmy'), '2024-04-03');
+  assert.equal(parseDate('1704153600', 'unixSeconds'), '2024-01-02');
+  assert.equal(parseDate('1704153600000', 'unixMillis'), '2024-01-02');
+  assert.throws(() => parseDate('2024-01-02', 'julian'), /Unknown date format/);
+});
+
+test('detectDateFormat prefers MM/DD unless a day exceeds 12', () => {
+  assert.equal(detectDateFormat(['01/02/2024', '12/11/2024']), 'mdy');
+  assert.equal(detectDateFormat(['01/02/2024', '13/11/2024']), 'dmy');
+  assert.equal(detectDateFormat(['2024-01-02', '']), 'iso');
+  assert.equal(detectDateFormat(['yesterday']), null);
+});
+
+test('parseNumber reads currency, thousands separators and decimal commas', () => {
+  assert.equal(parseNumber('$1,234.50'), 1234.5);
+  assert.equal(parseNumber('12,5', ';'), 12.5);
+  assert.equal(parseNumber('12,5', ','), NaN);
+  assert.equal(parseNumber('1,234'), 1234);
+  assert.equal(parseNumber('-12,345,678'), -12345678);
+  assert.equal(parseNumber('1,234', ';'), 1.234);
+  assert.ok(Number.isNaN(parseNumber('')));
+});
+
+test('parseCsvRecords keeps quoted thousands in comma-delimited files', () => {
+  const text = 'Date,Symbol,Close,Volume\n2024-01-02,AAA,"1,234","12,345,678"\n2024-01-03,AAA,"1,240.5",900\n';
+  const { records, skipped } = parseCsvRecords(text, inferCsvMapping(text).mapping);
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(records.get('AAA').get('2024-01-02'), { close: 1234, volume: 12345678 });
+  assert.equal(records.get('AAA').get('2024-01-03').close, 1240.5);
+});
+
+test('inferCsvMapping detects long and wide layouts', () => {
+  const long = inferCsvMapping('Date,Ticker,Adj Close,Close,Volume\n2024-01-02,aapl,1,2,3\n');
+  assert.deepEqual(long.problems, []);
+  assert.equal(long.mapping.layout, 'long');
+  assert.equal(long.mapping.columns.close, 'Close');
+  assert.equal(long.mapping.columns.symbol, 'Ticker');
+
+  const wide = inferCsvMapping('date;AAA;BBB\n02/01/2024;1,5;2,5\n13/01/2024;1,6;2,6\n');
+  assert.equal(wide.mapping.layout, 'wide');
+  assert.equal(wide.mapping.delimiter, ';');
+  assert.equal(wide.mapping.dateFormat, 'dmy');
+});
+
+test('parseCsvRecords skips bad rows and reports duplicates, keeping the later row', () => {
+  const text = [
+    'Date,Symbol,Open,Close',
+    '2024-01-02,aaa,1,10',
+    '2024-01-03,AAA,1',
+    'not a date,AAA,1,11',
+    '2024-01-04,AAA,1,n/a',
+    '2024-01-04,,1,12',
+    '2024-01-02,AAA,1,13',
+  ].join('\n');
+  const { records, skipped, duplicates, rowCount } = parseCsvRecords(
+    text,
+    inferCsvMapping(text, { dateFormat: 'iso' }).mapping
+  );
+
+  assert.equal(rowCount, 6);
+  assert.deepEqual(Array.from(records.keys()), ['AAA']);
+  assert.deepEqual(records.get('AAA').get('2024-01-02'), { close: 13, open: 1 });
+  assert.deepEqual(
+    skipped.map(({ line }) => line),
+    [3, 4, 5, 6]
+  );
+  assert.match(skipped[0].reason, /expected 4 fields but found 3/);
+  assert.match(skipped[1].reason, /unreadable date/);
+  assert.match(skipped[2].reason, /non-numeric close/);
+  assert.equal(skipped[3].reason, 'missing symbol');
+  assert.deepEqual(duplicates, [{ line: 7, symbol: 'AAA', date: '2024-01-02' }]);
+});
+
+test('parseCsvRecords rejects files without records or known columns', () => {
+  const mapping = { layout: 'long', dateFormat: 'iso', columns: { date: 'Date', symbol: 'Symbol', close: 'Close' } };
+  assert.throws(() => parseCsvRecords('Date,Symbol,Close\n', mapping), /header row and at least one record/);
+  assert.throws(() => parseCsvRecords('Date,Ticker,Close\n2024-01-02,A,1\n', mapping), /symbol column "Symbol"/);
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KNOWN_SIGNALS, loadCsv, syntheticCsv, tradingDates } from './fixtures.js';
+
+// 20 days, windows of 3 and a 2-day horizon: anchors are days 2..17, 12 for training and 4 for testing.
+const DAYS = 20;
+const OPTIONS = { sequenceLength: 3, horizon: 2, splitRatio: 0.8 };
+
+async function prepare(options = {}) {
+  const loader = await loadCsv(syntheticCsv(KNOWN_SIGNALS, DAYS), { ...OPTIONS, ...options });
+  const dataset = await loader.prepareDataset();
+  return { loader, dataset };
+}
+
+const rows = async (tensor) => (await tensor.array()).map((row) => row.map((value) => Math.round(value * 1e4) / 1e4));
+
+test('loads long CSV text into aligned symbols and dates', async () => {
+  const loader = await loadCsv(syntheticCsv(KNOWN_SIGNALS, DAYS), OPTIONS);
+  assert.deepEqual(loader.symbols, ['DOWN', 'SAW', 'UP']);
+  assert.deepEqual(loader.dates, tradingDates(DAYS));
+  assert.equal(loader.parseReport.rowCount, 3 * DAYS);
+  assert.deepEqual(loader.closesFor(['2024-01-03'], ['UP', 'SAW']), [[102, 100]]);
+});
+
+test('intersect drops a date one symbol lacks while forwardFill keeps it', async () => {
+  const lines = syntheticCsv(KNOWN_SIGNALS, DAYS).trim().split('\n');
+  const text = lines.filter((line) => !line.startsWith('2024-01-10,SAW')).join('\n');
+
+  const intersected = await loadCsv(text, OPTIONS);
+  assert.equal(intersected.dates.length, DAYS - 1);
+  assert.ok(!intersected.dates.includes('2024-01-10'));
+
+  const filled = await loadCsv(text, { ...OPTIONS, alignment: 'forwardFill' });
+  assert.equal(filled.dates.length, DAYS);
+  assert.equal(filled.closesFor(['2024-01-10'], ['SAW'])[0][0], filled.closesFor(['2024-01-09'], ['SAW'])[0][0]);
+  assert.equal(filled.qualityReport.alignment.filledPoints, 1);
+});
+
+test('prepareDataset builds tensors of the expected shapes', async () => {
+  const { loader, dataset } = await prepare();
+  const featureCount = 3 * 2;
+  assert.deepEqual(dataset.X_train.shape, [12, 3, featureCount]);
+  assert.deepEqual(dataset.y_train.shape, [12, 3 * 2]);
+  assert.deepEqual(dataset.X_test.shape, [4, 3, featureCount]);
+  assert.deepEqual(dataset.y_test.shape, [4, 3 * 2]);
+  assert.equal(dataset.featureCount, featureCount);
+  assert.deepEqual(dataset.featureNames, ['DOWN:open', 'DOWN:close', 'SAW:open', 'SAW:close', 'UP:open', 'UP:close']);
+  loader.disposeDataset(dataset);
+});
+
+test('split boundaries are time ordered and cover every anchor once', async () => {
+  const { loader, dataset } = await prepare();
+  const dates = tradingDates(DAYS);
+  assert.deepEqual(dataset.trainAnchorIndices, [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]);
+  assert.deepEqual(dataset.testAnchorIndices, [14, 15, 16, 17]);
+  assert.equal(dataset.trainDates[0], dates[2]);
+  assert.equal(dataset.testDates.at(-1), dates[DAYS - 1 - OPTIONS.horizon]);
+  loader.disposeDataset(dataset);
+
+  // Even a split ratio of 1 leaves one test sample.
+  const all = await prepare({ splitRatio: 1 });
+  assert.deepEqual(all.dataset.testAnchorIndices, [17]);
+  all.loader.disposeDataset(all.dataset);
+});
+
+test('binary labels match the known signal for every horizon step', async () => {
+  const { loader, dataset } = await prepare();
+  // Per anchor: [DOWN t+1, DOWN t+2, SAW t+1, SAW t+2, UP t+1, UP t+2]. SAW rises after even days and is back
+  // at the same close two days later, which is not a rise.
+  const expected = (anchor) => [0, 0, anchor % 2 === 0 ? 1 : 0, 0, 1, 1];
+  assert.deepEqual(await rows(dataset.y_train), dataset.trainAnchorIndices.map(expected));
+  assert.deepEqual(await rows(dataset.y_test), dataset.testAnchorIndices.map(expected));
+  // The persistence baseline sees the move that ended at the anchor.
+  assert.deepEqual(dataset.testTrailingLabels[0], [0, 0, 0, 0, 1, 1]);
+  loader.disposeDataset(dataset);
+});
+
+test('regression and multiclass labels use the same anchors', async () => {
+  const regression = await prepare({ targetMode: 'regression' });
+  const [first] = await rows(regression.dataset.y_train);
+  const pct = (from, to) => Math.round((to / from - 1) * 100 * 1e4) / 1e4;
+  assert.deepEqual(first, [pct(198, 197), pct(198, 196), pct(100, 101), 0, pct(102, 103), pct(102, 104)]);
+  regression.loader.disposeDataset(regression.dataset);
+
+  const multiclass = await prepare({ targetMode: 'multiclass', deadBand: 0.0095 });
+  assert.deepEqual(multiclass.dataset.y_train.shape, [12, 6, 3]);
+  const classes = await multiclass.dataset.y_train.argMax(-1).array();
+  // DOWN loses about 0.5% a day, so only its two-day move leaves the band. UP's daily gain shrinks as its
+  // price grows and falls inside the band by the last training anchor.
+  assert.deepEqual(classes[0], [1, 0, 2, 1, 2, 2]);
+  assert.deepEqual(classes.at(-1), [1, 0, 0, 1, 1, 2]);
+  multiclass.loader.disposeDataset(multiclass.dataset);
+});
+
+test('input windows end on the anchor and are scaled with training statistics only', async () => {
+  const { loader, dataset } = await prepare();
+  const upClose = dataset.featureNames.indexOf('UP:close');
+  const windows = await dataset.X_train.array();
+  // Min-max is fitted on days 0..13, where UP closes at 100..113.
+  const scaled = (day) => day / 13;
+  assert.deepEqual(
+    windows[0].map((step) => Math.round(step[upClose] * 1e4) / 1e4),
+    [0, 1, 2].map((day) => Math.round(scaled(day) * 1e4) / 1e4)
+  );
+  const testWindows = await dataset.X_test.array();
+  assert.ok(Math.abs(testWindows.at(-1).at(-1)[upClose] - scaled(17)) < 1e-5);
+  loader.disposeDataset(dataset);
+});
+
+test('prepareDataset reports when there is too little data', async () => {
+  const loader = await loadCsv(syntheticCsv(KNOWN_SIGNALS, 4), OPTIONS);
+  await assert.rejects(() => loader.prepareDataset(), /Not enough data to create training samples/);
+});
+
+test("a saved model's preprocessing purges test windows that overlap its training range", async () => {
+  const { loader, dataset } = await prepare();
+  const { preprocessing } = dataset;
+  loader.disposeDataset(dataset);
+  assert.equal(preprocessing.scaling.fitEndDate, tradingDates(DAYS)[13]);
+
+  // The last training labels reach day 15, so of the test anchors 14..17 only 16 and 17 are kept.
+  const reloaded = await loadCsv(syntheticCsv(KNOWN_SIGNALS, DAYS), OPTIONS);
+  const evaluated = await reloaded.prepareDataset({ preprocessing });
+  assert.deepEqual(evaluated.testAnchorIndices, [16, 17]);
+  assert.equal(evaluated.purgedTestWindows, 2);
+  reloaded.disposeDataset(evaluated);
+
+  const older = await loadCsv(syntheticCsv(KNOWN_SIGNALS, 16), OPTIONS);
+  await assert.rejects(
+    () => older.prepareDataset({ preprocessing }),
+    /Every test window overlaps the model's training range/
+  );
+});
+
+test('cross features add no columns for a single symbol, so no input is NaN', async () => {
+  const crossFeatures = { enabled: true, window: 5, maxLag: 2, topPairs: 2 };
+  const loader = await loadCsv(syntheticCsv({ UP: KNOWN_SIGNALS.UP }, DAYS), { ...OPTIONS, crossFeatures });
+  const dataset = await loader.prepareDataset();
+  assert.deepEqual(dataset.featureNames, ['UP:open', 'UP:close']);
+  for (const tensor of [dataset.X_train, dataset.X_test]) {
+    assert.ok((await tensor.data()).every(Number.isFinite));
+  }
+  loader.disposeDataset(dataset);
+
+  const several = await loadCsv(syntheticCsv(KNOWN_SIGNALS, DAYS), { ...OPTIONS, crossFeatures });
+  const withCross = await several.prepareDataset();
+  assert.ok(withCross.featureNames.includes('xcorr:mean'));
+  several.disposeDataset(withCross);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignRecords, assessQuality } from '../data-quality.js';
+
+const series = (entries) => new Map(entries.map(([date, close]) => [date, { close, volume: 10 }]));
+
+// AAA trades every day; BBB misses the 3rd and 4th and starts a day late.
+const records = () =>
+  new Map([
+    [
+      'AAA',
+      series([
+        ['2024-01-01', 10],
+        ['2024-01-02', 11],
+        ['2024-01-03', 12],
+        ['2024-01-04', 13],
+        ['2024-01-05', 14],
+      ]),
+    ],
+    [
+      'BBB',
+      series([
+        ['2024-01-02', 20],
+        ['2024-01-05', 26],
+      ]),
+    ],
+  ]);
+
+test('intersect keeps only the dates every symbol shares', () => {
+  const aligned = alignRecords(records(), 'intersect');
+  assert.deepEqual(aligned.dates, ['2024-01-02', '2024-01-05']);
+  assert.deepEqual(aligned.symbols, ['AAA', 'BBB']);
+  assert.equal(aligned.unionDates, 5);
+  assert.deepEqual(aligned.filled, { AAA: 0, BBB: 0 });
+});
+
+test('forwardFill carries the previous close within the common range and zeroes volume', () => {
+  const aligned = alignRecords(records(), 'forwardFill');
+  assert.deepEqual(aligned.dates, ['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05']);
+  assert.deepEqual(aligned.bySymbol.get('BBB').get('2024-01-03'), { close: 20, volume: 0 });
+  assert.deepEqual(aligned.bySymbol.get('BBB').get('2024-01-04'), { close: 20, volume: 0 });
+  assert.deepEqual(aligned.filled, { AAA: 0, BBB: 2 });
+});
+
+test('interpolate is linear in trading-day steps', () => {
+  const aligned = alignRecords(records(), 'interpolate');
+  assert.equal(aligned.bySymbol.get('BBB').get('2024-01-03').close, 22);
+  assert.equal(aligned.bySymbol.get('BBB').get('2024-01-04').close, 24);
+  assert.equal(aligned.bySymbol.get('BBB').get('2024-01-04').volume, 10);
+});
+
+test('dropSymbol removes symbols with too many gaps before intersecting', () => {
+  const aligned = alignRecords(records(), 'dropSymbol');
+  assert.deepEqual(aligned.symbols, ['AAA']);
+  assert.deepEqual(aligned.droppedSymbols, [{ symbol: 'BBB', missing: 3 }]);
+  assert.equal(aligned.dates.length, 5);
+});
+
+test('alignRecords rejects unknown policies and disjoint symbols', () => {
+  assert.throws(() => alignRecords(records(), 'nearest'), /Unknown alignment policy "nearest"/);
+  const disjoint = new Map([
+    ['AAA', series([['2024-01-01', 1]])],
+    ['BBB', series([['2024-01-02', 1]])],
+  ]);
+  assert.throws(() => alignRecords(disjoint, 'intersect'), /do not share a common set of dates/);
+});
+
+test('assessQuality reports gaps, suspected splits and outliers', () => {
+  const gappy = records();
+  const report = assessQuality(gappy, { rowCount: 7, skipped: [], duplicates: [] }, alignRecords(gappy, 'forwardFill'));
+  const bbb = report.coverage.find(({ symbol }) => symbol === 'BBB');
+  assert.deepEqual(
+    { observed: bbb.observed, missing: bbb.missing, longestGap: bbb.longestGap, filled: bbb.filled },
+    { observed: 2, missing: 2, longestGap: 2, filled: 2 }
+  );
+  assert.equal(report.rowCount, 7);
+  assert.equal(report.alignment.filledPoints, 2);
+
+  // A smooth series that halves on day 21 and jumps 50% on day 26.
+  const closes = Array.from({ length: 30 }, (_, index) => (100 + 2 * Math.sin(index)) / (index >= 20 ? 2 : 1));
+  closes[25] *= 1.5;
+  const dates = Array.from({ length: 30 }, (_, index) => `2024-02-${String(index + 1).padStart(2, '0')}`);
+  const split = new Map([['CCC', series(dates.map((date, index) => [date, closes[index]]))]]);
+  const scanned = assessQuality(split, null, alignRecords(split));
+
+  assert.deepEqual(
+    scanned.splits.map(({ date, ratio }) => ({ date, ratio })),
+    [{ date: '2024-02-21', ratio: '2:1' }]
+  );
+  assert.deepEqual(
+    scanned.outliers.map(({ date }) => date),
+    ['2024-02-26', '2024-02-27']
+  );
+  assert.equal(scanned.rowCount, null);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parquetWriteBuffer } from 'hyparquet-writer';
+import { HttpSource, TextSource } from '../data-sources.js';
+import { readParquet } from '../parquet.js';
+
+// A fetch stand-in serving `bodies[url]` and recording the URLs requested.
+function fakeFetch(bodies, contentType = 'text/csv') {
+  const requested = [];
+  const fetch = async (url) => {
+    requested.push(url);
+    const body = bodies[url];
+    return {
+      ok: body !== undefined,
+      status: body === undefined ? 404 : 200,
+      statusText: body === undefined ? 'Not Found' : 'OK',
+      headers: new Map([['content-type', contentType]]),
+      text: async () => body,
+      arrayBuffer: async () => body,
+    };
+  };
+  return { fetch, requested };
+}
+
+const SINGLE = 'Date,Close\n2024-01-02,10\n2024-01-03,11\n';
+
+test('HttpSource takes the ticker from a lone symbol, never from the URL', async () => {
+  const url = 'http://localhost:8000/quotes?symbol=AAPL';
+  const { fetch } = fakeFetch({ [url]: SINGLE });
+
+  await assert.rejects(new HttpSource(url, { fetch }).read(), /No symbol column was recognized/);
+  const { records } = await new HttpSource(url, { symbols: ['aapl'], fetch }).read();
+  assert.deepEqual([...records.keys()], ['AAPL']);
+  assert.deepEqual([...records.get('AAPL').keys()], ['2024-01-02', '2024-01-03']);
+});
+
+test('HttpSource needs a {symbol} placeholder for several symbols and symbols for a placeholder', async () => {
+  const template = 'http://localhost:8000/{symbol}.csv';
+  const { fetch, requested } = fakeFetch({
+    'http://localhost:8000/AAPL.csv': SINGLE,
+    'http://localhost:8000/BRK.B.csv': SINGLE,
+  });
+
+  const { records } = await new HttpSource(template, { symbols: ['AAPL', 'BRK.B'], fetch }).read();
+  assert.deepEqual([...records.keys()], ['AAPL', 'BRK.B']);
+  assert.deepEqual(requested, ['http://localhost:8000/AAPL.csv', 'http://localhost:8000/BRK.B.csv']);
+
+  await assert.rejects(new HttpSource(template, { fetch }).read(), /list the symbols to request/);
+  await assert.rejects(
+    new HttpSource('http://localhost:8000/quotes.csv', { symbols: ['AAPL', 'MSFT'], fetch }).read(),
+    /2 symbols were given but the URL has no \{symbol\} placeholder/
+  );
+});
+
+const dates = ['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'];
+
+const quotesParquet = (options = {}) =>
+  new Uint8Array(
+    parquetWriteBuffer({
+      columnData: [
+        { name: 'Date', data: dates.map((date) => new Date(`${date}T00:00:00Z`)), type: 'TIMESTAMP' },
+        { name: 'Symbol', data: ['AAPL', 'MSFT', 'AAPL', 'MSFT'], type: 'STRING' },
+        { name: 'Close', data: [185.5, 370.25, null, 368], type: 'DOUBLE' },
+        { name: 'Volume', data: [1000n, 2000n, 3000n, 4000n], type: 'INT64', nullable: false },
+      ],
+      ...options,
+    })
+  );
+
+test('readParquet decodes dictionary, plain and optional columns, compressed or not', () => {
+  for (const codec of ['SNAPPY', 'UNCOMPRESSED']) {
+    // One row per row group and page exercises the page and row group loops.
+    const columns = readParquet(quotesParquet({ codec, rowGroupSize: 1 }));
+    assert.deepEqual(Object.keys(columns), ['Date', 'Symbol', 'Close', 'Volume']);
+    assert.deepEqual(
+      columns.Date.map((value) => value.slice(0, 10)),
+      dates
+    );
+    assert.deepEqual(columns.Symbol, ['AAPL', 'MSFT', 'AAPL', 'MSFT']);
+    assert.deepEqual(columns.Close, [185.5, 370.25, null, 368]);
+    assert.deepEqual(columns.Volume, [1000, 2000, 3000, 4000]);
+  }
+
+  const dated = readParquet(
+    new Uint8Array(
+      parquetWriteBuffer({
+        columnData: [{ name: 'day', data: [new Date('2024-01-02T00:00:00Z')] }],
+        schema: [
+          { name: 'root', num_children: 1 },
+          { name: 'day', type: 'INT32', converted_type: 'DATE', repetition_type: 'REQUIRED' },
+        ],
+      })
+    )
+  );
+  assert.deepEqual(dated.day, ['2024-01-02']);
+  assert.throws(() => readParquet(new TextEncoder().encode('Date,Close\n')), /PAR1 markers/);
+});
+
+test('Parquet sources load like any other layout', async () => {
+  const { records, report } = await new TextSource('quotes.parquet', quotesParquet()).read();
+  assert.equal(report.format, 'parquet');
+  assert.deepEqual([...records.keys()], ['AAPL', 'MSFT']);
+  assert.deepEqual([...records.get('MSFT').keys()], ['2024-01-03', '2024-01-05']);
+  assert.equal(records.get('MSFT').get('2024-01-05').close, 368);
+  assert.equal(records.get('MSFT').get('2024-01-05').volume, 4000);
+  // The missing close is skipped and reported like an empty CSV cell.
+  assert.deepEqual([...records.get('AAPL').keys()], ['2024-01-02']);
+  assert.equal(report.skipped.length, 1);
+
+  const url = 'http://localhost:8000/quotes.parquet';
+  const { fetch } = fakeFetch({ [url]: quotesParquet().buffer }, 'application/octet-stream');
+  const remote = await new HttpSource(url, { fetch }).read();
+  assert.deepEqual([...remote.records.keys()], ['AAPL', 'MSFT']);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareRuns, createRun, hashRecords, runsFromJSON, runsToJSON } from '../experiment-log.js';
+
+// { A: { '2024-01-02': close, ... } } → per-symbol Maps of points keyed by date, in the given key order.
+const records = (closes) =>
+  new Map(
+    Object.entries(closes).map(([symbol, points]) => [
+      symbol,
+      new Map(Object.entries(points).map(([date, close]) => [date, { close }])),
+    ])
+  );
+
+function run(name, perStock, epochs) {
+  return {
+    ...createRun({
+      name,
+      data: { hash: 'abc', sources: ['quotes.csv'] },
+      loaderOptions: { sequenceLength: 3, horizon: 1 },
+      modelConfig: { architecture: 'gru', targetMode: 'binary' },
+      trainOptions: { epochs: epochs.length },
+      summary: null,
+      history: { metricName: 'acc', epochs, batches: [{ epoch: 0, batch: 0, loss: 1 }] },
+    }),
+    metrics: perStock && { perStock, overall: { accuracy: 0.6, rocAuc: NaN } },
+  };
+}
+
+test('hashRecords depends on the rows, not on the order they were loaded in', async () => {
+  const hash = await hashRecords(records({ A: { '2024-01-02': 1, '2024-01-01': 2 }, B: { '2024-01-01': 3 } }));
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  const reordered = records({ B: { '2024-01-01': 3 }, A: { '2024-01-01': 2, '2024-01-02': 1 } });
+  assert.equal(await hashRecords(reordered), hash);
+  reordered.get('A').set('2024-01-02', { close: 1.01 });
+  assert.notEqual(await hashRecords(reordered), hash);
+});
+
+test('runs round-trip through JSON without their per-batch history', () => {
+  const runs = [run('first', [{ symbol: 'A', accuracy: 0.5 }], [{ epoch: 0, loss: 0.7, val_loss: 0.71 }])];
+  assert.equal(runs[0].history.batches, undefined);
+  const restored = runsFromJSON(runsToJSON(runs));
+  assert.equal(restored.length, 1);
+  assert.equal(restored[0].id, runs[0].id);
+  assert.deepEqual(restored[0].loaderOptions, runs[0].loaderOptions);
+  assert.equal(restored[0].metrics.overall.rocAuc, null);
+
+  assert.throws(() => runsFromJSON('{'), /Invalid JSON/);
+  assert.throws(() => runsFromJSON('{"runs": []}'), /not an experiment log export/);
+  assert.throws(
+    () => runsFromJSON(JSON.stringify({ format: 'stock-gru-experiments', version: 1, runs: [{ id: 'x' }] })),
+    /Run 1 is missing/
+  );
+});
+
+test('compareRuns lines up per-stock accuracy and summary rows across runs', () => {
+  const comparison = compareRuns([
+    run(
+      'a',
+      [
+        { symbol: 'A', accuracy: 0.5 },
+        { symbol: 'B', accuracy: 0.7 },
+      ],
+      [
+        { epoch: 0, loss: 0.8, val_loss: 0.9 },
+        { epoch: 1, loss: 0.6, val_loss: 0.7 },
+      ]
+    ),
+    run('b', [{ symbol: 'C', accuracy: 0.55 }], [{ epoch: 0, loss: 0.65 }]),
+    run('unevaluated', null, []),
+  ]);
+  assert.deepEqual(comparison.symbols, ['A', 'B', 'C']);
+  assert.deepEqual(comparison.accuracy, [
+    [0.5, 0.7, null],
+    [null, null, 0.55],
+    [null, null, null],
+  ]);
+  const values = (key) => comparison.rows.find((row) => row.key === key).values;
+  assert.deepEqual(values('epochs'), [2, 1, 0]);
+  assert.deepEqual(values('valLoss'), [0.7, null, null]);
+  assert.ok(Math.abs(values('meanAccuracy')[0] - 0.6) < 1e-12);
+  assert.deepEqual(values('meanAccuracy').slice(1), [0.55, null]);
+  assert.deepEqual(values('accuracy'), [0.6, 0.6, null]);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StockGRUModel } from '../gru.js';
+import { createRandom } from '../hyperparameter-search.js';
+import { attributeWindow, featureGroups, meanBaseline, permutationImportance } from '../explain.js';
+import { loadCsv, syntheticCsv, tf } from './fixtures.js';
+
+// SAW's next move is fully determined by its last close; NOISE is a seeded random walk.
+const random = createRandom(7);
+const walk = [100];
+for (let t = 1; t < 120; t += 1) walk.push(walk[t - 1] + random() - 0.5);
+const PRICES = { NOISE: (t) => walk[t], SAW: (t) => 100 + (t % 2) };
+
+async function trainedModel() {
+  const loader = await loadCsv(syntheticCsv(PRICES, walk.length), {
+    sequenceLength: 3,
+    horizon: 1,
+    features: ['close'],
+  });
+  const dataset = await loader.prepareDataset();
+  const model = new StockGRUModel({
+    tf,
+    ...StockGRUModel.configFromDataset(dataset, { architecture: 'logistic', learningRate: 0.1 }),
+  });
+  await model.train(dataset.X_train, dataset.y_train, { epochs: 60, batchSize: 16, validationSplit: 0 });
+  return { loader, dataset, model };
+}
+
+test('featureGroups puts each symbol and the shared columns in their own group', () => {
+  const groups = featureGroups({ stockSymbols: ['A', 'B'], featuresPerStock: 2, featureCount: 6 });
+  assert.deepEqual(groups, [
+    { name: 'A', columns: [0, 1] },
+    { name: 'B', columns: [2, 3] },
+    { name: 'Shared features', columns: [4, 5] },
+  ]);
+  assert.equal(featureGroups({ stockSymbols: ['A'], featuresPerStock: 3, featureCount: 3 }).length, 1);
+});
+
+test('attributions explain the known signal and integrated gradients add up to the score change', async () => {
+  const { loader, dataset, model } = await trainedModel();
+  const input = tf.tidy(() => dataset.X_test.gather([0]).squeeze([0]));
+  const baseline = meanBaseline(tf, dataset.X_train);
+  try {
+    assert.deepEqual(baseline.shape, [3, 2]);
+    const saw = dataset.stockSymbols.indexOf('SAW');
+    for (const method of ['integratedGradients', 'occlusion']) {
+      const result = await attributeWindow(model, { input, baseline, stockIndex: saw, horizonIndex: 0, method, tf });
+      assert.equal(result.attributions.length, 3);
+      assert.equal(result.attributions[0].length, 2);
+      // A SAW close, not NOISE, carries the largest attribution.
+      const cells = result.attributions.flatMap((step) => step.map((value, f) => ({ f, value })));
+      const top = cells.reduce((best, cell) => (Math.abs(cell.value) > Math.abs(best.value) ? cell : best));
+      assert.equal(dataset.featureNames[top.f], 'SAW:close');
+      if (method === 'integratedGradients') assert.ok(Math.abs(result.gap) < 1e-3);
+    }
+  } finally {
+    input.dispose();
+    baseline.dispose();
+    await model.dispose();
+    loader.disposeDataset(dataset);
+  }
+});
+
+test('permutation importance ranks the informative symbol first', async () => {
+  const { loader, dataset, model } = await trainedModel();
+  try {
+    const progress = [];
+    const result = await permutationImportance(model, {
+      X: dataset.X_test,
+      y: dataset.y_test,
+      groups: featureGroups(dataset),
+      repeats: 2,
+      onProgress: (done, total) => progress.push(`${done}/${total}`),
+      tf,
+    });
+    assert.deepEqual(progress, ['1/4', '2/4', '3/4', '4/4']);
+    assert.equal(result.ranking[0].name, 'SAW');
+    assert.ok(result.ranking[0].lossIncrease > result.ranking[1].lossIncrease);
+    assert.ok(result.ranking[0].accuracyDrop > 0);
+  } finally {
+    await model.dispose();
+    loader.disposeDataset(dataset);
+  }
+});
@@ -0,0 +1,44 @@
+import * as tf from '@tensorflow/tfjs';
+import { DataLoader } from '../data-loader.js';
+import { TextSource } from '../data-sources.js';
+
+export { tf };
+
+// Weekdays from Monday 2024-01-01, so every fixture lines up with nextTradingDates.
+export function tradingDates(count, start = '2024-01-01') {
+  const dates = [];
+  const cursor = new Date(`${start}T00:00:00Z`);
+  while (dates.length < count) {
+    const day = cursor.getUTCDay();
+    if (day !== 0 && day !== 6) dates.push(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+// Long-layout CSV where `prices[symbol](t)` is the close on day t; open is the previous close.
+export function syntheticCsv(prices, days) {
+  const dates = tradingDates(days);
+  const lines = ['Date,Symbol,Open,High,Low,Close,Volume'];
+  Object.entries(prices).forEach(([symbol, price]) => {
+    dates.forEach((date, t) => {
+      const close = price(t);
+      const open = t === 0 ? close : price(t - 1);
+      lines.push([date, symbol, open, Math.max(open, close), Math.min(open, close), close, 1000 + t].join(','));
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// Signals with known labels: UP rises every day, DOWN falls every day and SAW alternates 100, 101, 100, ...
+export const KNOWN_SIGNALS = {
+  UP: (t) => 100 + t,
+  DOWN: (t) => 200 - t,
+  SAW: (t) => 100 + (t % 2),
+};
+
+export async function loadCsv(text, options = {}, name = 'fixture.csv') {
+  const loader = new DataLoader({ tf, ...options });
+  await loader.loadSources([new TextSource(name, text)]);
+  return loader;
+}
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StockGRUModel } from '../gru.js';
+import { KNOWN_SIGNALS, loadCsv, syntheticCsv, tf } from './fixtures.js';
+
+// The metrics do not depend on the network, so these use the cheapest architecture to build.
+const metricsModel = (config) => new StockGRUModel({ tf, architecture: 'logistic', featureCount: 1, ...config });
+
+const close = (actual, expected) =>
+  assert.deepEqual(
+    actual.map((value) => Math.round(value * 1e4) / 1e4),
+    expected.map((value) => Math.round(value * 1e4) / 1e4)
+  );
+
+test('evaluateStockAccuracies averages binary hits per stock over samples and horizon steps', async () => {
+  const model = metricsModel({ stockCount: 2, horizon: 2 });
+  // Columns: [A t+1, A t+2, B t+1, B t+2]; probabilities of 0.5 and above count as up.
+  const yTrue = [
+    [1, 0, 1, 1],
+    [0, 0, 1, 0],
+    [1, 1, 0, 0],
+  ];
+  const yPred = [
+    [0.9, 0.2, 0.4, 0.5],
+    [0.6, 0.1, 0.7, 0.49],
+    [0.5, 0.3, 0.1, 0.8],
+  ];
+  // A: 2/2, 1/2, 1/2 -> 4/6. B: 1/2, 2/2, 1/2 -> 4/6.
+  close(await model.evaluateStockAccuracies(yTrue, yPred), [4 / 6, 4 / 6]);
+  close(await model.evaluateStockAccuracies(yTrue, yTrue), [1, 1]);
+});
+
+test('evaluateStockAccuracies compares the sign of regression returns', async () => {
+  const model = metricsModel({ stockCount: 3, horizon: 1, targetMode: 'regression' });
+  const yTrue = [
+    [1.2, -0.4, 0],
+    [-0.3, 0.8, 0.5],
+  ];
+  const yPred = [
+    [0.1, 0.2, -0.1],
+    [0.4, 0.1, 0.2],
+  ];
+  close(await model.evaluateStockAccuracies(yTrue, yPred), [0.5, 0.5, 1]);
+
+  const metrics = await model.evaluateStockMetrics(yTrue, yPred);
+  close(
+    metrics.map(({ mae }) => mae),
+    [(1.1 + 0.7) / 2, (0.6 + 0.7) / 2, (0.1 + 0.3) / 2]
+  );
+});
+
+test('evaluateStockAccuracies takes the argmax class in multiclass mode', async () => {
+  const model = metricsModel({ stockCount: 2, horizon: 1, targetMode: 'multiclass' });
+  const oneHot = (classes) => classes.map((row) => row.map((label) => [0, 1, 2].map((c) => (c === label ? 1 : 0))));
+  const yTrue = oneHot([
+    [0, 2],
+    [1, 1],
+  ]);
+  const yPred = [
+    [
+      [0.7, 0.2, 0.1],
+      [0.3, 0.3, 0.4],
+    ],
+    [
+      [0.1, 0.3, 0.6],
+      [0.2, 0.5, 0.3],
+    ],
+  ];
+  close(await model.evaluateStockAccuracies(yTrue, yPred), [0.5, 1]);
+});
+
+test('a logistic model learns a perfectly predictable alternating series', async () => {
+  const loader = await loadCsv(syntheticCsv({ SAW: (t) => 100 + (t % 2) }, 80), {
+    sequenceLength: 2,
+    horizon: 1,
+    features: ['close'],
+  });
+  const dataset = await loader.prepareDataset();
+  const model = new StockGRUModel({
+    tf,
+    ...StockGRUModel.configFromDataset(dataset, { architecture: 'logistic', learningRate: 0.1 }),
+  });
+
+  try {
+    await model.train(dataset.X_train, dataset.y_train, { epochs: 60, batchSize: 16, validationSplit: 0 });
+    const predictions = await model.predict(dataset.X_test);
+    close(await model.evaluateStockAccuracies(dataset.y_test, predictions), [1]);
+    predictions.dispose();
+  } finally {
+    await model.dispose();
+    loader.disposeDataset(dataset);
+  }
+});
+
+test('independent mode fits one model per symbol with its own schedule and saves as one model', async () => {
+  // NOISE moves at random, so its own early stopping should end its training while SAW keeps improving.
+  const noise = (t) => 100 + (Math.abs(Math.sin(t * 12.9898) * 43758.5453) % 1) * 10;
+  const loader = await loadCsv(syntheticCsv({ SAW: KNOWN_SIGNALS.SAW, NOISE: noise }, 80), {
+    sequenceLength: 2,
+    horizon: 1,
+    features: ['close'],
+  });
+  const dataset = await loader.prepareDataset();
+  const config = StockGRUModel.configFromDataset(dataset, {
+    architecture: 'logistic',
+    taskMode: 'independent',
+    learningRate: 0.1,
+  });
+  const model = new StockGRUModel({ tf, ...config });
+  let artifacts;
+  let loaded;
+
+  try {
+    await model.train(dataset.X_train, dataset.y_train, {
+      epochs: 40,
+      batchSize: 16,
+      validationSplit: 0.2,
+      earlyStopping: { patience: 3 },
+      restoreBestWeights: true,
+    });
+    assert.deepEqual(dataset.stockSymbols, ['NOISE', 'SAW']);
+    const { stopReason, perSymbol } = model.trainingSummary;
+    assert.deepEqual(
+      perSymbol.map((item) => item.stopReason),
+      ['early-stopping', null]
+    );
+    assert.equal(perSymbol[0].restoredBestWeights, true);
+    assert.equal(stopReason, null);
+    assert.equal(model.trainingHistory.epochs.length, 40);
+
+    const predictions = await model.predict(dataset.X_test);
+    assert.equal((await model.evaluateStockAccuracies(dataset.y_test, predictions))[1], 1);
+
+    await model.save(
+      tf.io.withSaveHandler(async (saved) => {
+        artifacts = saved;
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+      })
+    );
+    loaded = await StockGRUModel.load(tf.io.fromMemory(artifacts), { tf });
+    const reloaded = await loaded.predict(dataset.X_test);
+    assert.ok(predictions.sub(reloaded).abs().max().dataSync()[0] < 1e-6);
+    predictions.dispose();
+    reloaded.dispose();
+  } finally {
+    await model.dispose();
+    await loaded?.dispose();
+    loader.disposeDataset(dataset);
+  }
+});
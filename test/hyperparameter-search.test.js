@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSearch } from '../hyperparameter-search.js';
+import { KNOWN_SIGNALS, loadCsv, syntheticCsv, tf } from './fixtures.js';
+
+const SPACE = {
+  unitsFirst: [4],
+  unitsSecond: [4],
+  dropoutRate: [0],
+  learningRate: [0.01],
+  sequenceLength: [3, 8],
+  horizon: [2],
+};
+
+const search = async (space) =>
+  runSearch({
+    dataLoader: await loadCsv(syntheticCsv(KNOWN_SIGNALS, 60), { sequenceLength: 3, horizon: 2 }),
+    strategy: 'grid',
+    space,
+    epochs: 1,
+    modelOptions: { tf, architecture: 'logistic' },
+  });
+
+test('trials with different sequence lengths are scored on the same validation dates', async () => {
+  const { trials } = await search(SPACE);
+  assert.deepEqual(
+    trials.map((trial) => [trial.status, trial.params.sequenceLength]),
+    [
+      ['done', 3],
+      ['done', 8],
+    ]
+  );
+  assert.equal(trials[1].validationStartDate, trials[0].validationStartDate);
+  assert.equal(trials[1].validationEndDate, trials[0].validationEndDate);
+  assert.equal(trials[1].validationSize, trials[0].validationSize);
+});
+
+test('a search over several horizons is rejected', async () => {
+  await assert.rejects(() => search({ ...SPACE, horizon: [2, 3] }), /Search one horizon at a time/);
+});
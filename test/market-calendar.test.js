@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isTradingDay, nextTradingDates, nyseHolidays, parseHolidays } from '../market-calendar.js';
+
+test('nyseHolidays follows the exchange rules, including observed dates', () => {
+  assert.deepEqual(nyseHolidays(2024), [
+    '2024-01-01',
+    '2024-01-15',
+    '2024-02-19',
+    '2024-03-29',
+    '2024-05-27',
+    '2024-06-19',
+    '2024-07-04',
+    '2024-09-02',
+    '2024-11-28',
+    '2024-12-25',
+  ]);
+  // 2022: New Year's Day on a Saturday is not observed; Juneteenth and Christmas on Sundays move to Monday.
+  const holidays2022 = nyseHolidays(2022);
+  assert.ok(!holidays2022.includes('2021-12-31') && !holidays2022.includes('2022-01-01'));
+  assert.ok(holidays2022.includes('2022-06-20') && holidays2022.includes('2022-12-26'));
+  assert.ok(nyseHolidays(2021).includes('2021-12-24'));
+  assert.ok(!nyseHolidays(2021).some((date) => date.endsWith('-06-19')));
+});
+
+test('nextTradingDates skips weekends, the calendar and extra holidays', () => {
+  assert.deepEqual(nextTradingDates('2024-12-24', 2), ['2024-12-26', '2024-12-27']);
+  assert.deepEqual(nextTradingDates('2024-12-24', 2, { calendar: 'weekdays' }), ['2024-12-25', '2024-12-26']);
+  assert.deepEqual(nextTradingDates('2024-12-24', 2, { holidays: ['2024-12-26'] }), ['2024-12-27', '2024-12-30']);
+  assert.equal(isTradingDay('2024-12-28'), false);
+  assert.throws(() => isTradingDay('2024-12-27', { calendar: 'lse' }), /Unknown trading calendar "lse"/);
+  assert.deepEqual(parseHolidays(' 2025-01-09, ,2025-01-10 '), ['2025-01-09', '2025-01-10']);
+  assert.throws(() => parseHolidays('01/09/2025'), /must be an ISO date/);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTF } from '../tf-runtime.js';
+import { modelUrl, renameModel } from '../model-store.js';
+
+// Browser model storage is not available in Node, so tf.io is replaced by an in-memory store.
+function fakeStorageTF(names) {
+  const saved = new Map(names.map((name) => [modelUrl('indexeddb', name), { dateSaved: new Date() }]));
+  return {
+    saved,
+    ready: async () => {},
+    io: {
+      listModels: async () => Object.fromEntries(saved),
+      moveModel: async (from, to) => {
+        saved.set(to, saved.get(from));
+        saved.delete(from);
+      },
+    },
+  };
+}
+
+test('renameModel moves a saved model but never replaces another one', async () => {
+  const tf = fakeStorageTF(['nightly', 'weekly']);
+  setTF(tf);
+
+  await assert.rejects(
+    () => renameModel('indexeddb', 'nightly', ' weekly '),
+    /A model named "weekly" is already saved there/
+  );
+  assert.deepEqual([...tf.saved.keys()], [modelUrl('indexeddb', 'nightly'), modelUrl('indexeddb', 'weekly')]);
+
+  await renameModel('indexeddb', 'nightly', 'monthly');
+  assert.deepEqual([...tf.saved.keys()], [modelUrl('indexeddb', 'weekly'), modelUrl('indexeddb', 'monthly')]);
+});
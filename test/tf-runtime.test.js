@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeRuntime, formatRuntime, getTF, setBackend, setTF, setTFSources } from '../tf-runtime.js';
+import { tf } from './fixtures.js';
+
+test('setTF and setTFSources validate their arguments', () => {
+  assert.throws(() => setTF({}), /expects a TensorFlow.js module/);
+  assert.throws(() => setTFSources([]), /non-empty array/);
+  assert.throws(() => setTFSources([{ name: 'local' }]), /non-empty array/);
+});
+
+test('an injected build is used and described with its backend and memory', async () => {
+  setTF(tf);
+  assert.equal(await getTF(), tf);
+
+  const kept = tf.tensor1d([1, 2, 3, 4]);
+  const runtime = await describeRuntime();
+  assert.equal(runtime.version, tf.version.tfjs);
+  assert.equal(runtime.backend, tf.getBackend());
+  assert.equal(runtime.source, 'injected');
+  assert.ok(runtime.numTensors >= 1);
+  assert.ok(runtime.numBytes >= 16);
+  assert.match(formatRuntime(runtime), new RegExp(`^TensorFlow.js ${tf.version.tfjs} on ${runtime.backend} `));
+  kept.dispose();
+});
+
+test('setBackend rejects unknown or unavailable backends and keeps the active one', async () => {
+  setTF(tf);
+  const before = tf.getBackend();
+  await assert.rejects(() => setBackend('tpu'), /Unknown TensorFlow.js backend "tpu"/);
+  await assert.rejects(() => setBackend('webgl'), /not available here; still using/);
+  await assert.rejects(() => setBackend('wasm'), /Import @tensorflow\/tfjs-backend-wasm/);
+  assert.equal(tf.getBackend(), before);
+  assert.equal((await setBackend('cpu')).backend, 'cpu');
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTimeline, confidenceBand, confidenceCutoffs, filterTimeline } from '../timeline.js';
+import { tradingDates } from './fixtures.js';
+
+// Two stocks, two horizons and three test anchors; outputs are laid out stock-major as in y_test.
+const DATASET = {
+  stockSymbols: ['A', 'B'],
+  horizon: 2,
+  testAnchorIndices: [3, 4, 5],
+  allDates: tradingDates(8),
+  targetMode: 'binary',
+};
+
+test('buildTimeline pairs each output with its dates, score, confidence and outcome', () => {
+  const predictions = [
+    [0.9, 0.6, 0.5, 0.25],
+    [0.3, 0.55, 0.45, 0.8],
+    [0.7, 0.1, 0.52, 0.95],
+  ];
+  const groundTruth = [
+    [1, 0, 1, 0],
+    [0, 1, 0, 0],
+    [1, 1, 1, 1],
+  ];
+  const entries = buildTimeline(DATASET, predictions, groundTruth);
+  assert.equal(entries.length, 12);
+
+  const [first] = entries;
+  assert.equal(first.symbol, 'A');
+  assert.equal(first.anchorDate, DATASET.allDates[3]);
+  assert.equal(first.targetDate, DATASET.allDates[4]);
+  assert.equal(first.score, 0.9);
+  assert.ok(Math.abs(first.confidence - 0.8) < 1e-12);
+  assert.equal(first.correct, true);
+
+  const b = filterTimeline(entries, { stockIndex: 1, horizon: 2 });
+  assert.deepEqual(
+    b.map(({ sampleIndex, targetDate, correct }) => [sampleIndex, targetDate, correct]),
+    [
+      [0, DATASET.allDates[5], true],
+      [1, DATASET.allDates[6], false],
+      [2, DATASET.allDates[7], true],
+    ]
+  );
+
+  // Bands are terciles of each stock's own confidences.
+  for (const stockIndex of [0, 1]) {
+    const own = filterTimeline(entries, { stockIndex });
+    const counts = ['low', 'medium', 'high'].map((band) => filterTimeline(entries, { stockIndex, band }).length);
+    assert.deepEqual(counts, [2, 2, 2]);
+    const high = filterTimeline(entries, { stockIndex, band: 'high' });
+    const cutoffs = confidenceCutoffs(own);
+    assert.ok(high.every((entry) => entry.confidence >= cutoffs.high));
+  }
+});
+
+test('multiclass scores are P(up) and confidence is rescaled from chance', () => {
+  const entries = buildTimeline(
+    {
+      ...DATASET,
+      stockSymbols: ['A'],
+      horizon: 1,
+      testAnchorIndices: [3],
+      targetMode: 'multiclass',
+      classLabels: ['Down', 'Flat', 'Up'],
+    },
+    [[[0.2, 0.2, 0.6]]],
+    [[[0, 0, 1]]]
+  );
+  assert.equal(entries[0].score, 0.6);
+  assert.ok(Math.abs(entries[0].confidence - 0.4) < 1e-12);
+  assert.equal(entries[0].correct, true);
+  assert.match(entries[0].detail, /predicted Up \(60\.0%\), actual Up/);
+});
+
+test('confidenceBand uses the tercile cutoffs', () => {
+  const cutoffs = confidenceCutoffs([0, 1, 2, 3, 4, 5, 6].map((confidence) => ({ confidence })));
+  assert.deepEqual(cutoffs, { low: 2, high: 4 });
+  assert.equal(confidenceBand(1.9, cutoffs), 'low');
+  assert.equal(confidenceBand(2, cutoffs), 'medium');
+  assert.equal(confidenceBand(4, cutoffs), 'high');
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KNOWN_SIGNALS, loadCsv, syntheticCsv, tf } from './fixtures.js';
+import { runWalkForward } from '../walk-forward.js';
+
+// A stand-in for StockGRUModel that counts the epochs it was trained for.
+function fakeModel() {
+  return {
+    epochsTrained: [],
+    trainingSummary: null,
+    ready: async () => {},
+    async train(X, y, options) {
+      this.epochsTrained.push(options.epochs);
+    },
+    predict: async (X) => tf.zeros([X.shape[0], 6]),
+    evaluateStockAccuracies: async () => [0.5, 0.5, 0.5],
+    dispose: async () => {},
+  };
+}
+
+async function walkForward(options = {}) {
+  const loader = await loadCsv(syntheticCsv(KNOWN_SIGNALS, 40), {
+    sequenceLength: 3,
+    horizon: 2,
+    crossFeatures: { enabled: true, window: 5, maxLag: 2, topPairs: 2 },
+  });
+  const folds = loader.planWalkForward({ testSize: 5 });
+  const scalings = [];
+  const featureNames = [];
+  const models = [];
+  const result = await runWalkForward({
+    dataLoader: loader,
+    folds,
+    createModel: () => models[models.push(fakeModel()) - 1],
+    epochs: 3,
+    fineTuneEpochs: 1,
+    ...options,
+    callbacks: {
+      onFoldBegin: (fold, dataset) => {
+        scalings.push(dataset.scaling);
+        featureNames.push(dataset.featureNames);
+      },
+      ...options.callbacks,
+    },
+  });
+  return { folds, result, scalings, featureNames, models };
+}
+
+test('fine-tuning folds reuse the scalers and lead-lag pairs of the first fold while retraining refits them', async () => {
+  const fineTuned = await walkForward({ retrain: false });
+  assert.ok(fineTuned.folds.length > 2);
+  assert.equal(fineTuned.models.length, 1);
+  assert.deepEqual(fineTuned.models[0].epochsTrained, [3, ...fineTuned.folds.slice(1).map(() => 1)]);
+  fineTuned.scalings.slice(1).forEach((scaling) => assert.deepEqual(scaling, fineTuned.scalings[0]));
+  fineTuned.featureNames.slice(1).forEach((names) => assert.deepEqual(names, fineTuned.featureNames[0]));
+
+  const retrained = await walkForward({ retrain: true });
+  assert.equal(retrained.models.length, retrained.folds.length);
+  assert.notDeepEqual(retrained.scalings[1].params, retrained.scalings[0].params);
+  assert.notEqual(retrained.scalings[1].fitEndDate, retrained.scalings[0].fitEndDate);
+});
+
+test('shouldStop ends the run before the next fold', async () => {
+  let stop = false;
+  const { folds, result } = await walkForward({
+    callbacks: {
+      onFoldEnd: () => {
+        stop = true;
+      },
+      shouldStop: () => stop,
+    },
+  });
+  assert.ok(folds.length > 1);
+  assert.equal(result.folds.length, 1);
+});
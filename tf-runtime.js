@@ -0,0 +1,219 @@
+// Resolves the TensorFlow.js instance shared by DataLoader, StockGRUModel and the model store. Pages and workers
+// load the UMD bundle on first use, trying each source in turn: the copy vendored next to the app by
+// `npm run vendor`, which works offline, and then the CDN. Other hosts such as the Node CLI hand in their own build
+// with setTF, and DataLoader and StockGRUModel also accept a per-instance `tf` option that takes precedence.
+
+export const TF_VERSION = '4.13.0';
+
+export const BACKENDS = { webgl: 'WebGL (GPU)', wasm: 'WebAssembly', cpu: 'CPU' };
+
+const VENDOR_ROOT = new URL('./vendor/tfjs/', import.meta.url).href;
+const CDN_ROOT = 'https://cdn.jsdelivr.net/npm/@tensorflow';
+
+// `wasmPaths` is the directory holding the backend's .wasm binaries. The CDN scripts are checked against the SHA-384
+// hashes of the files published to npm; the vendored files are served by the same origin as the app and are not.
+// The .wasm binaries are fetched by the backend itself and are not checked either.
+export const DEFAULT_SOURCES = [
+  {
+    name: 'vendored',
+    tf: `${VENDOR_ROOT}tf.min.js`,
+    wasm: `${VENDOR_ROOT}tf-backend-wasm.min.js`,
+    wasmPaths: VENDOR_ROOT,
+  },
+  {
+    name: 'jsDelivr',
+    tf: `${CDN_ROOT}/tfjs@${TF_VERSION}/dist/tf.min.js`,
+    integrity: 'sha384-q+NaH3VmSwicjX4AKx/XKO03TRMsqWrVbNk1q4HFzNPsAruFQoJ58t0HU2mKePPs',
+    wasm: `${CDN_ROOT}/tfjs-backend-wasm@${TF_VERSION}/dist/tf-backend-wasm.min.js`,
+    wasmIntegrity: 'sha384-qD2qm2UfstJuMRzyJTvZMfJBlhjxr2JWF1xrFv3wjfo91UYvc7CF1Qxe4yoYtD4I',
+    wasmPaths: `${CDN_ROOT}/tfjs-backend-wasm@${TF_VERSION}/dist/`,
+  },
+];
+
+let sources = DEFAULT_SOURCES;
+let loadedFrom = null;
+let browserTFPromise = null;
+let injectedTF = null;
+
+const inWorker = () => typeof WorkerGlobalScope !== 'undefined' && globalThis instanceof WorkerGlobalScope;
+
+const injectScript = (url, integrity) =>
+  new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.async = false;
+    script.src = url;
+    if (integrity) {
+      script.integrity = integrity;
+      script.crossOrigin = 'anonymous';
+    }
+    script.addEventListener('load', () => resolve(), { once: true });
+    script.addEventListener(
+      'error',
+      () => {
+        script.remove();
+        reject(new Error('network error or missing file'));
+      },
+      { once: true }
+    );
+    document.head.appendChild(script);
+  });
+
+// import() has no integrity option, so a worker downloads a pinned script, compares its SHA-384 with `integrity`
+// and imports the verified bytes from a blob URL.
+async function importVerified(url, integrity) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const bytes = await response.arrayBuffer();
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-384', bytes));
+  if (`sha384-${btoa(String.fromCharCode(...digest))}` !== integrity) {
+    throw new Error('the file does not match its integrity hash');
+  }
+  const blobUrl = URL.createObjectURL(new Blob([bytes], { type: 'text/javascript' }));
+  try {
+    await import(blobUrl);
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
+
+// Module workers cannot call importScripts; the UMD bundles register themselves on globalThis when imported.
+const loadScript = (url, integrity) => {
+  if (!inWorker()) return injectScript(url, integrity);
+  return integrity ? importVerified(url, integrity) : import(url);
+};
+
+// Tries `load(source)` for each source that has `key`, and reports every failure if none succeeds.
+async function firstAvailable(key, what, load) {
+  const failures = [];
+  for (const source of sources.filter((entry) => entry[key])) {
+    try {
+      await load(source);
+      return source;
+    } catch (error) {
+      failures.push(`${source.name} (${error.message})`);
+    }
+  }
+  throw new Error(`Unable to load ${what} from any source: ${failures.join('; ') || 'none configured'}.`);
+}
+
+const loadBrowserTF = async () => {
+  if (typeof document === 'undefined' && !inWorker() && !globalThis.tf) {
+    throw new Error(
+      'TensorFlow.js can only be loaded from a script in a page or a worker; call setTF(tf) or pass { tf } elsewhere.'
+    );
+  }
+
+  if (!browserTFPromise) {
+    browserTFPromise = (async () => {
+      if (globalThis.tf && typeof globalThis.tf.ready === 'function') {
+        loadedFrom = 'page';
+      } else {
+        const source = await firstAvailable('tf', 'TensorFlow.js', async ({ tf, integrity }) => {
+          await loadScript(tf, integrity);
+          if (typeof globalThis.tf?.ready !== 'function') {
+            throw new Error('the script did not define tf');
+          }
+        });
+        loadedFrom = source.name;
+      }
+      await globalThis.tf.ready();
+      return globalThis.tf;
+    })();
+    // A failed load may succeed later, e.g. once the vendored files are in place or the network is back.
+    browserTFPromise.catch(() => {
+      browserTFPromise = null;
+    });
+  }
+
+  return browserTFPromise;
+};
+
+// Replaces the list of places the page and worker load TensorFlow.js from, e.g. for a different vendored path.
+// Takes effect for loads that have not happened yet.
+export function setTFSources(list) {
+  if (!Array.isArray(list) || list.length === 0 || list.some((source) => !source?.name || !source.tf)) {
+    throw new Error('setTFSources expects a non-empty array of { name, tf } sources.');
+  }
+  sources = list;
+}
+
+export function setTF(tf) {
+  if (!tf || typeof tf.ready !== 'function') {
+    throw new Error('setTF expects a TensorFlow.js module.');
+  }
+  injectedTF = tf;
+  loadedFrom = 'injected';
+}
+
+export const getTF = async () => {
+  if (injectedTF) {
+    await injectedTF.ready();
+    return injectedTF;
+  }
+  return loadBrowserTF();
+};
+
+async function loadWasmBackend(tf) {
+  if (injectedTF) {
+    throw new Error('Import @tensorflow/tfjs-backend-wasm before selecting the wasm backend.');
+  }
+  await firstAvailable('wasm', 'the WebAssembly backend', async ({ wasm, wasmIntegrity, wasmPaths }) => {
+    await loadScript(wasm, wasmIntegrity);
+    if (!tf.findBackendFactory('wasm')) {
+      throw new Error('the script did not register the wasm backend');
+    }
+    tf.wasm?.setWasmPaths(wasmPaths);
+  });
+}
+
+// Switches every model and tensor created afterwards to `name`. If the backend cannot start here (no WebGL
+// context, no WebAssembly), the previous backend stays active and the error says so.
+export async function setBackend(name) {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown TensorFlow.js backend "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}.`);
+  }
+  const tf = await getTF();
+  const previous = tf.getBackend();
+  if (previous === name) return describeRuntime();
+
+  if (name === 'wasm' && !tf.findBackendFactory('wasm')) {
+    await loadWasmBackend(tf);
+  }
+  // tf.setBackend resolves false when initialization fails and throws for backends that were never registered.
+  const started = await tf.setBackend(name).catch(() => false);
+  if (!started) {
+    await tf.setBackend(previous);
+    throw new Error(`The ${BACKENDS[name]} backend is not available here; still using ${previous}.`);
+  }
+  await tf.ready();
+  return describeRuntime();
+}
+
+// Version, active backend, where the bundle came from and tf.memory() counters. numBytesInGPU is only reported
+// by the WebGL backend; `unreliable` means the byte counts may be low (e.g. strings held outside tensors).
+export async function describeRuntime() {
+  const tf = await getTF();
+  const memory = tf.memory();
+  return {
+    version: tf.version?.tfjs ?? null,
+    backend: tf.getBackend(),
+    source: loadedFrom,
+    numTensors: memory.numTensors,
+    numBytes: memory.numBytes,
+    numBytesInGPU: memory.numBytesInGPU ?? null,
+    unreliable: Boolean(memory.unreliable),
+  };
+}
+
+const megabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+export function formatRuntime(runtime) {
+  const gpu = runtime.numBytesInGPU === null ? '' : `, ${megabytes(runtime.numBytesInGPU)} on the GPU`;
+  return (
+    `TensorFlow.js ${runtime.version ?? '(unknown version)'} on ${runtime.backend} (${runtime.source ?? 'unknown'}` +
+    ` source): ${runtime.numTensors} tensors, ${megabytes(runtime.numBytes)}${gpu}` +
+    `${runtime.unreliable ? ' (approximate)' : ''}.`
+  );
+}
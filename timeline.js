@@ -0,0 +1,108 @@
+// One record per test prediction (anchor date, stock, horizon) for the prediction timeline: the plotted score, how
+// confident the call was and whether it turned out right. Confidence bands are terciles of each stock's own
+// confidences, so "high" means the most decisive third of the model's calls for that stock.
+
+export const CONFIDENCE_BANDS = {
+  all: 'All predictions',
+  high: 'High (top third)',
+  medium: 'Medium (middle third)',
+  low: 'Low (bottom third)',
+};
+
+export function describeOutcome(targetMode, predicted, actual, datasetInfo) {
+  if (targetMode === 'multiclass') {
+    const predictedClass = predicted.indexOf(Math.max(...predicted));
+    const actualClass = actual.indexOf(Math.max(...actual));
+    return {
+      correct: predictedClass === actualClass,
+      detail: `predicted ${datasetInfo.classLabels[predictedClass]} (${(predicted[predictedClass] * 100).toFixed(
+        1
+      )}%), actual ${datasetInfo.classLabels[actualClass]}`,
+    };
+  }
+  if (targetMode === 'regression') {
+    return {
+      correct: predicted > 0 === actual > 0,
+      detail: `predicted ${predicted.toFixed(2)}%, actual ${actual.toFixed(2)}%`,
+    };
+  }
+  return {
+    correct: (predicted >= 0.5 ? 1 : 0) === Math.round(actual),
+    detail: `p(up) ${(predicted * 100).toFixed(1)}%, actual ${Math.round(actual) ? 'up' : 'down'}`,
+  };
+}
+
+// The plotted score is P(up) for binary and multiclass outputs and the predicted return (%) for regression.
+// Confidence is the distance from a coin flip: |2p − 1| for binary, the winning class probability rescaled from
+// chance (1/3) to 1 for multiclass, and the size of the predicted move for regression.
+function scoreAndConfidence(targetMode, predicted) {
+  if (targetMode === 'multiclass') {
+    const chance = 1 / predicted.length;
+    return { score: predicted[predicted.length - 1], confidence: (Math.max(...predicted) - chance) / (1 - chance) };
+  }
+  if (targetMode === 'regression') {
+    return { score: predicted, confidence: Math.abs(predicted) };
+  }
+  return { score: predicted, confidence: Math.abs(2 * predicted - 1) };
+}
+
+const quantile = (sorted, q) => {
+  if (sorted.length === 0) return 0;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Tercile cutoffs of the entries' confidences: below `low` is the low band, at or above `high` the high band.
+export function confidenceCutoffs(entries) {
+  const sorted = entries.map((entry) => entry.confidence).sort((a, b) => a - b);
+  return { low: quantile(sorted, 1 / 3), high: quantile(sorted, 2 / 3) };
+}
+
+export function confidenceBand(confidence, cutoffs) {
+  if (confidence >= cutoffs.high) return 'high';
+  return confidence < cutoffs.low ? 'low' : 'medium';
+}
+
+// `predictions` are the (calibrated) test outputs and `groundTruth` the matching y_test rows. Entries are ordered by
+// stock, then anchor, then horizon; `sampleIndex` is the row of X_test that produced the call.
+export function buildTimeline(datasetInfo, predictions, groundTruth) {
+  const { stockSymbols, horizon, testAnchorIndices, allDates, targetMode } = datasetInfo;
+  return stockSymbols.flatMap((symbol, stockIndex) => {
+    const entries = [];
+    predictions.forEach((samplePred, sampleIndex) => {
+      const anchorIndex = testAnchorIndices[sampleIndex];
+      for (let h = 0; h < horizon; h += 1) {
+        const labelIndex = stockIndex * horizon + h;
+        const predicted = samplePred[labelIndex];
+        const actual = groundTruth[sampleIndex][labelIndex];
+        entries.push({
+          symbol,
+          stockIndex,
+          sampleIndex,
+          horizon: h + 1,
+          anchorIndex,
+          anchorDate: allDates[anchorIndex],
+          targetDate: allDates[anchorIndex + h + 1],
+          predicted,
+          actual,
+          ...scoreAndConfidence(targetMode, predicted),
+          ...describeOutcome(targetMode, predicted, actual, datasetInfo),
+        });
+      }
+    });
+    const cutoffs = confidenceCutoffs(entries);
+    return entries.map((entry) => ({ ...entry, band: confidenceBand(entry.confidence, cutoffs) }));
+  });
+}
+
+// `horizon` is a 1-based horizon or null for all of them; `band` is a key of CONFIDENCE_BANDS.
+export function filterTimeline(entries, { stockIndex, horizon = null, band = 'all' }) {
+  return entries.filter(
+    (entry) =>
+      entry.stockIndex === stockIndex &&
+      (horizon === null || entry.horizon === horizon) &&
+      (band === 'all' || entry.band === band)
+  );
+}
@@ -0,0 +1,43 @@
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : '');
+
+// resolution: 'epoch' exports one row per epoch, 'batch' one row per training batch.
+export function trainingHistoryToCSV(history, resolution = 'epoch') {
+  const rows = resolution === 'batch' ? history?.batches : history?.epochs;
+  if (!rows?.length) {
+    throw new Error(`No ${resolution}-level training history is available.`);
+  }
+
+  const keys = Array.from(new Set(rows.flatMap((row) => Object.keys(row))));
+  const ordered = [
+    ...['epoch', 'batch'].filter((key) => keys.includes(key)),
+    ...keys.filter((key) => key !== 'epoch' && key !== 'batch'),
+  ];
+  const lines = rows.map((row) =>
+    ordered
+      .map((key) => {
+        if (key === 'epoch') return String(row.epoch + 1);
+        if (key === 'batch') return String(row.batch + 1);
+        return formatValue(row[key]);
+      })
+      .join(',')
+  );
+  return [ordered.join(','), ...lines].join('\n');
+}
+
+export function trainingHistoryToJSON(model) {
+  if (!model?.trainingHistory) {
+    throw new Error('The model has no training history to export.');
+  }
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      modelConfig: model.config,
+      features: model.preprocessing?.featureNames ?? null,
+      symbols: model.preprocessing?.symbols ?? null,
+      summary: model.trainingSummary,
+      history: model.trainingHistory,
+    },
+    null,
+    2
+  );
+}
@@ -0,0 +1,106 @@
+import { DataLoader, serializeDataset } from './data-loader.js';
+import { StockGRUModel } from './gru.js';
+import { BACKENDS, describeRuntime, formatRuntime, setBackend } from './tf-runtime.js';
+
+// Message protocol (main → worker):
+//   { type: 'train', snapshot, loaderOptions, modelOptions, trainOptions, backend }
+//   { type: 'cancel' } | { type: 'pause' } | { type: 'resume' }
+// Worker → main:
+//   { type: 'status', message }
+//   { type: 'trainBegin' } | { type: 'batchEnd', epoch, batch, logs } | { type: 'epochEnd', epoch, logs }
+//   { type: 'trainEnd', logs }
+//   { type: 'result', dataset, weights, history, stopped, summary }
+//   { type: 'error', message }
+
+let model = null;
+let cancelRequested = false;
+let pauseRequested = false;
+
+const post = (message, transfer = []) => self.postMessage(message, transfer);
+
+async function train({ snapshot, loaderOptions, modelOptions, trainOptions, backend = null }) {
+  if (backend) {
+    try {
+      await setBackend(backend);
+    } catch (error) {
+      // Workers may lack what the page has, e.g. WebGL without OffscreenCanvas; train on the default instead.
+      post({ type: 'status', message: `Worker could not switch to ${BACKENDS[backend] ?? backend}: ${error.message}` });
+    }
+  }
+
+  const dataLoader = new DataLoader(loaderOptions);
+  dataLoader.loadSnapshot(snapshot);
+
+  const dataset = await dataLoader.prepareDataset();
+  post({
+    type: 'status',
+    message: `Worker prepared ${dataset.trainDates.length} training and ${dataset.testDates.length} test windows.`,
+  });
+
+  try {
+    model = new StockGRUModel(StockGRUModel.configFromDataset(dataset, modelOptions));
+    await model.ready();
+    if (cancelRequested) model.requestStop();
+    if (pauseRequested) model.pause();
+
+    let currentEpoch = 0;
+    await model.train(dataset.X_train, dataset.y_train, {
+      ...trainOptions,
+      callbacks: {
+        onTrainBegin: () => post({ type: 'trainBegin' }),
+        onBatchEnd: (batch, logs) => post({ type: 'batchEnd', epoch: currentEpoch, batch, logs }),
+        onEpochEnd: (epoch, logs) => {
+          currentEpoch = epoch + 1;
+          post({ type: 'epochEnd', epoch, logs });
+        },
+        onTrainEnd: (logs) => post({ type: 'trainEnd', logs }),
+      },
+    });
+
+    post({ type: 'status', message: `Worker runtime: ${formatRuntime(await describeRuntime())}` });
+    const weights = await model.getWeightData();
+    const { payload, transfer } = await serializeDataset(dataset);
+    post(
+      {
+        type: 'result',
+        dataset: payload,
+        weights,
+        history: model.trainingHistory,
+        stopped: model.trainingStopped,
+        summary: model.trainingSummary,
+      },
+      [...transfer, ...weights.map(({ data }) => data.buffer)]
+    );
+  } finally {
+    dataset.dispose();
+    await model?.dispose();
+    model = null;
+  }
+}
+
+self.addEventListener('message', (event) => {
+  const message = event.data ?? {};
+  if (message.type === 'cancel') {
+    cancelRequested = true;
+    model?.requestStop();
+    return;
+  }
+
+  if (message.type === 'pause' || message.type === 'resume') {
+    pauseRequested = message.type === 'pause';
+    if (pauseRequested) {
+      model?.pause();
+    } else {
+      model?.resume();
+    }
+    return;
+  }
+
+  if (message.type === 'train') {
+    cancelRequested = false;
+    pauseRequested = false;
+    train(message).catch((error) => {
+      post({ type: 'error', message: error.message });
+    });
+  }
+});
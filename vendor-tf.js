@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Copies the TensorFlow.js and Chart.js browser bundles from node_modules into vendor/, where tf-runtime.js and
+// index.html look before the CDN, so the app also works on machines without internet access:
+//
+//   npm install && npm run vendor
+//
+// The WebAssembly backend is optional; without @tensorflow/tfjs-backend-wasm only webgl and cpu are vendored.
+import { copyFile, mkdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+const target = path.join(path.dirname(fileURLToPath(import.meta.url)), 'vendor');
+
+const BUNDLES = [
+  { pkg: '@tensorflow/tfjs', directory: 'tfjs', files: ['tf.min.js'], required: true },
+  {
+    pkg: '@tensorflow/tfjs-backend-wasm',
+    directory: 'tfjs',
+    files: [
+      'tf-backend-wasm.min.js',
+      'tfjs-backend-wasm.wasm',
+      'tfjs-backend-wasm-simd.wasm',
+      'tfjs-backend-wasm-threaded-simd.wasm',
+    ],
+    required: false,
+  },
+  { pkg: 'chart.js', directory: 'chartjs', files: ['chart.umd.js'], required: true },
+];
+
+// Looked up on disk because packages with an `exports` map, such as chart.js, hide their package.json from resolve.
+function distDirectory(pkg) {
+  const root = require.resolve.paths(pkg).find((modules) => existsSync(path.join(modules, pkg, 'package.json')));
+  return root ? path.join(root, pkg, 'dist') : null;
+}
+
+for (const { pkg, directory, files, required } of BUNDLES) {
+  const dist = distDirectory(pkg);
+  if (!dist) {
+    if (required) {
+      console.error(`${pkg} is not installed; run npm install first.`);
+      process.exit(1);
+    }
+    console.log(`Skipping ${pkg}: not installed.`);
+    continue;
+  }
+  for (const file of files) {
+    const source = path.join(dist, file);
+    if (!existsSync(source)) {
+      console.log(`Skipping ${pkg}/dist/${file}: not in this version of the package.`);
+      continue;
+    }
+    await mkdir(path.join(target, directory), { recursive: true });
+    await copyFile(source, path.join(target, directory, file));
+    console.log(`Copied ${pkg}/dist/${file} to vendor/${directory}/`);
+  }
+}
+console.log(`Vendored TensorFlow.js and Chart.js into ${path.relative(process.cwd(), target) || '.'}.`);
@@ -0,0 +1,109 @@
+export async function runWalkForward({
+  dataLoader,
+  folds,
+  createModel,
+  epochs = 30,
+  batchSize = 32,
+  validationSplit = 0.1,
+  retrain = true,
+  fineTuneEpochs = 5,
+  schedule = {},
+  callbacks = {},
+}) {
+  const { onFoldBegin, onFoldEnd, onEpochEnd, shouldStop } = callbacks;
+  const results = [];
+  let model = null;
+  let symbols = [];
+  // Fine-tuned weights only make sense on inputs scaled the same way, so every fold after the first reuses the first
+  // fold's scalers and lead-lag pairs. Retraining refits them on each fold's own training window.
+  let preprocessing = null;
+
+  try {
+    for (const fold of folds) {
+      if (shouldStop?.()) break;
+
+      const dataset = await dataLoader.prepareFold(fold, { preprocessing });
+      let predictionTensor;
+      try {
+        symbols = dataset.stockSymbols;
+        if (!retrain && !preprocessing) preprocessing = dataset.preprocessing;
+        if (onFoldBegin) await onFoldBegin(fold, dataset);
+
+        const firstRun = model === null;
+        if (retrain || firstRun) {
+          if (model) await model.dispose();
+          model = createModel(dataset);
+          await model.ready();
+        }
+
+        const foldEpochs = retrain || firstRun ? epochs : fineTuneEpochs;
+        await model.train(dataset.X_train, dataset.y_train, {
+          ...schedule,
+          epochs: foldEpochs,
+          batchSize,
+          validationSplit,
+          callbacks: {
+            onEpochEnd: async (epoch, logs) => {
+              if (onEpochEnd) await onEpochEnd(fold, epoch, foldEpochs, logs);
+            },
+          },
+        });
+
+        predictionTensor = await model.predict(dataset.X_test);
+        const accuracies = await model.evaluateStockAccuracies(dataset.y_test, predictionTensor);
+        const result = {
+          fold: fold.index,
+          trainStartDate: dataset.trainDates[0],
+          trainEndDate: dataset.trainDates[dataset.trainDates.length - 1],
+          testStartDate: dataset.testDates[0],
+          testEndDate: dataset.testDates[dataset.testDates.length - 1],
+          trainSize: dataset.trainDates.length,
+          testSize: dataset.testDates.length,
+          accuracies,
+          training: model.trainingSummary,
+        };
+        results.push(result);
+        if (onFoldEnd) await onFoldEnd(result);
+      } finally {
+        predictionTensor?.dispose();
+        dataset.dispose();
+      }
+    }
+  } finally {
+    if (model) await model.dispose();
+  }
+
+  return {
+    symbols,
+    folds: results,
+    summary: summarizeFolds(symbols, results),
+  };
+}
+
+export function summarizeFolds(symbols, foldResults) {
+  return symbols.map((symbol, stockIdx) => {
+    const values = foldResults.map((result) => result.accuracies[stockIdx]).filter(Number.isFinite);
+    const weights = foldResults
+      .filter((result) => Number.isFinite(result.accuracies[stockIdx]))
+      .map((result) => result.testSize);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    if (values.length === 0) {
+      return { symbol, mean: NaN, std: NaN, min: NaN, max: NaN, pooled: NaN, foldCount: 0 };
+    }
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    const pooled = values.reduce((sum, value, index) => sum + value * weights[index], 0) / (totalWeight || 1);
+
+    return {
+      symbol,
+      mean,
+      std: Math.sqrt(variance),
+      min: Math.min(...values),
+      max: Math.max(...values),
+      pooled,
+      foldCount: values.length,
+    };
+  });
+}
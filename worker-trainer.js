@@ -0,0 +1,104 @@
+import { deserializeDataset } from './data-loader.js';
+
+// Main-thread side of training-worker.js. Exposes the same callbacks contract as StockGRUModel.train.
+export class WorkerTrainer {
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  constructor(workerUrl = new URL('./training-worker.js', import.meta.url)) {
+    this.workerUrl = workerUrl;
+    this.worker = null;
+  }
+
+  train({ snapshot, loaderOptions, modelOptions = {}, trainOptions = {}, backend = null, callbacks = {}, onStatus }) {
+    if (this.worker) {
+      return Promise.reject(new Error('This trainer is already running.'));
+    }
+
+    const { onTrainBegin, onBatchEnd, onEpochEnd, onTrainEnd } = callbacks;
+    const { callbacks: _ignored, ...plainTrainOptions } = trainOptions;
+    this.worker = new Worker(this.workerUrl, { type: 'module' });
+
+    return new Promise((resolve, reject) => {
+      const finish = (callback) => {
+        this.terminate();
+        callback();
+      };
+
+      this.worker.addEventListener('message', (event) => {
+        const message = event.data;
+        Promise.resolve()
+          .then(async () => {
+            switch (message.type) {
+              case 'status':
+                if (onStatus) await onStatus(message.message);
+                break;
+              case 'trainBegin':
+                if (onTrainBegin) await onTrainBegin({});
+                break;
+              case 'batchEnd':
+                if (onBatchEnd) await onBatchEnd(message.batch, message.logs, message.epoch);
+                break;
+              case 'epochEnd':
+                if (onEpochEnd) await onEpochEnd(message.epoch, message.logs);
+                break;
+              case 'trainEnd':
+                if (onTrainEnd) await onTrainEnd(message.logs);
+                break;
+              case 'result': {
+                const dataset = await deserializeDataset(message.dataset);
+                finish(() =>
+                  resolve({
+                    dataset,
+                    weights: message.weights,
+                    history: message.history,
+                    stopped: message.stopped,
+                    summary: message.summary,
+                  })
+                );
+                break;
+              }
+              case 'error':
+                finish(() => reject(new Error(message.message)));
+                break;
+              default:
+                break;
+            }
+          })
+          .catch((error) => finish(() => reject(error)));
+      });
+
+      this.worker.addEventListener('error', (event) => {
+        event.preventDefault?.();
+        finish(() => reject(new Error(event.message || 'The training worker failed to start.')));
+      });
+
+      this.worker.postMessage({
+        type: 'train',
+        snapshot,
+        loaderOptions,
+        modelOptions,
+        trainOptions: plainTrainOptions,
+        backend,
+      });
+    });
+  }
+
+  requestStop() {
+    this.worker?.postMessage({ type: 'cancel' });
+  }
+
+  pause() {
+    this.worker?.postMessage({ type: 'pause' });
+  }
+
+  resume() {
+    this.worker?.postMessage({ type: 'resume' });
+  }
+
+  terminate() {
+    this.worker?.terminate();
+    this.worker = null;
+  }
+}